@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * A completed step of a {@link CheckpointRecord}.
+ * @typedef {object} Checkpoint
+ * @property {number} index - Index of the step.
+ * @property {string} idempotencyKey - Idempotency key of the step.
+ * @property {*} result - Result of the step.
+ * @property {number} completedAt - Timestamp (ms) when the step was done.
+ */
+
+/**
+ * The stored state of a run of a {@link Task.durableSequence}.
+ * @typedef {object} CheckpointRecord
+ * @property {string} runId - Id of the run.
+ * @property {string} name - Name of the {@link Task}.
+ * @property {string} status - 'running' (which includes runs whose process
+ *   exited), 'done', 'failed', 'canceled' or 'aborted'.
+ * @property {Array<*>} args - Arguments of the run.
+ * @property {Array<Checkpoint>} steps - The completed steps, in order.
+ * @property {*} [result] - Result of the run, if done.
+ * @property {string} [error] - Message of the error the run failed or was
+ *   canceled with, if failed, canceled or aborted.
+ * @property {number} createdAt - Timestamp (ms) when the run started.
+ * @property {number} updatedAt - Timestamp (ms) of the last change.
+ */
+
+/**
+ * The interface of the stores used by {@link Task.durableSequence}. Every
+ * method can either return its result or a Promise for it. Records contain
+ * the arguments and the results of the steps, so stores which persist them
+ * need those to be serializable (to JSON for {@link FileCheckpointStore}).
+ * @typedef {object} CheckpointStore
+ * @property {function} get - Called with a run id; returns the
+ *   {@link CheckpointRecord}, or undefined if there is none.
+ * @property {function} set - Called with a run id and a
+ *   {@link CheckpointRecord}.
+ * @property {function} delete - Called with a run id.
+ * @property {function} list - Returns all the {@link CheckpointRecord}s.
+ */
+
+/**
+ * Create a new {@link MemoryCheckpointStore}.
+ * @class
+ * @classdesc A {@link MemoryCheckpointStore} is an in-memory
+ *   {@link CheckpointStore}, which only survives failures within the
+ *   process. It stores copies of the records, so that they cannot be changed
+ *   from outside.
+ * @constructor
+ * @property {number} size - Number of records.
+ */
+function MemoryCheckpointStore() {
+  Object.defineProperties(this, {
+    _records: {
+      value: new Map()
+    },
+    size: {
+      enumerable: true,
+      get: function() {
+        return this._records.size;
+      }
+    }
+  });
+}
+
+/**
+ * Get the record of a run.
+ * @param {string} runId
+ * @returns {CheckpointRecord|undefined}
+ */
+MemoryCheckpointStore.prototype.get = function get(runId) {
+  return this._records.has(runId) ? copy(this._records.get(runId)) : undefined;
+};
+
+/**
+ * Set the record of a run.
+ * @param {string} runId
+ * @param {CheckpointRecord} record
+ */
+MemoryCheckpointStore.prototype.set = function set(runId, record) {
+  this._records.set(runId, copy(record));
+};
+
+/**
+ * Remove the record of a run.
+ * @param {string} runId
+ */
+MemoryCheckpointStore.prototype.delete = function _delete(runId) {
+  this._records.delete(runId);
+};
+
+/**
+ * Get all the records.
+ * @returns {Array<CheckpointRecord>}
+ */
+MemoryCheckpointStore.prototype.list = function list() {
+  var records = [];
+  this._records.forEach(function(record) {
+    records.push(copy(record));
+  });
+  return records;
+};
+
+/**
+ * Validate a {@link CheckpointStore}.
+ * @private
+ * @param {CheckpointStore} [store]
+ * @returns {CheckpointStore} - The store, or a new
+ *   {@link MemoryCheckpointStore}.
+ */
+function normalizeStore(store) {
+  store = store || new MemoryCheckpointStore();
+  ['get', 'set', 'delete', 'list'].forEach(function(method) {
+    if (typeof store[method] !== 'function') {
+      throw new Error('Checkpoint "store" must have a ' + method + '() method.');
+    }
+  });
+  return store;
+}
+
+/**
+ * Create a unique run id.
+ * @private
+ * @returns {string}
+ */
+function createRunId() {
+  return new Date().getTime().toString(36) + '-'
+    + Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Copy a record (or a part of it).
+ * @private
+ * @param {*} value
+ * @returns {*}
+ */
+function copy(value) {
+  if (Array.isArray(value)) {
+    return value.map(copy);
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    var result = {};
+    Object.keys(value).forEach(function(key) {
+      result[key] = copy(value[key]);
+    });
+    return result;
+  }
+  return value;
+}
+
+module.exports.MemoryCheckpointStore = MemoryCheckpointStore;
+module.exports.createRunId = createRunId;
+module.exports.normalizeStore = normalizeStore;
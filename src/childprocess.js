@@ -0,0 +1,160 @@
+'use strict';
+
+var childProcess = require('child_process');
+
+/**
+ * The result of a child process.
+ * @typedef {object} ExecResult
+ * @property {?number} exitCode - Exit code, or null if it was killed.
+ * @property {?string} signal - Signal which killed it, or null.
+ * @property {string} stdout - Everything it wrote to stdout.
+ * @property {string} stderr - Everything it wrote to stderr.
+ */
+
+/**
+ * A running child process.
+ * @private
+ * @typedef {object} ExecJob
+ * @property {Promise<ExecResult>} promise - Resolved when the process exits,
+ *   whatever its exit code, or rejected if it could not be started.
+ * @property {function} kill - Sends "killSignal" to the process, and SIGKILL
+ *   if it is still running after "killTimeout" milliseconds.
+ */
+
+/**
+ * Whether child processes are supported (they are not in browsers, where
+ * "child_process" is an empty module).
+ * @private
+ * @returns {boolean}
+ */
+function isSupported() {
+  return typeof childProcess.spawn === 'function';
+}
+
+/**
+ * Start a child process.
+ * @private
+ * @param {string} command - The command.
+ * @param {Array<string>} args - Its arguments.
+ * @param {object} options
+ * @param {string} [options.cwd] - Working directory.
+ * @param {object} [options.env] - Environment variables, added to the ones
+ *   of this process.
+ * @param {string|Buffer|stream.Readable} [options.input] - Written (or
+ *   piped) to stdin, which is then closed.
+ * @param {boolean|string} [options.shell] - See child_process.spawn().
+ * @param {string} options.killSignal - First signal sent by kill().
+ * @param {number} options.killTimeout - Time (ms) after which kill() sends
+ *   SIGKILL.
+ * @param {function} onLine - Called with each line of output (without the
+ *   line break) and 'stdout' or 'stderr'.
+ * @returns {ExecJob}
+ */
+function exec(command, args, options, onLine) {
+  var env = process.env;
+  if (options.env) {
+    env = {};
+    [process.env, options.env].forEach(function(vars) {
+      Object.keys(vars).forEach(function(key) {
+        env[key] = vars[key];
+      });
+    });
+  }
+
+  var child = childProcess.spawn(command, args, {
+    cwd: options.cwd,
+    env: env,
+    shell: options.shell,
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  var output = { stdout: '', stderr: '' };
+  var killTimer = null;
+  var job = {};
+
+  job.promise = new Promise(function(resolve, reject) {
+    var settled = false;
+    var readers = ['stdout', 'stderr'].map(function(stream) {
+      return readLines(child[stream], function(chunk) {
+        output[stream] += chunk;
+      }, function(line) {
+        onLine(line, stream);
+      });
+    });
+
+    child.on('error', function(error) {
+      if (!settled) {
+        settled = true;
+        clearTimeout(killTimer);
+        reject(error);
+      }
+    });
+    child.on('close', function(exitCode, signal) {
+      if (!settled) {
+        settled = true;
+        clearTimeout(killTimer);
+        readers.forEach(function(flush) {
+          flush();
+        });
+        resolve({
+          exitCode: exitCode,
+          signal: signal,
+          stdout: output.stdout,
+          stderr: output.stderr
+        });
+      }
+    });
+  });
+
+  child.stdin.on('error', function() {
+    // The process exited without reading all of its input.
+  });
+  if (options.input && typeof options.input.pipe === 'function') {
+    options.input.pipe(child.stdin);
+  }
+  else {
+    child.stdin.end(options.input);
+  }
+
+  job.kill = function kill() {
+    if (child.exitCode !== null || child.signalCode !== null || killTimer) {
+      return;
+    }
+    child.kill(options.killSignal);
+    killTimer = setTimeout(function() {
+      child.kill('SIGKILL');
+    }, options.killTimeout);
+  };
+
+  return job;
+}
+
+/**
+ * Read the lines of a stream.
+ * @private
+ * @param {stream.Readable} stream
+ * @param {function} onChunk - Called with each chunk of text.
+ * @param {function} onLine - Called with each line of text.
+ * @returns {function} - Called to report the last line, if it does not end
+ *   with a line break.
+ */
+function readLines(stream, onChunk, onLine) {
+  var partial = '';
+  stream.setEncoding('utf8');
+  stream.on('data', function(chunk) {
+    onChunk(chunk);
+    var lines = (partial + chunk).split('\n');
+    partial = lines.pop();
+    lines.forEach(function(line) {
+      onLine(line.replace(/\r$/, ''));
+    });
+  });
+  return function flush() {
+    if (partial) {
+      onLine(partial.replace(/\r$/, ''));
+      partial = '';
+    }
+  };
+}
+
+module.exports.exec = exec;
+module.exports.isSupported = isSupported;
@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * Create a new {@link CircuitBreaker}. {@link CircuitBreaker}s are created
+ * by {@link Task.circuitBreaker}.
+ * @class
+ * @classdesc A {@link CircuitBreaker} keeps track of the failures of a
+ *   {@link Task}. It is 'closed' until "failureThreshold" runs fail within
+ *   "windowMs", and then 'open' for "resetTimeoutMs", after which it is
+ *   'half-open': up to "halfOpenMaxCalls" probe runs are let through at a
+ *   time, and it is closed once that many of them are done, or opened again
+ *   as soon as one of them fails.
+ * @param {object} [options]
+ * @param {number} [options.failureThreshold=5] - Number of failures which
+ *   open the circuit.
+ * @param {number} [options.windowMs=60000] - Time (ms) within which the
+ *   failures are counted.
+ * @param {number} [options.resetTimeoutMs=30000] - Time (ms) for which the
+ *   circuit stays open.
+ * @param {number} [options.halfOpenMaxCalls=1] - Number of probe runs let
+ *   through at a time when half-open.
+ * @param {function} [onStateChange] - Called with (from, to) when the state
+ *   changes.
+ * @constructor
+ * @property {string} state - One of 'closed', 'open' or 'half-open'.
+ */
+function CircuitBreaker(options, onStateChange) {
+  options = options || {};
+  ['failureThreshold', 'windowMs', 'resetTimeoutMs', 'halfOpenMaxCalls'].forEach(function(key) {
+    if (typeof options[key] !== 'undefined'
+      && (typeof options[key] !== 'number' || options[key] <= 0)) {
+      throw new Error('Circuit breaker "' + key + '" must be a number greater than 0.');
+    }
+  });
+
+  Object.defineProperties(this, {
+    _failures: {
+      value: []
+    },
+    _onStateChange: {
+      value: onStateChange || function() {}
+    },
+    _openedAt: {
+      value: null,
+      writable: true
+    },
+    _probes: {
+      value: 0,
+      writable: true
+    },
+    _state: {
+      value: 'closed',
+      writable: true
+    },
+    _successes: {
+      value: 0,
+      writable: true
+    },
+    failureThreshold: {
+      value: options.failureThreshold || 5,
+      enumerable: true
+    },
+    halfOpenMaxCalls: {
+      value: options.halfOpenMaxCalls || 1,
+      enumerable: true
+    },
+    resetTimeoutMs: {
+      value: options.resetTimeoutMs || 30000,
+      enumerable: true
+    },
+    state: {
+      enumerable: true,
+      get: function() {
+        this._update(new Date().getTime());
+        return this._state;
+      }
+    },
+    windowMs: {
+      value: options.windowMs || 60000,
+      enumerable: true
+    }
+  });
+}
+
+/**
+ * Get the time (ms) after which an open circuit is half-open.
+ * @private
+ * @param {number} now - Current time (ms).
+ * @returns {number}
+ */
+CircuitBreaker.prototype._retryAfter = function _retryAfter(now) {
+  return this._state === 'open'
+    ? Math.max(0, this._openedAt + this.resetTimeoutMs - now)
+    : 0;
+};
+
+/**
+ * Ask to let a run through.
+ * @private
+ * @param {number} now - Current time (ms).
+ * @returns {?string} - 'call', 'probe' or null if the run is not let through.
+ */
+CircuitBreaker.prototype._acquire = function _acquire(now) {
+  this._update(now);
+  if (this._state === 'closed') {
+    return 'call';
+  }
+  if (this._state === 'half-open' && this._probes < this.halfOpenMaxCalls) {
+    this._probes++;
+    return 'probe';
+  }
+  return null;
+};
+
+/**
+ * Record the outcome of a run which was let through.
+ * @private
+ * @param {string} permit - What {@link CircuitBreaker#_acquire} returned.
+ * @param {string} status - 'done', 'failed' or 'canceled'.
+ * @param {number} now - Current time (ms).
+ */
+CircuitBreaker.prototype._release = function _release(permit, status, now) {
+  if (permit === 'probe') {
+    this._probes--;
+    if (this._state !== 'half-open') {
+      return;
+    }
+    if (status === 'failed') {
+      this._open(now);
+    }
+    else if (status === 'done' && ++this._successes >= this.halfOpenMaxCalls) {
+      this._failures.length = 0;
+      this._setState('closed');
+    }
+    return;
+  }
+  if (status === 'failed' && this._state === 'closed') {
+    this._failures.push(now);
+    this._prune(now);
+    if (this._failures.length >= this.failureThreshold) {
+      this._open(now);
+    }
+  }
+};
+
+/**
+ * Open the circuit.
+ * @private
+ * @param {number} now - Current time (ms).
+ */
+CircuitBreaker.prototype._open = function _open(now) {
+  this._openedAt = now;
+  this._setState('open');
+};
+
+/**
+ * Move an open circuit to half-open once "resetTimeoutMs" has passed.
+ * @private
+ * @param {number} now - Current time (ms).
+ */
+CircuitBreaker.prototype._update = function _update(now) {
+  if (this._state === 'open' && now - this._openedAt >= this.resetTimeoutMs) {
+    this._successes = 0;
+    this._setState('half-open');
+  }
+};
+
+/**
+ * Forget the failures which are out of the window.
+ * @private
+ * @param {number} now - Current time (ms).
+ */
+CircuitBreaker.prototype._prune = function _prune(now) {
+  var failures = this._failures;
+  while (failures.length && failures[0] <= now - this.windowMs) {
+    failures.shift();
+  }
+};
+
+/**
+ * Change the state, and notify the change.
+ * @private
+ * @param {string} state
+ */
+CircuitBreaker.prototype._setState = function _setState(state) {
+  var from = this._state;
+  if (from !== state) {
+    this._state = state;
+    this._onStateChange(from, state);
+  }
+};
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,304 @@
+'use strict';
+
+var path = require('path');
+var Task = require('./task');
+
+var USAGE = [
+  'Usage: task-js [--file=<tasks file>] --list',
+  '       task-js [--file=<tasks file>] run <task>... [--timeout=<ms>] [--retries=<n>]',
+  '               [--<option>=<value>...] [-- <argument>...]',
+  '',
+  'Options:',
+  '  -f, --file=<path>   Tasks file (default: tasks.js in the current directory).',
+  '  -l, --list          List the tasks of the tasks file.',
+  '  --timeout=<ms>      Cancel a task if it has not completed within <ms> milliseconds.',
+  '  --retries=<n>       Retry a failed task up to <n> times.',
+  '  -h, --help          Show this message.',
+  '',
+  'The tasks are run one after the other, until one of them fails. Each task is',
+  'called with an object of the other --<option>=<value> options, followed by the',
+  'arguments after "--".'
+].join('\n');
+
+var ALIASES = { f: 'file', l: 'list', h: 'help' };
+
+/**
+ * The parsed command line of the task-js bin.
+ * @private
+ * @typedef {object} CommandLine
+ * @property {?string} command - 'list', 'run', 'help', or null.
+ * @property {string} file - Tasks file.
+ * @property {Array<string>} names - Names of the tasks to run.
+ * @property {?number} timeout - Timeout (ms) of each task.
+ * @property {number} retries - Number of retries of each task.
+ * @property {object} options - The other options, for the tasks.
+ * @property {Array<string>} args - Arguments after "--", for the tasks.
+ */
+
+/**
+ * Parse the command line arguments of the task-js bin.
+ * @private
+ * @param {Array<string>} argv - Arguments, without the node and script paths.
+ * @returns {CommandLine}
+ */
+function parseArgs(argv) {
+  var parsed = {
+    command: null,
+    file: 'tasks.js',
+    names: [],
+    timeout: null,
+    retries: 0,
+    options: {},
+    args: []
+  };
+
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    if (arg === '--') {
+      parsed.args = argv.slice(i + 1);
+      break;
+    }
+    var match = /^(?:--([^=]+)|-([a-z]))(?:=([\s\S]*))?$/.exec(arg);
+    if (!match) {
+      if (parsed.command === 'run') {
+        parsed.names.push(arg);
+      }
+      else if (parsed.command === null && (arg === 'run' || arg === 'list')) {
+        parsed.command = arg;
+      }
+      else {
+        throw new Error('Unexpected argument "' + arg + '".');
+      }
+      continue;
+    }
+
+    var key = match[1] || ALIASES[match[2]] || match[2];
+    var value = match[3];
+    if (key === 'file' || key === 'timeout' || key === 'retries') {
+      if (typeof value === 'undefined') {
+        value = argv[++i];
+      }
+      if (typeof value === 'undefined' || value === '') {
+        throw new Error('--' + key + ' needs a value.');
+      }
+    }
+
+    if (key === 'file') {
+      parsed.file = value;
+    }
+    else if (key === 'timeout' || key === 'retries') {
+      if (!/^\d+$/.test(value) || (key === 'timeout' && +value === 0)) {
+        throw new Error('--' + key + ' must be a whole number' + (key === 'timeout'
+          ? ' greater than 0.' : '.'));
+      }
+      parsed[key] = +value;
+    }
+    else if ((key === 'list' || key === 'help') && typeof value === 'undefined') {
+      parsed.command = key;
+      if (key === 'help') {
+        break;
+      }
+    }
+    else if (!match[1]) {
+      throw new Error('Unknown option "' + arg + '".');
+    }
+    else if (typeof value === 'undefined') {
+      var negated = /^no-(.+)$/.exec(key);
+      parsed.options[camelCase(negated ? negated[1] : key)] = !negated;
+    }
+    else {
+      parsed.options[camelCase(key)] = toValue(value);
+    }
+  }
+
+  if (parsed.command === 'run' && !parsed.names.length) {
+    throw new Error('Name the task(s) to run.');
+  }
+  return parsed;
+}
+
+/**
+ * Load the {@link Task}s exported by a tasks file, which can export a
+ * {@link Task}, an array of {@link Task}s, or an object whose values are
+ * {@link Task}s.
+ * @private
+ * @param {string} file - Path of the tasks file, relative to "cwd".
+ * @param {string} cwd - Current directory.
+ * @returns {Object<string, Task>} - The {@link Task}s, by name.
+ */
+function loadTasks(file, cwd) {
+  var resolved = path.resolve(cwd, file);
+  var exported;
+  try {
+    exported = require(resolved);
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND' && error.message.indexOf(resolved) !== -1) {
+      throw new Error('Tasks file "' + resolved + '" was not found.');
+    }
+    throw error;
+  }
+
+  var values = isTask(exported) ? [exported]
+    : Array.isArray(exported) ? exported
+    : Object.keys(exported || {}).map(function(key) {
+      return exported[key];
+    });
+  var tasks = {};
+  values.filter(isTask).forEach(function(task) {
+    tasks[task.name] = task;
+  });
+  if (!Object.keys(tasks).length) {
+    throw new Error('Tasks file "' + resolved + '" does not export any Task.');
+  }
+  return tasks;
+}
+
+/**
+ * Run the task-js bin.
+ * @private
+ * @param {Array<string>} argv - Arguments, without the node and script paths.
+ * @param {object} io
+ * @param {string} io.cwd - Current directory.
+ * @param {function} io.stdout - Called with each line of output.
+ * @param {function} io.stderr - Called with each line of error output.
+ * @returns {Promise<number>} - Resolved with the exit code: 0 if every task
+ *   is done, 1 if one failed, and 2 if the command line or the tasks file is
+ *   invalid.
+ */
+function main(argv, io) {
+  var parsed;
+  var tasks;
+  try {
+    parsed = parseArgs(argv);
+    if (parsed.command === 'help' || parsed.command === null) {
+      (parsed.command === 'help' ? io.stdout : io.stderr)(USAGE);
+      return Promise.resolve(parsed.command === 'help' ? 0 : 2);
+    }
+    tasks = loadTasks(parsed.file, io.cwd);
+    parsed.names.forEach(function(name) {
+      if (!tasks.hasOwnProperty(name)) {
+        throw new Error('Unknown task "' + name + '". Run "task-js --list" to list the tasks.');
+      }
+    });
+  } catch (error) {
+    io.stderr(error.message);
+    return Promise.resolve(2);
+  }
+
+  if (parsed.command === 'list') {
+    Object.keys(tasks).sort().forEach(function(name) {
+      io.stdout(name);
+    });
+    return Promise.resolve(0);
+  }
+
+  var args = [parsed.options].concat(parsed.args);
+  var start = new Date().getTime();
+  var counts = { done: 0, failed: 0, skipped: 0 };
+
+  return parsed.names.reduce(function(previous, name) {
+    return previous.then(function(ok) {
+      if (!ok) {
+        counts.skipped++;
+        return false;
+      }
+      var task = withRetries(tasks[name], parsed.retries);
+      if (parsed.retries) {
+        task.on('retry', function(event) {
+          io.stderr('Retrying "' + name + '" (attempt ' + (event.attempt + 1) + ' of '
+            + (parsed.retries + 1) + ') after: ' + event.error.message);
+        });
+      }
+      io.stdout('Starting "' + name + '"...');
+      var taskStart = new Date().getTime();
+      var run = task.run.apply(task, args);
+      if (parsed.timeout) {
+        run.timeout(parsed.timeout);
+      }
+      return run.promise.then(function() {
+        counts.done++;
+        io.stdout('Finished "' + name + '" after ' + formatDuration(new Date().getTime() - taskStart));
+        return true;
+      }, function(error) {
+        counts.failed++;
+        io.stderr('"' + name + '" failed after ' + formatDuration(new Date().getTime() - taskStart)
+          + ': ' + (error && error.message || error));
+        return false;
+      });
+    });
+  }, Promise.resolve(true)).then(function(ok) {
+    io.stdout(counts.done + ' done, ' + counts.failed + ' failed, ' + counts.skipped
+      + ' skipped, in ' + formatDuration(new Date().getTime() - start));
+    return ok ? 0 : 1;
+  });
+}
+
+/**
+ * Retry a {@link Task} when it fails.
+ * @private
+ * @param {Task} task
+ * @param {number} retries - Number of retries.
+ * @returns {Task} - The {@link Task} itself if there are no retries.
+ */
+function withRetries(task, retries) {
+  if (!retries) {
+    return task;
+  }
+  return Task.try(task.name, function() {
+    var args = [].slice.call(arguments, 0, arguments.length - 2);
+    return this.spawn(task, args).promise;
+  }, { attempts: retries + 1 });
+}
+
+/**
+ * Whether a value is a {@link Task}. The tasks file may use another copy of
+ * the library, so instanceof cannot be used.
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isTask(value) {
+  return !!value && typeof value.name === 'string' && typeof value.run === 'function';
+}
+
+/**
+ * Format a duration.
+ * @private
+ * @param {number} milliseconds
+ * @returns {string}
+ */
+function formatDuration(milliseconds) {
+  return milliseconds < 1000
+    ? milliseconds + ' ms'
+    : (milliseconds / 1000).toFixed(2) + ' s';
+}
+
+/**
+ * Convert an option name like "dry-run" to "dryRun".
+ * @private
+ * @param {string} name
+ * @returns {string}
+ */
+function camelCase(name) {
+  return name.replace(/-+([^-])/g, function(match, letter) {
+    return letter.toUpperCase();
+  });
+}
+
+/**
+ * Convert the value of an option to a number or a boolean if it looks like
+ * one.
+ * @private
+ * @param {string} value
+ * @returns {string|number|boolean}
+ */
+function toValue(value) {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return value !== '' && !isNaN(+value) ? +value : value;
+}
+
+module.exports.loadTasks = loadTasks;
+module.exports.main = main;
+module.exports.parseArgs = parseArgs;
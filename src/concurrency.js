@@ -0,0 +1,208 @@
+'use strict';
+
+var errors = require('./errors');
+
+var ORDERS = ['input', 'completion'];
+
+/**
+ * Options for running child {@link Task}s concurrently in
+ * {@link Task.map} and {@link Task.parallel}.
+ * @typedef {object} ConcurrencyOptions
+ * @property {number} [concurrency=Infinity] - Maximum number of child runs
+ *   in flight at any time.
+ * @property {string} [order='input'] - 'input' to order the results like the
+ *   input, or 'completion' to order them by when they settled.
+ * @property {boolean} [settled=false] - If true, the Promise is never rejected
+ *   because of a failed child run; it is resolved with
+ *   {status: 'fulfilled', value} or {status: 'rejected', reason} for each
+ *   child run, like Promise.allSettled().
+ * @property {boolean} [stopOnError=false] - If true, no more child runs are
+ *   started after the first failure, and the ones in flight are canceled.
+ *   Otherwise, the ones in flight keep running, without a parent to wait for
+ *   them or cancel them.
+ */
+
+/**
+ * Validate {@link ConcurrencyOptions} and fill in their defaults.
+ * @private
+ * @param {ConcurrencyOptions} [options]
+ * @returns {ConcurrencyOptions}
+ */
+function normalize(options) {
+  options = options || {};
+  if (typeof options.concurrency !== 'undefined'
+    && (typeof options.concurrency !== 'number' || options.concurrency < 1)) {
+    throw new Error('"concurrency" must be a number greater than 0.');
+  }
+  if (typeof options.order !== 'undefined' && ORDERS.indexOf(options.order) === -1) {
+    throw new Error('"order" must be one of: ' + ORDERS.join(', ') + '.');
+  }
+  if (options.settled && options.stopOnError) {
+    throw new Error('"settled" and "stopOnError" cannot be used together.');
+  }
+  return {
+    concurrency: options.concurrency || Infinity,
+    order: options.order || 'input',
+    settled: !!options.settled,
+    stopOnError: !!options.stopOnError
+  };
+}
+
+/**
+ * Start child runs with bounded concurrency.
+ * @private
+ * @param {TaskRun} run - Parent {@link TaskRun}.
+ * @param {Array<function>} starters - Functions which start a child run
+ *   (using {@link TaskRun#spawn}) and return it.
+ * @param {ConcurrencyOptions} options - Normalized options.
+ * @returns {Promise<Array<*>>}
+ */
+function runAll(run, starters, options) {
+  return new Promise(function(resolve, reject) {
+    var results = [];
+    var inFlight = [];
+    var next = 0;
+    var settled = 0;
+    var stopped = false;
+
+    function launch() {
+      while (!stopped
+        && run.status === 'pending'
+        && inFlight.length < options.concurrency
+        && next < starters.length) {
+        start(next++);
+      }
+    }
+
+    function start(i) {
+      var childRun = starters[i]();
+      inFlight.push(childRun);
+      childRun.promise.then(function(value) {
+        onSettled(i, childRun, { status: 'fulfilled', value: value });
+      }, function(reason) {
+        onSettled(i, childRun, { status: 'rejected', reason: reason });
+      });
+    }
+
+    function onSettled(i, childRun, outcome) {
+      inFlight.splice(inFlight.indexOf(childRun), 1);
+      settled++;
+      if (stopped) {
+        return;
+      }
+
+      if (outcome.status === 'rejected' && !options.settled) {
+        stopped = true;
+        if (options.stopOnError) {
+          inFlight.slice().forEach(function(sibling) {
+            sibling._cancel(errors.canceledBy(sibling, 'Canceled after task "'
+              + childRun.task.name + '" failed.', outcome.reason));
+          });
+        }
+        reject(outcome.reason);
+        return;
+      }
+
+      var result = options.settled ? outcome : outcome.value;
+      if (options.order === 'completion') {
+        results.push(result);
+      }
+      else {
+        results[i] = result;
+      }
+
+      if (settled === starters.length) {
+        resolve(results);
+        return;
+      }
+      launch();
+    }
+
+    if (starters.length === 0) {
+      resolve(results);
+      return;
+    }
+    launch();
+  });
+}
+
+/**
+ * Start all child runs and settle with the first one to settle (or, if
+ * "any" is set, the first one to be done). The remaining child runs are
+ * canceled once the outcome is decided.
+ * @private
+ * @param {TaskRun} run - Parent {@link TaskRun}.
+ * @param {Array<function>} starters - Functions which start a child run
+ *   (using {@link TaskRun#spawn}) and return it.
+ * @param {boolean} any - If true, wait for the first child run to be done,
+ *   and reject with a {@link TaskFailedError} whose "errors" are the reasons
+ *   of all the child runs only if all of them fail.
+ * @returns {Promise<*>}
+ */
+function runRace(run, starters, any) {
+  return new Promise(function(resolve, reject) {
+    var childRuns = [];
+    var failures = [];
+    var failed = 0;
+    var decided = false;
+
+    function decide(winner, settle, value) {
+      decided = true;
+      var message = 'Canceled after task "' + winner.task.name + '" '
+        + (winner.status === 'done' ? 'won.' : 'failed.');
+      childRuns.forEach(function(childRun) {
+        childRun._cancel(errors.canceledBy(childRun, message, value));
+      });
+      settle(value);
+    }
+
+    starters.forEach(function(starter, i) {
+      var childRun = starter();
+      childRuns.push(childRun);
+      childRun.promise.then(function(value) {
+        if (!decided) {
+          decide(childRun, resolve, value);
+        }
+      }, function(reason) {
+        if (decided) {
+          return;
+        }
+        if (!any) {
+          decide(childRun, reject, reason);
+          return;
+        }
+        failures[i] = reason;
+        if (++failed === starters.length) {
+          decided = true;
+          reject(new errors.TaskFailedError('Task "'
+            + errors.getPath(run).join(' > ') + '" failed: all the tasks failed.', {
+            run: run,
+            cause: createAggregateError(failures, 'All the tasks failed.'),
+            errors: failures
+          }));
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Create an AggregateError (or an Error with "errors" where AggregateError
+ * is not supported).
+ * @private
+ * @param {Array<*>} errors
+ * @param {string} message
+ * @returns {Error}
+ */
+function createAggregateError(errors, message) {
+  if (typeof AggregateError === 'function') {
+    return new AggregateError(errors, message);
+  }
+  var error = new Error(message);
+  error.errors = errors;
+  return error;
+}
+
+module.exports.normalize = normalize;
+module.exports.runAll = runAll;
+module.exports.runRace = runRace;
@@ -0,0 +1,270 @@
+'use strict';
+
+var FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN',
+    'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+var MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+var formatters = {};
+
+/**
+ * Create a new {@link CronExpression}.
+ * @class
+ * @classdesc A {@link CronExpression} is a parsed cron expression, with
+ *   either 5 fields (minute, hour, day of month, month, day of week) or 6
+ *   fields (second first). Fields can be "*", numbers, ranges ("1-5"), steps
+ *   ("*&#47;15", "0-30/10"), lists ("1,15") and names ("JAN", "MON"). As
+ *   in most crons, if both the day of month and the day of week are
+ *   restricted, a day matches if either of them does. The macros "@yearly",
+ *   "@annually", "@monthly", "@weekly", "@daily", "@midnight" and "@hourly"
+ *   are also supported. Times are matched in the given time zone (or the
+ *   local one); wall clock times which do not exist because of a daylight
+ *   saving time change are skipped.
+ * @example
+ * var weekdays = new CronExpression('30 9 * * MON-FRI', { timeZone: 'Asia/Kolkata' });
+ * var next = weekdays.next(new Date().getTime());
+ * @param {string} expression - The cron expression.
+ * @param {object} [options]
+ * @param {string} [options.timeZone] - IANA time zone, like "Europe/Paris".
+ * @constructor
+ * @property {string} expression - The cron expression.
+ * @property {?string} timeZone - The time zone, or null for the local one.
+ */
+function CronExpression(expression, options) {
+  options = options || {};
+  if (typeof expression !== 'string') {
+    throw new Error('Cron expression must be a string.');
+  }
+  var timeZone = options.timeZone || null;
+  if (timeZone) {
+    getFormatter(timeZone);
+  }
+
+  var fields = (MACROS[expression.trim().toLowerCase()] || expression).trim().split(/\s+/);
+  if (fields.length === 5) {
+    fields.unshift('0');
+  }
+  if (fields.length !== 6) {
+    throw new Error('Cron expression "' + expression + '" must have 5 or 6 fields.');
+  }
+
+  var parsed = {};
+  FIELDS.forEach(function(field, i) {
+    parsed[field.name] = parseField(expression, fields[i], field);
+  });
+  if (parsed.dayOfWeek[7]) {
+    parsed.dayOfWeek[0] = true;
+  }
+
+  Object.defineProperties(this, {
+    _fields: {
+      value: parsed
+    },
+    _hasSeconds: {
+      value: fields[0] !== '0'
+    },
+    _dayOfMonthStar: {
+      value: /^[*?]/.test(fields[3])
+    },
+    _dayOfWeekStar: {
+      value: /^[*?]/.test(fields[5])
+    },
+    expression: {
+      value: expression,
+      enumerable: true
+    },
+    timeZone: {
+      value: timeZone,
+      enumerable: true
+    }
+  });
+}
+
+/**
+ * Get the first time matching the expression after the given time.
+ * @param {number} after - Time (ms).
+ * @returns {?number} - Time (ms), or null if there is none in the next
+ *   thirty years.
+ */
+CronExpression.prototype.next = function next(after) {
+  var fields = this._fields;
+  var timeZone = this.timeZone;
+  var unit = this._hasSeconds ? 1000 : 60000;
+  var wallTime = Math.floor((after + getOffset(after, timeZone)) / unit) * unit + unit;
+  var date = new Date(wallTime);
+  var lastYear = date.getUTCFullYear() + 30;
+
+  while (date.getUTCFullYear() <= lastYear) {
+    var year = date.getUTCFullYear();
+    var month = date.getUTCMonth();
+    var day = date.getUTCDate();
+    var hour = date.getUTCHours();
+    var minute = date.getUTCMinutes();
+
+    if (!fields.month[month + 1]) {
+      date = new Date(Date.UTC(year, month + 1, 1));
+    } else if (!this._matchesDay(date)) {
+      date = new Date(Date.UTC(year, month, day + 1));
+    } else if (!fields.hour[hour]) {
+      date = new Date(Date.UTC(year, month, day, hour + 1));
+    } else if (!fields.minute[minute]) {
+      date = new Date(Date.UTC(year, month, day, hour, minute + 1));
+    } else if (!fields.second[date.getUTCSeconds()]) {
+      date = new Date(date.getTime() + 1000);
+    } else {
+      var time = toTime(date.getTime(), timeZone);
+      if (time !== null && time > after) {
+        return time;
+      }
+      date = new Date(date.getTime() + unit);
+    }
+  }
+  return null;
+};
+
+/**
+ * Whether the day of a wall clock time matches the expression.
+ * @private
+ * @param {Date} date - Wall clock time, as a UTC Date.
+ * @returns {boolean}
+ */
+CronExpression.prototype._matchesDay = function _matchesDay(date) {
+  var dayOfMonth = !!this._fields.dayOfMonth[date.getUTCDate()];
+  var dayOfWeek = !!this._fields.dayOfWeek[date.getUTCDay()];
+  return this._dayOfMonthStar || this._dayOfWeekStar
+    ? dayOfMonth && dayOfWeek
+    : dayOfMonth || dayOfWeek;
+};
+
+/**
+ * Parse a field of a cron expression.
+ * @private
+ * @param {string} expression - The whole expression, for error messages.
+ * @param {string} text - The field.
+ * @param {{name: string, min: number, max: number, names: ?Array<string>}} field
+ * @returns {Array<boolean>} - Whether each value matches.
+ */
+function parseField(expression, text, field) {
+  var values = [];
+  function invalid() {
+    return new Error('Cron expression "' + expression + '" has an invalid '
+      + field.name + ' field "' + text + '".');
+  }
+  function parseValue(value) {
+    var index = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+    if (index !== -1) {
+      return index + field.min;
+    }
+    if (!/^\d+$/.test(value) || +value < field.min || +value > field.max) {
+      throw invalid();
+    }
+    return +value;
+  }
+
+  text.split(',').forEach(function(part) {
+    var match = /^([^/]+)(?:\/(\d+))?$/.exec(part);
+    if (!match || match[2] === '0') {
+      throw invalid();
+    }
+    var range = match[1];
+    var step = match[2] ? +match[2] : 1;
+    var start = field.min;
+    var end = field.max;
+
+    if (range !== '*' && range !== '?') {
+      var bounds = range.split('-');
+      if (bounds.length > 2) {
+        throw invalid();
+      }
+      start = parseValue(bounds[0]);
+      end = bounds.length === 2 ? parseValue(bounds[1])
+        : match[2] ? field.max : start;
+      if (start > end) {
+        throw invalid();
+      }
+    }
+    for (var value = start; value <= end; value += step) {
+      values[value] = true;
+    }
+  });
+  return values;
+}
+
+/**
+ * Get the formatter of wall clock times in a time zone. It uses hour12
+ * (which every runtime supports, unlike hourCycle), so midnight can be
+ * formatted as hour 24.
+ * @private
+ * @param {string} timeZone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatters[timeZone]) {
+    try {
+      formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        hour12: false,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+    } catch (error) {
+      throw new Error('Invalid time zone "' + timeZone + '".');
+    }
+  }
+  return formatters[timeZone];
+}
+
+/**
+ * Get the offset (ms) of the wall clock time in a time zone from UTC.
+ * @private
+ * @param {number} time - Time (ms).
+ * @param {?string} timeZone - Time zone, or null for the local one.
+ * @returns {number}
+ */
+function getOffset(time, timeZone) {
+  if (!timeZone) {
+    return -new Date(time).getTimezoneOffset() * 60000;
+  }
+  var parts = {};
+  getFormatter(timeZone).formatToParts(new Date(time)).forEach(function(part) {
+    parts[part.type] = +part.value;
+  });
+  var wallTime = Date.UTC(parts.year, parts.month - 1, parts.day,
+    parts.hour % 24, parts.minute, parts.second);
+  return wallTime - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Get the time of a wall clock time in a time zone.
+ * @private
+ * @param {number} wallTime - Wall clock time (ms), as a UTC time.
+ * @param {?string} timeZone - Time zone, or null for the local one.
+ * @returns {?number} - Time (ms), or null if the wall clock time does not
+ *   exist in the time zone.
+ */
+function toTime(wallTime, timeZone) {
+  var time = wallTime - getOffset(wallTime, timeZone);
+  time = wallTime - getOffset(time, timeZone);
+  return time + getOffset(time, timeZone) === wallTime ? time : null;
+}
+
+module.exports = CronExpression;
@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * Add a listener for an event.
+ * @param {string} type - Event type.
+ * @param {function} listener - Called with the event object.
+ * @returns {this}
+ */
+function on(type, listener) {
+  if (typeof listener !== 'function') {
+    throw new Error('listener must be a function');
+  }
+  var listeners = this._listeners;
+  (listeners[type] = listeners[type] || []).push(listener);
+  return this;
+}
+
+/**
+ * Add a listener which is removed after it is called once.
+ * @param {string} type - Event type.
+ * @param {function} listener - Called with the event object.
+ * @returns {this}
+ */
+function once(type, listener) {
+  if (typeof listener !== 'function') {
+    throw new Error('listener must be a function');
+  }
+  var self = this;
+  function onceListener(event) {
+    self.off(type, onceListener);
+    listener.call(this, event);
+  }
+  onceListener.listener = listener;
+  return this.on(type, onceListener);
+}
+
+/**
+ * Remove a listener for an event.
+ * @param {string} type - Event type.
+ * @param {function} listener - Listener added with on() or once().
+ * @returns {this}
+ */
+function off(type, listener) {
+  var listeners = this._listeners[type] || [];
+  for (var i = 0; i < listeners.length; i++) {
+    if (listeners[i] === listener || listeners[i].listener === listener) {
+      listeners.splice(i, 1);
+      break;
+    }
+  }
+  return this;
+}
+
+/**
+ * Call the listeners of an event. An error thrown by a listener does not
+ * stop the other listeners from being called, and is re-thrown asynchronously.
+ * @param {string} type - Event type.
+ * @param {object} event - Event object.
+ * @returns {boolean} - true if there were listeners, false otherwise.
+ */
+function emit(type, event) {
+  var self = this;
+  var listeners = (this._listeners[type] || []).slice();
+  listeners.forEach(function(listener) {
+    try {
+      listener.call(self, event);
+    } catch (error) {
+      setTimeout(function() {
+        throw error;
+      });
+    }
+  });
+  return listeners.length > 0;
+}
+
+/**
+ * Add the event methods to an object, which must have a "_listeners" object.
+ * @private
+ * @param {object} target
+ * @returns {object}
+ */
+function mixin(target) {
+  target.on = on;
+  target.once = once;
+  target.off = off;
+  target.emit = emit;
+  return target;
+}
+
+module.exports.emit = emit;
+module.exports.mixin = mixin;
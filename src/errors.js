@@ -0,0 +1,398 @@
+'use strict';
+
+/**
+ * Create a new {@link TaskError}.
+ * @class
+ * @classdesc A {@link TaskError} is the base class of the errors with which
+ *   a {@link TaskRun}'s promise is rejected.
+ * @param {string} message - Error message.
+ * @param {object} [options]
+ * @param {TaskRun} [options.run] - The {@link TaskRun} which was rejected.
+ * @param {Task} [options.task] - The {@link Task}, if it has no {@link TaskRun}.
+ * @param {*} [options.cause] - The original error, if any.
+ * @param {*} [options.reason] - The user-supplied reason, if any.
+ * @constructor
+ * @property {?string} taskName - Name of the {@link Task}.
+ * @property {Array<string>} path - Names of the composite {@link Task}s
+ *   leading to the {@link Task}, ending with the {@link Task}'s own name.
+ * @property {?number} runId - Id of the {@link TaskRun}.
+ * @property {number} attempt - Attempt number of the {@link TaskRun}.
+ * @property {?(number|string)} step - Index (or {@link Task.graph} node
+ *   name) of the {@link TaskRun} within its parent.
+ * @property {*} cause - The original error, if any.
+ * @property {*} reason - The user-supplied reason, if any.
+ */
+function TaskError(message, options) {
+  options = options || {};
+  var run = options.run;
+  var task = run ? run.task : options.task;
+
+  this.message = message;
+  if (typeof Error.captureStackTrace === 'function') {
+    Error.captureStackTrace(this, this.constructor);
+  }
+  else {
+    this.stack = new Error(message).stack;
+  }
+
+  this.taskName = task ? task.name : null;
+  this.path = run ? getPath(run) : task ? [task.name] : [];
+  this.runId = run ? run.id : null;
+  this.attempt = run ? run.attempt : 1;
+  this.step = run ? run.step : null;
+
+  var self = this;
+  Object.keys(options).forEach(function(key) {
+    if (key !== 'run' && key !== 'task') {
+      self[key] = options[key];
+    }
+  });
+}
+
+TaskError.prototype = Object.create(Error.prototype);
+TaskError.prototype.constructor = TaskError;
+TaskError.prototype.name = 'TaskError';
+
+/**
+ * Create a new {@link TaskFailedError}.
+ * @class
+ * @classdesc A {@link TaskFailedError} is the reason with which a
+ *   {@link TaskRun}'s promise is rejected when its template fails. The
+ *   reason passed to failed() (or thrown) is its "cause" and "reason".
+ * @extends TaskError
+ * @param {string} message - Error message.
+ * @param {object} [options] - See {@link TaskError}.
+ * @constructor
+ */
+function TaskFailedError(message, options) {
+  TaskError.call(this, message, options);
+}
+
+TaskFailedError.prototype = Object.create(TaskError.prototype);
+TaskFailedError.prototype.constructor = TaskFailedError;
+TaskFailedError.prototype.name = 'TaskFailedError';
+
+/**
+ * Create a new {@link SagaError}.
+ * @class
+ * @classdesc A {@link SagaError} is the reason with which a {@link TaskRun}
+ *   of {@link Task.saga} is rejected when a step fails, after the completed
+ *   steps were compensated. The error of the step is its "cause".
+ * @extends TaskFailedError
+ * @param {string} message - Error message.
+ * @param {object} [options] - See {@link TaskError}.
+ * @constructor
+ * @property {number} failedStep - Index of the step which failed.
+ * @property {boolean} compensated - Whether all the compensations succeeded.
+ * @property {Array<TaskError>} compensationErrors - Errors of the
+ *   compensations which failed.
+ * @property {Array<TaskError>} errors - The error of the step, followed by
+ *   the errors of the compensations.
+ */
+function SagaError(message, options) {
+  TaskFailedError.call(this, message, options);
+}
+
+SagaError.prototype = Object.create(TaskFailedError.prototype);
+SagaError.prototype.constructor = SagaError;
+SagaError.prototype.name = 'SagaError';
+
+/**
+ * Create a new {@link ExecError}.
+ * @class
+ * @classdesc An {@link ExecError} is the reason with which a {@link TaskRun}
+ *   of {@link Task.exec} is rejected when its process exits with a non-zero
+ *   exit code, or is killed by a signal.
+ * @extends TaskFailedError
+ * @param {string} message - Error message.
+ * @param {object} [options] - See {@link TaskError}.
+ * @constructor
+ * @property {string} command - The command.
+ * @property {Array<string>} args - Its arguments.
+ * @property {?number} exitCode - Exit code, or null if it was killed.
+ * @property {?string} signal - Signal which killed it, or null.
+ * @property {string} stdout - Everything it wrote to stdout.
+ * @property {string} stderr - Everything it wrote to stderr.
+ */
+function ExecError(message, options) {
+  TaskFailedError.call(this, message, options);
+}
+
+ExecError.prototype = Object.create(TaskFailedError.prototype);
+ExecError.prototype.constructor = ExecError;
+ExecError.prototype.name = 'ExecError';
+
+/**
+ * Create a new {@link CanceledError}.
+ * @class
+ * @classdesc A {@link CanceledError} is the reason with which a
+ *   {@link TaskRun}'s promise is rejected when it is canceled. The reason
+ *   passed to cancel() is its "reason".
+ * @extends TaskError
+ * @param {string} message - Error message.
+ * @param {object} [options] - See {@link TaskError}.
+ * @constructor
+ */
+function CanceledError(message, options) {
+  TaskError.call(this, message, options);
+}
+
+CanceledError.prototype = Object.create(TaskError.prototype);
+CanceledError.prototype.constructor = CanceledError;
+CanceledError.prototype.name = 'CanceledError';
+
+/**
+ * Create a new {@link TimeoutError}.
+ * @class
+ * @classdesc A {@link TimeoutError} is the reason with which a
+ *   {@link TaskRun}'s promise is rejected when it times out. The reason
+ *   passed to timeout() is its "reason".
+ * @extends CanceledError
+ * @param {string} message - Error message.
+ * @param {object} [options] - See {@link TaskError}.
+ * @constructor
+ * @property {number} milliseconds - The timeout period.
+ */
+function TimeoutError(message, options) {
+  CanceledError.call(this, message, options);
+}
+
+TimeoutError.prototype = Object.create(CanceledError.prototype);
+TimeoutError.prototype.constructor = TimeoutError;
+TimeoutError.prototype.name = 'TimeoutError';
+
+/**
+ * Create a new {@link RateLimitError}.
+ * @class
+ * @classdesc A {@link RateLimitError} is the reason with which a
+ *   {@link TaskRun} of {@link Task.rateLimit} is rejected when it would have
+ *   to wait longer than "maxWait" for the rate limit.
+ * @extends TaskError
+ * @param {string} message - Error message.
+ * @param {object} [options] - See {@link TaskError}.
+ * @constructor
+ * @property {number} delay - The time (ms) the run would have to wait.
+ * @property {number} maxWait - The maximum time (ms) a run can wait.
+ */
+function RateLimitError(message, options) {
+  TaskError.call(this, message, options);
+}
+
+RateLimitError.prototype = Object.create(TaskError.prototype);
+RateLimitError.prototype.constructor = RateLimitError;
+RateLimitError.prototype.name = 'RateLimitError';
+
+/**
+ * Create a new {@link CircuitOpenError}.
+ * @class
+ * @classdesc A {@link CircuitOpenError} is the reason with which a
+ *   {@link TaskRun} of {@link Task.circuitBreaker} is rejected when the
+ *   circuit does not let it through.
+ * @extends TaskError
+ * @param {string} message - Error message.
+ * @param {object} [options] - See {@link TaskError}.
+ * @constructor
+ * @property {string} state - State of the circuit ('open' or 'half-open').
+ * @property {number} retryAfter - Time (ms) after which the circuit is
+ *   half-open.
+ */
+function CircuitOpenError(message, options) {
+  TaskError.call(this, message, options);
+}
+
+CircuitOpenError.prototype = Object.create(TaskError.prototype);
+CircuitOpenError.prototype.constructor = CircuitOpenError;
+CircuitOpenError.prototype.name = 'CircuitOpenError';
+
+/**
+ * Get the names of the {@link Task}s from the root {@link TaskRun} to
+ * the given {@link TaskRun}.
+ * @private
+ * @param {TaskRun} run
+ * @returns {Array<string>}
+ */
+function getPath(run) {
+  var path = [];
+  for (; run; run = run.parent) {
+    path.unshift(run.task.name);
+  }
+  return path;
+}
+
+/**
+ * Create the {@link TaskFailedError} for a {@link TaskRun} whose template
+ * failed with the given reason. {@link TaskError}s (like the ones of failed
+ * child runs) are returned as is, so that they identify the {@link Task}
+ * where the failure originated.
+ * @private
+ * @param {TaskRun} run - The failed {@link TaskRun}.
+ * @param {*} reason - Reason passed to failed() or thrown by the template.
+ * @returns {TaskError}
+ */
+function failed(run, reason) {
+  if (reason instanceof TaskError) {
+    return reason;
+  }
+  var detail = reason instanceof Error ? reason.message : reason;
+  return new TaskFailedError('Task "' + getPath(run).join(' > ') + '" failed'
+    + (typeof detail === 'undefined' ? '.' : ': ' + detail), {
+    run: run,
+    cause: reason,
+    reason: reason
+  });
+}
+
+/**
+ * Create the {@link CanceledError} for a {@link TaskRun} that was canceled.
+ * @private
+ * @param {TaskRun} run - The canceled {@link TaskRun}.
+ * @param {*} reason - Reason passed to cancel().
+ * @returns {CanceledError}
+ */
+function canceled(run, reason) {
+  return new CanceledError('Task "' + getPath(run).join(' > ')
+    + '" was canceled.', {
+    run: run,
+    cause: reason,
+    reason: reason
+  });
+}
+
+/**
+ * Create the {@link CanceledError} for a {@link TaskRun} that was canceled
+ * by the library because of another {@link TaskRun}'s outcome.
+ * @private
+ * @param {TaskRun} run - The canceled {@link TaskRun}.
+ * @param {string} message - Error message.
+ * @param {*} cause - The outcome which caused the cancellation.
+ * @returns {CanceledError}
+ */
+function canceledBy(run, message, cause) {
+  return new CanceledError(message, {
+    run: run,
+    cause: cause,
+    reason: cause instanceof TaskError ? cause.reason : cause
+  });
+}
+
+/**
+ * Create the {@link TimeoutError} for a {@link TaskRun} that timed out.
+ * @private
+ * @param {TaskRun} run - The timed out {@link TaskRun}.
+ * @param {number} milliseconds - The timeout period.
+ * @param {*} reason - Reason passed to timeout().
+ * @returns {TimeoutError}
+ */
+function timedOut(run, milliseconds, reason) {
+  return new TimeoutError('Task "' + getPath(run).join(' > ')
+    + '" timed out after ' + milliseconds + 'ms.', {
+    run: run,
+    milliseconds: milliseconds,
+    reason: reason
+  });
+}
+
+/**
+ * Create the {@link CircuitOpenError} for a {@link TaskRun} that the circuit
+ * did not let through.
+ * @private
+ * @param {TaskRun} run - The rejected {@link TaskRun}.
+ * @param {string} state - State of the circuit.
+ * @param {number} retryAfter - Time (ms) after which the circuit is half-open.
+ * @returns {CircuitOpenError}
+ */
+function circuitOpen(run, state, retryAfter) {
+  return new CircuitOpenError('Task "' + getPath(run).join(' > ')
+    + '" was not run because the circuit is ' + state + '.', {
+    run: run,
+    state: state,
+    retryAfter: retryAfter
+  });
+}
+
+/**
+ * Create the {@link SagaError} for a {@link TaskRun} of {@link Task.saga}
+ * whose step failed.
+ * @private
+ * @param {TaskRun} run - The {@link TaskRun} of the saga.
+ * @param {number} failedStep - Index of the step which failed.
+ * @param {TaskError} error - Error of the step.
+ * @param {Array<TaskError>} compensationErrors - Errors of the compensations.
+ * @returns {SagaError}
+ */
+function sagaFailed(run, failedStep, error, compensationErrors) {
+  return new SagaError('Task "' + getPath(run).join(' > ') + '" failed at step '
+    + failedStep + (compensationErrors.length
+      ? ' and ' + compensationErrors.length + ' compensation(s) failed.'
+      : ' and was compensated.'), {
+    run: run,
+    cause: error,
+    reason: error.reason,
+    failedStep: failedStep,
+    compensated: compensationErrors.length === 0,
+    compensationErrors: compensationErrors,
+    errors: [error].concat(compensationErrors)
+  });
+}
+
+/**
+ * Create the {@link ExecError} for a {@link TaskRun} of {@link Task.exec}
+ * whose process failed.
+ * @private
+ * @param {TaskRun} run - The failed {@link TaskRun}.
+ * @param {string} command - The command.
+ * @param {Array<string>} args - Its arguments.
+ * @param {ExecResult} result - The result of the process.
+ * @returns {ExecError}
+ */
+function execFailed(run, command, args, result) {
+  return new ExecError('Task "' + getPath(run).join(' > ') + '" failed: "'
+    + [command].concat(args).join(' ') + '" ' + (result.signal
+      ? 'was killed by ' + result.signal + '.'
+      : 'exited with code ' + result.exitCode + '.'), {
+    run: run,
+    command: command,
+    args: args,
+    exitCode: result.exitCode,
+    signal: result.signal,
+    stdout: result.stdout,
+    stderr: result.stderr
+  });
+}
+
+/**
+ * Create the {@link RateLimitError} for a {@link TaskRun} that would have to
+ * wait too long for the rate limit.
+ * @private
+ * @param {TaskRun} run - The rate limited {@link TaskRun}.
+ * @param {number} delay - The time (ms) the run would have to wait.
+ * @param {number} maxWait - The maximum time (ms) a run can wait.
+ * @returns {RateLimitError}
+ */
+function rateLimited(run, delay, maxWait) {
+  return new RateLimitError('Task "' + getPath(run).join(' > ')
+    + '" would wait ' + delay + 'ms for the rate limit (more than '
+    + maxWait + 'ms).', {
+    run: run,
+    delay: delay,
+    maxWait: maxWait
+  });
+}
+
+module.exports.CanceledError = CanceledError;
+module.exports.CircuitOpenError = CircuitOpenError;
+module.exports.ExecError = ExecError;
+module.exports.RateLimitError = RateLimitError;
+module.exports.SagaError = SagaError;
+module.exports.TaskError = TaskError;
+module.exports.TaskFailedError = TaskFailedError;
+module.exports.TimeoutError = TimeoutError;
+module.exports.canceled = canceled;
+module.exports.canceledBy = canceledBy;
+module.exports.circuitOpen = circuitOpen;
+module.exports.execFailed = execFailed;
+module.exports.failed = failed;
+module.exports.getPath = getPath;
+module.exports.rateLimited = rateLimited;
+module.exports.sagaFailed = sagaFailed;
+module.exports.timedOut = timedOut;
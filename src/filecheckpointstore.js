@@ -0,0 +1,144 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+var tempCount = 0;
+
+/**
+ * Create a new {@link FileCheckpointStore} (Node.js only).
+ * @class
+ * @classdesc A {@link FileCheckpointStore} is a {@link CheckpointStore}
+ *   which keeps each record in a JSON file of a directory, so that runs can
+ *   be resumed after the process exits. Files are replaced atomically, so a
+ *   crash while writing a record leaves the previous one.
+ * @example
+ * var migrate = Task.durableSequence('migrate', steps, {
+ *    store: new Task.FileCheckpointStore('.checkpoints')
+ * });
+ * @param {string} directory - Directory of the files, which is created if
+ *   needed.
+ * @constructor
+ * @property {string} directory - Absolute path of the directory.
+ */
+function FileCheckpointStore(directory) {
+  if (typeof directory !== 'string') {
+    throw new Error('FileCheckpointStore directory must be a string.');
+  }
+  Object.defineProperties(this, {
+    directory: {
+      value: path.resolve(directory),
+      enumerable: true
+    }
+  });
+}
+
+/**
+ * Get the record of a run.
+ * @param {string} runId
+ * @returns {Promise<CheckpointRecord|undefined>}
+ */
+FileCheckpointStore.prototype.get = function get(runId) {
+  return readJson(this._file(runId));
+};
+
+/**
+ * Set the record of a run.
+ * @param {string} runId
+ * @param {CheckpointRecord} record
+ * @returns {Promise}
+ */
+FileCheckpointStore.prototype.set = function set(runId, record) {
+  var file = this._file(runId);
+  var temp = file + '.' + process.pid + '-' + (++tempCount) + '.tmp';
+  var json = JSON.stringify(record);
+  var directory = this.directory;
+
+  return call(fs.mkdir, directory, { recursive: true }).then(function() {
+    return call(fs.writeFile, temp, json);
+  }).then(function() {
+    return call(fs.rename, temp, file);
+  });
+};
+
+/**
+ * Remove the record of a run.
+ * @param {string} runId
+ * @returns {Promise}
+ */
+FileCheckpointStore.prototype.delete = function _delete(runId) {
+  return call(fs.unlink, this._file(runId)).catch(ignoreMissing);
+};
+
+/**
+ * Get all the records.
+ * @returns {Promise<Array<CheckpointRecord>>}
+ */
+FileCheckpointStore.prototype.list = function list() {
+  var directory = this.directory;
+  return call(fs.readdir, directory).catch(function(error) {
+    ignoreMissing(error);
+    return [];
+  }).then(function(files) {
+    return Promise.all(files.filter(function(file) {
+      return /\.json$/.test(file);
+    }).map(function(file) {
+      return readJson(path.join(directory, file));
+    }));
+  }).then(function(records) {
+    return records.filter(Boolean);
+  });
+};
+
+/**
+ * Get the path of the file of a run.
+ * @private
+ * @param {string} runId
+ * @returns {string}
+ */
+FileCheckpointStore.prototype._file = function _file(runId) {
+  return path.join(this.directory, encodeURIComponent(runId) + '.json');
+};
+
+/**
+ * Call a Node.js callback-style function.
+ * @private
+ * @param {function} fn
+ * @param {...*} arguments - Arguments for the function.
+ * @returns {Promise}
+ */
+function call(fn) {
+  var args = [].slice.call(arguments, 1);
+  return new Promise(function(resolve, reject) {
+    fn.apply(null, args.concat([function(error, result) {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(result);
+    }]));
+  });
+}
+
+/**
+ * Read a JSON file.
+ * @private
+ * @param {string} file
+ * @returns {Promise<*>} - Resolved with undefined if the file does not exist.
+ */
+function readJson(file) {
+  return call(fs.readFile, file, 'utf8').then(JSON.parse, ignoreMissing);
+}
+
+/**
+ * Rethrow an error, unless it is about a missing file.
+ * @private
+ * @param {Error} error
+ */
+function ignoreMissing(error) {
+  if (error.code !== 'ENOENT') {
+    throw error;
+  }
+}
+
+module.exports = FileCheckpointStore;
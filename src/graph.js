@@ -0,0 +1,155 @@
+'use strict';
+
+var errors = require('./errors');
+
+/**
+ * A node of a {@link Task.graph}.
+ * @typedef {object} GraphNode
+ * @property {Task|function} task - {@link Task}/template of the node.
+ * @property {Array<string>} [deps] - Names of the nodes which have to be
+ *   done before this node is started.
+ */
+
+/**
+ * Validate the dependencies of the nodes of a graph and sort the nodes
+ * so that every node comes after its dependencies.
+ * @private
+ * @param {Object<string, {deps: Array<string>}>} nodes
+ * @returns {Array<string>} - Names of the nodes in topological order.
+ */
+function sort(nodes) {
+  var order = [];
+  var state = {};
+
+  function visit(name, path) {
+    if (state[name] === 'visited') {
+      return;
+    }
+    if (state[name] === 'visiting') {
+      var cycle = path.slice(path.indexOf(name)).concat([name]);
+      throw new Error('Task graph has a cycle: ' + cycle.join(' > ') + '.');
+    }
+    state[name] = 'visiting';
+    nodes[name].deps.forEach(function(dep) {
+      if (!Object.prototype.hasOwnProperty.call(nodes, dep)) {
+        throw new Error('Task graph node "' + name
+          + '" depends on unknown node "' + dep + '".');
+      }
+      visit(dep, path.concat([name]));
+    });
+    state[name] = 'visited';
+    order.push(name);
+  }
+
+  Object.keys(nodes).forEach(function(name) {
+    visit(name, []);
+  });
+  return order;
+}
+
+/**
+ * Run the nodes of a graph as child runs, each one as soon as its
+ * dependencies are done. Nodes without dependencies are called with "args";
+ * other nodes are called with the results of their dependencies.
+ * @private
+ * @param {TaskRun} run - Parent {@link TaskRun}.
+ * @param {Object<string, {task: Task, deps: Array<string>}>} nodes
+ * @param {Array<string>} order - Names of the nodes in topological order.
+ * @param {Array<*>} args - Arguments for the nodes without dependencies.
+ * @param {{concurrency: number, failFast: boolean}} options
+ * @returns {Promise<Object<string, *>>}
+ */
+function runGraph(run, nodes, order, args, options) {
+  return new Promise(function(resolve, reject) {
+    var results = {};
+    var failures = {};
+    var skipped = [];
+    var state = {};
+    var inFlight = [];
+    var finished = 0;
+    var stopped = false;
+
+    function launch() {
+      order.forEach(function(name) {
+        if (stopped || state[name] || run.status !== 'pending') {
+          return;
+        }
+        var deps = nodes[name].deps;
+        var blocked = deps.some(function(dep) {
+          return state[dep] === 'failed' || state[dep] === 'skipped';
+        });
+        if (blocked) {
+          state[name] = 'skipped';
+          skipped.push(name);
+          finished++;
+          return;
+        }
+        var ready = deps.every(function(dep) {
+          return state[dep] === 'done';
+        });
+        if (ready && inFlight.length < options.concurrency) {
+          start(name, deps.length ? deps.map(function(dep) {
+            return results[dep];
+          }) : args);
+        }
+      });
+
+      if (!stopped && finished === order.length) {
+        stopped = true;
+        if (Object.keys(failures).length) {
+          reject(new errors.TaskFailedError('Task "'
+            + errors.getPath(run).join(' > ') + '" failed at node(s): '
+            + Object.keys(failures).join(', ') + '.', {
+            run: run,
+            errors: failures,
+            results: results,
+            skipped: skipped
+          }));
+          return;
+        }
+        resolve(results);
+      }
+    }
+
+    function start(name, nodeArgs) {
+      var childRun = run.spawn(nodes[name].task, nodeArgs, { step: name });
+      state[name] = 'running';
+      inFlight.push(childRun);
+      childRun.promise.then(function(result) {
+        onSettled(name, childRun, 'done', result);
+      }, function(reason) {
+        onSettled(name, childRun, 'failed', reason);
+      });
+    }
+
+    function onSettled(name, childRun, status, value) {
+      inFlight.splice(inFlight.indexOf(childRun), 1);
+      state[name] = status;
+      finished++;
+      if (stopped) {
+        return;
+      }
+      if (status === 'done') {
+        results[name] = value;
+      }
+      else if (options.failFast) {
+        stopped = true;
+        inFlight.slice().forEach(function(sibling) {
+          sibling._cancel(errors.canceledBy(sibling,
+            'Canceled after task graph node "' + name + '" failed.', value));
+        });
+        reject(value);
+        return;
+      }
+      else {
+        failures[name] = value;
+      }
+      launch();
+    }
+
+    launch();
+  });
+}
+
+module.exports.runGraph = runGraph;
+module.exports.sort = sort;
@@ -0,0 +1,268 @@
+'use strict';
+
+var errors = require('./errors');
+
+var ORDERS = ['input', 'completion'];
+
+/**
+ * The outputs of the runs of {@link Task.mapStream}, by {@link TaskRun}.
+ * @private
+ * @type {WeakMap<TaskRun, Output>}
+ */
+var outputs = new WeakMap();
+
+/**
+ * Where a run of {@link Task.mapStream} puts its results, if they are read
+ * with an iterator.
+ * @private
+ * @typedef {object} Output
+ * @property {boolean} read - Whether the results are read; if not, they are
+ *   dropped.
+ * @property {Array<*>} results - Results which were not read yet.
+ * @property {function} onResult - Called when a result is added.
+ * @property {function} onRead - Called when a result is read.
+ */
+
+/**
+ * Validate the options of {@link Task.mapStream} and fill in their defaults.
+ * @private
+ * @param {object} [options]
+ * @returns {{concurrency: number, order: string, highWaterMark: number}}
+ */
+function normalize(options) {
+  options = options || {};
+  ['concurrency', 'highWaterMark'].forEach(function(key) {
+    if (typeof options[key] !== 'undefined'
+      && (typeof options[key] !== 'number' || options[key] < 1)) {
+      throw new Error('"' + key + '" must be a number greater than 0.');
+    }
+  });
+  if (typeof options.order !== 'undefined' && ORDERS.indexOf(options.order) === -1) {
+    throw new Error('"order" must be one of: ' + ORDERS.join(', ') + '.');
+  }
+  var concurrency = options.concurrency || 1;
+  return {
+    concurrency: concurrency,
+    order: options.order || 'input',
+    highWaterMark: options.highWaterMark || concurrency
+  };
+}
+
+/**
+ * Get an iterator over the items of an async iterable (like a Node.js
+ * Readable stream) or an iterable (like an array).
+ * @private
+ * @param {*} source
+ * @returns {?{next: function, return: function}} - null if the source is not
+ *   iterable. next() always returns a Promise.
+ */
+function toIterator(source) {
+  var iterator = null;
+  if (source && typeof Symbol === 'function') {
+    if (Symbol.asyncIterator && typeof source[Symbol.asyncIterator] === 'function') {
+      iterator = source[Symbol.asyncIterator]();
+    }
+    else if (typeof source[Symbol.iterator] === 'function' && typeof source !== 'string') {
+      iterator = source[Symbol.iterator]();
+    }
+  }
+  if (!iterator) {
+    return null;
+  }
+  return {
+    next: function next() {
+      return Promise.resolve(iterator.next());
+    },
+    return: function _return() {
+      if (typeof iterator.return === 'function') {
+        Promise.resolve(iterator.return()).catch(function() {});
+      }
+    }
+  };
+}
+
+/**
+ * Get the {@link Output} of a run, creating it if needed.
+ * @private
+ * @param {TaskRun} run
+ * @returns {Output}
+ */
+function getOutput(run) {
+  if (!outputs.has(run)) {
+    outputs.set(run, {
+      read: false,
+      results: [],
+      onResult: function() {},
+      onRead: function() {}
+    });
+  }
+  return outputs.get(run);
+}
+
+/**
+ * Map the items of a source, starting a child run for each of them, with
+ * at most "concurrency" child runs in flight. The next item is only read
+ * from the source when a child run can be started, and when fewer than
+ * "highWaterMark" results are waiting to be read (or to be put in order).
+ * @private
+ * @param {TaskRun} run - Parent {@link TaskRun}.
+ * @param {{next: function, return: function}} iterator - Iterator over the
+ *   items (see {@link toIterator}).
+ * @param {function} start - Called with an item and its index; starts a
+ *   child run (using {@link TaskRun#spawn}) and returns it.
+ * @param {{concurrency: number, order: string, highWaterMark: number}} options
+ * @returns {Promise<number>} - Resolved with the number of items once they
+ *   are all mapped, or rejected with the error of the first child run which
+ *   failed (the other child runs are then canceled).
+ */
+function mapAll(run, iterator, start, options) {
+  var output = getOutput(run);
+  var unordered = {};
+  var unorderedCount = 0;
+  var nextIndex = 0;
+  var count = 0;
+  var inFlight = [];
+  var reading = false;
+  var exhausted = false;
+  var settled = false;
+
+  run.onCancel(iterator.return);
+
+  return new Promise(function(resolve, reject) {
+    function fail(error, childRun) {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      iterator.return();
+      var message = childRun
+        ? 'Canceled after task "' + childRun.task.name + '" failed.'
+        : 'Canceled after the source failed.';
+      inFlight.slice().forEach(function(sibling) {
+        sibling._cancel(errors.canceledBy(sibling, message, error));
+      });
+      reject(error);
+    }
+
+    function emit(result) {
+      if (output.read) {
+        output.results.push(result);
+        output.onResult();
+      }
+    }
+
+    function complete(i, childRun, result) {
+      inFlight.splice(inFlight.indexOf(childRun), 1);
+      if (options.order === 'completion') {
+        emit(result);
+      }
+      else {
+        unordered[i] = result;
+        unorderedCount++;
+        while (nextIndex in unordered) {
+          result = unordered[nextIndex];
+          delete unordered[nextIndex++];
+          unorderedCount--;
+          emit(result);
+        }
+      }
+      pump();
+    }
+
+    function pump() {
+      if (settled || run.status !== 'pending') {
+        return;
+      }
+      if (exhausted && inFlight.length === 0) {
+        settled = true;
+        resolve(count);
+        return;
+      }
+      var waiting = unorderedCount + (output.read ? output.results.length : 0);
+      if (reading || exhausted || inFlight.length >= options.concurrency
+        || waiting >= options.highWaterMark) {
+        return;
+      }
+      reading = true;
+      iterator.next().then(function(step) {
+        reading = false;
+        if (step.done) {
+          exhausted = true;
+        }
+        else {
+          var i = count++;
+          var childRun = start(step.value, i);
+          inFlight.push(childRun);
+          childRun.promise.then(function(result) {
+            complete(i, childRun, result);
+          }, function(reason) {
+            inFlight.splice(inFlight.indexOf(childRun), 1);
+            fail(reason, childRun);
+          });
+        }
+        pump();
+      }, fail);
+    }
+
+    output.onRead = pump;
+    pump();
+  });
+}
+
+/**
+ * Read the results of a run of {@link Task.mapStream} with an async
+ * iterator, which is also an async iterable. Breaking out of a for await
+ * loop (or calling return()) cancels the run.
+ * @private
+ * @param {TaskRun} run
+ * @returns {object}
+ */
+function iterate(run) {
+  var output = getOutput(run);
+  var waiting = [];
+  output.read = true;
+
+  function flush() {
+    while (waiting.length && (output.results.length || run.status !== 'pending')) {
+      var next = waiting.shift();
+      if (output.results.length) {
+        next.resolve({ value: output.results.shift(), done: false });
+        output.onRead();
+      }
+      else if (run.status === 'done') {
+        next.resolve({ value: undefined, done: true });
+      }
+      else {
+        run.promise.catch(next.reject);
+      }
+    }
+  }
+
+  output.onResult = flush;
+  run.promise.then(flush, flush);
+
+  var iterator = {
+    run: run,
+    next: function next() {
+      return new Promise(function(resolve, reject) {
+        waiting.push({ resolve: resolve, reject: reject });
+        flush();
+      });
+    },
+    return: function _return(value) {
+      run.cancel('The iteration was stopped.');
+      return Promise.resolve({ value: value, done: true });
+    }
+  };
+  if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+    iterator[Symbol.asyncIterator] = function() {
+      return iterator;
+    };
+  }
+  return iterator;
+}
+
+module.exports.iterate = iterate;
+module.exports.mapAll = mapAll;
+module.exports.normalize = normalize;
+module.exports.toIterator = toIterator;
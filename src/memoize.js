@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * An entry of a {@link MemoStore}.
+ * @typedef {object} MemoEntry
+ * @property {boolean} failed - Whether the run failed.
+ * @property {*} [value] - Result of the run, if done.
+ * @property {*} [reason] - Reason the run failed with, if failed.
+ * @property {?number} expires - Timestamp (ms) after which the entry is
+ *   stale, or null if it never is.
+ */
+
+/**
+ * The interface of the stores used by {@link Task#memoize}. Every method
+ * can either return its result or a Promise for it, so a store can be backed
+ * by anything from a Map to a file or a database.
+ * @typedef {object} MemoStore
+ * @property {function} get - Called with a key; returns the
+ *   {@link MemoEntry}, or undefined if there is none.
+ * @property {function} set - Called with a key and a {@link MemoEntry}.
+ * @property {function} delete - Called with a key.
+ * @property {function} clear - Removes all the entries.
+ */
+
+/**
+ * Create a new {@link MemoryStore}.
+ * @class
+ * @classdesc A {@link MemoryStore} is an in-memory {@link MemoStore} which
+ *   evicts the least recently used entry once it has "maxEntries" entries.
+ * @param {number} [maxEntries=Infinity] - Maximum number of entries.
+ * @constructor
+ * @property {number} maxEntries - Maximum number of entries.
+ * @property {number} size - Number of entries.
+ */
+function MemoryStore(maxEntries) {
+  if (typeof maxEntries !== 'undefined'
+    && (typeof maxEntries !== 'number' || maxEntries < 1)) {
+    throw new Error('"maxEntries" must be a number greater than 0.');
+  }
+  Object.defineProperties(this, {
+    _entries: {
+      value: new Map()
+    },
+    maxEntries: {
+      value: maxEntries || Infinity,
+      enumerable: true
+    },
+    size: {
+      enumerable: true,
+      get: function() {
+        return this._entries.size;
+      }
+    }
+  });
+}
+
+/**
+ * Get the entry for a key, and mark it as the most recently used one.
+ * @param {string} key
+ * @returns {MemoEntry|undefined}
+ */
+MemoryStore.prototype.get = function get(key) {
+  var entries = this._entries;
+  if (!entries.has(key)) {
+    return undefined;
+  }
+  var entry = entries.get(key);
+  entries.delete(key);
+  entries.set(key, entry);
+  return entry;
+};
+
+/**
+ * Set the entry for a key, evicting the least recently used entry if there
+ * are too many.
+ * @param {string} key
+ * @param {MemoEntry} entry
+ */
+MemoryStore.prototype.set = function set(key, entry) {
+  var entries = this._entries;
+  entries.delete(key);
+  entries.set(key, entry);
+  if (entries.size > this.maxEntries) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+/**
+ * Remove the entry for a key.
+ * @param {string} key
+ */
+MemoryStore.prototype.delete = function _delete(key) {
+  this._entries.delete(key);
+};
+
+/**
+ * Remove all the entries.
+ */
+MemoryStore.prototype.clear = function clear() {
+  this._entries.clear();
+};
+
+/**
+ * Validate the options of {@link Task#memoize} and fill in their defaults.
+ * @private
+ * @param {object} [options]
+ * @returns {{key: function, ttl: number, negativeTtl: number, store: MemoStore}}
+ */
+function normalize(options) {
+  options = options || {};
+  if (typeof options.key !== 'undefined' && typeof options.key !== 'function') {
+    throw new Error('Memoize "key" must be a function.');
+  }
+  ['ttl', 'negativeTtl'].forEach(function(key) {
+    if (typeof options[key] !== 'undefined'
+      && (typeof options[key] !== 'number' || options[key] < 0)) {
+      throw new Error('Memoize "' + key + '" must be a non-negative number.');
+    }
+  });
+  if (options.store && options.maxEntries) {
+    throw new Error('"store" and "maxEntries" cannot be used together.');
+  }
+  var store = options.store || new MemoryStore(options.maxEntries);
+  ['get', 'set', 'delete', 'clear'].forEach(function(method) {
+    if (typeof store[method] !== 'function') {
+      throw new Error('Memoize "store" must have a ' + method + '() method.');
+    }
+  });
+
+  return {
+    key: options.key || function(args) {
+      return JSON.stringify(args);
+    },
+    ttl: typeof options.ttl === 'number' ? options.ttl : Infinity,
+    negativeTtl: options.negativeTtl || 0,
+    store: store
+  };
+}
+
+/**
+ * Create a {@link MemoEntry}.
+ * @private
+ * @param {string} status - 'done' or 'failed'.
+ * @param {*} value - Result or reason.
+ * @param {number} ttl - Time (ms) for which the entry is fresh.
+ * @returns {MemoEntry}
+ */
+function createEntry(status, value, ttl) {
+  var entry = {
+    failed: status === 'failed',
+    expires: ttl === Infinity ? null : new Date().getTime() + ttl
+  };
+  entry[status === 'failed' ? 'reason' : 'value'] = value;
+  return entry;
+}
+
+/**
+ * Whether a {@link MemoEntry} exists and is not stale.
+ * @private
+ * @param {MemoEntry} [entry]
+ * @returns {boolean}
+ */
+function isFresh(entry) {
+  return !!entry && (entry.expires === null || entry.expires > new Date().getTime());
+}
+
+module.exports.MemoryStore = MemoryStore;
+module.exports.createEntry = createEntry;
+module.exports.isFresh = isFresh;
+module.exports.normalize = normalize;
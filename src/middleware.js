@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * The context passed to a middleware.
+ * @typedef {object} MiddlewareContext
+ * @property {string} name - Name of the {@link Task}.
+ * @property {Task} task - The {@link Task}.
+ * @property {Array<*>} args - Arguments for the task template. A middleware
+ *   can replace them before calling next().
+ * @property {TaskRun} run - The {@link TaskRun}.
+ * @property {number} runId - Id of the {@link TaskRun}.
+ * @property {?TaskRun} parent - Parent {@link TaskRun}, if any.
+ * @property {number} attempt - Attempt number of the {@link TaskRun}.
+ * @property {?(number|string)} step - Index (or {@link Task.graph} node
+ *   name) of the {@link TaskRun} within its parent.
+ */
+
+/**
+ * Add a middleware, which is called with a {@link MiddlewareContext} and a
+ * next() function for every subsequent run. next([args]) calls the next
+ * middleware (or the task template) and returns a Promise for its result.
+ * The run settles with whatever the middleware returns (or throws).
+ * @param {function} middleware - Called with (context, next).
+ * @returns {this}
+ */
+function use(middleware) {
+  if (typeof middleware !== 'function') {
+    throw new Error('middleware must be a function');
+  }
+  this._middleware.push(middleware);
+  return this;
+}
+
+/**
+ * Remove a middleware added with use().
+ * @param {function} middleware
+ * @returns {this}
+ */
+function unuse(middleware) {
+  var index = this._middleware.indexOf(middleware);
+  if (index !== -1) {
+    this._middleware.splice(index, 1);
+  }
+  return this;
+}
+
+/**
+ * Call a list of middleware around a task template.
+ * @private
+ * @param {Array<function>} middleware
+ * @param {TaskRun} taskRun - The {@link TaskRun}.
+ * @param {function} invoke - Called with the arguments for the task
+ *   template; returns a Promise for its result.
+ * @returns {Promise<*>}
+ */
+function run(middleware, taskRun, invoke) {
+  var context = {
+    name: taskRun.task.name,
+    task: taskRun.task,
+    args: taskRun.args.slice(),
+    run: taskRun,
+    runId: taskRun.id,
+    parent: taskRun.parent,
+    attempt: taskRun.attempt,
+    step: taskRun.step
+  };
+
+  function dispatch(i) {
+    if (i === middleware.length) {
+      return invoke(context.args);
+    }
+    return new Promise(function(resolve) {
+      resolve(middleware[i](context, function next(args) {
+        if (Array.isArray(args)) {
+          context.args = args;
+        }
+        return dispatch(i + 1);
+      }));
+    });
+  }
+
+  return dispatch(0);
+}
+
+/**
+ * Add use() and unuse() to an object, which must have a "_middleware" array.
+ * @private
+ * @param {object} target
+ * @returns {object}
+ */
+function mixin(target) {
+  target.use = use;
+  target.unuse = unuse;
+  return target;
+}
+
+module.exports.mixin = mixin;
+module.exports.run = run;
@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Validate the weights of the child {@link Task}s of a composite
+ * {@link Task}.
+ * @private
+ * @param {Array<number>} [weights]
+ * @param {number} count - Number of child {@link Task}s.
+ * @returns {?Array<number>} - The weights, or null if not given.
+ */
+function normalizeWeights(weights, count) {
+  if (typeof weights === 'undefined') {
+    return null;
+  }
+  if (!Array.isArray(weights) || weights.length !== count || !weights.every(isWeight)) {
+    throw new Error('"weights" must be an array of ' + count
+      + ' non-negative number(s).');
+  }
+  return weights;
+}
+
+/**
+ * Whether a value is a valid weight.
+ * @private
+ * @param {*} weight
+ * @returns {boolean}
+ */
+function isWeight(weight) {
+  return typeof weight === 'number' && weight >= 0 && isFinite(weight);
+}
+
+/**
+ * Report the progress of a {@link TaskRun} as the weighted average of the
+ * progress of its child runs. A child run counts as complete once it
+ * settles. The detail of each report is {index, child, detail}, where
+ * "detail" is the one reported by the child run.
+ * @private
+ * @param {TaskRun} run - Parent {@link TaskRun}.
+ * @param {Array<number>} weights - Weight of each child run.
+ * @returns {function} - Called with the index of a child run and the child
+ *   run, to start counting its progress; returns the child run.
+ */
+function aggregate(run, weights) {
+  var fractions = weights.map(function() {
+    return 0;
+  });
+  var total = weights.reduce(function(sum, weight) {
+    return sum + weight;
+  }, 0);
+  var sum = 0;
+  var settled = 0;
+
+  function update(i, fraction, child, detail) {
+    sum += (fraction - fractions[i]) * weights[i];
+    fractions[i] = fraction;
+    if (total > 0 && run.status === 'pending') {
+      run.reportProgress(settled === weights.length ? 1 : Math.min(sum / total, 1), {
+        index: i,
+        child: child,
+        detail: detail
+      });
+    }
+  }
+
+  return function watch(i, child) {
+    function complete() {
+      settled++;
+      update(i, 1, child);
+    }
+    child.onProgress(function(fraction, detail) {
+      update(i, fraction, child, detail);
+    });
+    child.promise.then(complete, complete);
+    if (child.status === 'pending' && child.progress > 0) {
+      update(i, child.progress, child);
+    }
+    return child;
+  };
+}
+
+/**
+ * Report the progress of a child {@link TaskRun} as the progress of its
+ * parent, for {@link Task}s which wrap a single {@link Task}.
+ * @private
+ * @param {TaskRun} run - Parent {@link TaskRun}.
+ * @param {TaskRun} child - Child {@link TaskRun}.
+ * @returns {TaskRun} - The child {@link TaskRun}.
+ */
+function forward(run, child) {
+  child.onProgress(function(fraction, detail) {
+    if (run.status === 'pending') {
+      run.reportProgress(fraction, detail);
+    }
+  });
+  if (child.status === 'pending' && child.progress > 0) {
+    run.reportProgress(child.progress);
+  }
+  return child;
+}
+
+module.exports.aggregate = aggregate;
+module.exports.forward = forward;
+module.exports.normalizeWeights = normalizeWeights;
@@ -0,0 +1,280 @@
+'use strict';
+
+var emitter = require('./emitter');
+var errors = require('./errors');
+
+/**
+ * Create a new {@link TaskQueue}. {@link TaskQueue}s are created by
+ * {@link Task.queue}.
+ * @class
+ * @classdesc A {@link TaskQueue} runs the {@link Task}s added to it, at most
+ *   "concurrency" at a time, in order of priority (and then in the order
+ *   they were added). It emits a "drain" event (with no event object) every
+ *   time it becomes idle.
+ * @example
+ * var queue = Task.queue({ concurrency: 2 });
+ *
+ * var job = queue.add(sendEmail, ['a@b.com'], { priority: 1 });
+ * job.promise.then(function(result) {...});
+ * job.cancel('not needed anymore');
+ *
+ * queue.on('drain', function() {
+ *    console.log('All the jobs are done.');
+ * });
+ * @param {object} [options]
+ * @param {number} [options.concurrency=Infinity] - Maximum number of
+ *   {@link Task}s running at any time.
+ * @param {boolean} [options.paused=false] - If true, nothing is started
+ *   until {@link TaskQueue#resume} is called.
+ * @constructor
+ * @property {number} concurrency - Maximum number of {@link Task}s running
+ *   at any time.
+ * @property {boolean} isPaused - Whether the queue is paused.
+ * @property {number} size - Number of {@link Task}s waiting to be started.
+ * @property {number} pending - Number of {@link Task}s running.
+ */
+function TaskQueue(options) {
+  options = options || {};
+  if (typeof options.concurrency !== 'undefined'
+    && (typeof options.concurrency !== 'number' || options.concurrency < 1)) {
+    throw new Error('"concurrency" must be a number greater than 0.');
+  }
+
+  Object.defineProperties(this, {
+    _busy: {
+      value: false,
+      writable: true
+    },
+    _idleResolvers: {
+      value: []
+    },
+    _listeners: {
+      value: {}
+    },
+    _paused: {
+      value: !!options.paused,
+      writable: true
+    },
+    _running: {
+      value: []
+    },
+    _waiting: {
+      value: []
+    },
+    concurrency: {
+      value: options.concurrency || Infinity,
+      enumerable: true
+    },
+    isPaused: {
+      enumerable: true,
+      get: function() {
+        return this._paused;
+      }
+    },
+    pending: {
+      enumerable: true,
+      get: function() {
+        return this._running.length;
+      }
+    },
+    size: {
+      enumerable: true,
+      get: function() {
+        return this._waiting.length;
+      }
+    }
+  });
+}
+
+emitter.mixin(TaskQueue.prototype);
+
+/**
+ * A {@link Task} added to a {@link TaskQueue}.
+ * @typedef {object} QueuedTask
+ * @property {Task} task - The {@link Task}.
+ * @property {Array<*>} args - Arguments for the task template.
+ * @property {number} priority - Priority of the {@link Task}.
+ * @property {string} status - One of 'queued', 'running', 'done', 'failed'
+ *   or 'canceled'.
+ * @property {?TaskRun} run - The {@link TaskRun}, once started.
+ * @property {Promise} promise - Settles like the {@link TaskRun}'s promise.
+ *   If canceled before it starts, it is rejected with a {@link CanceledError},
+ *   which is not reported as an unhandled rejection.
+ * @property {function} cancel - Called with a reason; removes the
+ *   {@link Task} from the queue if it has not started yet, or cancels its
+ *   {@link TaskRun} otherwise. Returns false if it has already settled.
+ */
+
+/**
+ * Add a {@link Task} to the queue.
+ * @param {Task} task - The {@link Task}.
+ * @param {Array<*>} [args=[]] - Arguments for the task template.
+ * @param {object} [options]
+ * @param {number} [options.priority=0] - {@link Task}s with a higher
+ *   priority are started first.
+ * @returns {QueuedTask}
+ */
+TaskQueue.prototype.add = function add(task, args, options) {
+  if (!task || typeof task.run !== 'function') {
+    throw new Error('task must be a Task.');
+  }
+  if (typeof args !== 'undefined' && !Array.isArray(args)) {
+    throw new Error('args must be an array.');
+  }
+  options = options || {};
+  if (typeof options.priority !== 'undefined' && typeof options.priority !== 'number') {
+    throw new Error('"priority" must be a number.');
+  }
+
+  var self = this;
+  var resolve = null;
+  var reject = null;
+  var item = {
+    task: task,
+    args: args || [],
+    priority: options.priority || 0,
+    status: 'queued',
+    run: null,
+    promise: new Promise(function(_resolve, _reject) {
+      resolve = _resolve;
+      reject = _reject;
+    }),
+    cancel: function cancel(reason) {
+      if (item.status === 'queued') {
+        self._waiting.splice(self._waiting.indexOf(item), 1);
+        item.status = 'canceled';
+        // Jobs are often added and forgotten: only report the rejection to
+        // those who listen to it.
+        item.promise.catch(function() {});
+        reject(new errors.CanceledError('Task "' + task.name
+          + '" was canceled before it started.', {
+          task: task,
+          reason: reason
+        }));
+        self._next();
+        return true;
+      }
+      return item.status === 'running' && item.run.cancel(reason) !== false;
+    }
+  };
+  Object.defineProperties(item, {
+    _resolve: {
+      value: resolve
+    },
+    _reject: {
+      value: reject
+    }
+  });
+
+  var waiting = this._waiting;
+  var i = 0;
+  while (i < waiting.length && waiting[i].priority >= item.priority) {
+    i++;
+  }
+  waiting.splice(i, 0, item);
+  this._busy = true;
+  this._next();
+  return item;
+};
+
+/**
+ * Stop starting {@link Task}s. The running ones are not affected.
+ * @returns {this}
+ */
+TaskQueue.prototype.pause = function pause() {
+  this._paused = true;
+  return this;
+};
+
+/**
+ * Start {@link Task}s again after {@link TaskQueue#pause}.
+ * @returns {this}
+ */
+TaskQueue.prototype.resume = function resume() {
+  this._paused = false;
+  this._next();
+  return this;
+};
+
+/**
+ * Cancel all the {@link Task}s waiting to be started. The running ones are
+ * not affected.
+ * @param {*} [reason] - Reason for canceling the {@link Task}s.
+ * @returns {this}
+ */
+TaskQueue.prototype.clear = function clear(reason) {
+  this._waiting.slice().forEach(function(item) {
+    item.cancel(reason);
+  });
+  return this;
+};
+
+/**
+ * Get a Promise which is resolved once the queue is idle, i.e. no
+ * {@link Task}s are waiting or running.
+ * @returns {Promise}
+ */
+TaskQueue.prototype.onIdle = function onIdle() {
+  if (this._isIdle()) {
+    return Promise.resolve();
+  }
+  var resolvers = this._idleResolvers;
+  return new Promise(function(resolve) {
+    resolvers.push(resolve);
+  });
+};
+
+/**
+ * Whether no {@link Task}s are waiting or running.
+ * @private
+ * @returns {boolean}
+ */
+TaskQueue.prototype._isIdle = function _isIdle() {
+  return this._waiting.length === 0 && this._running.length === 0;
+};
+
+/**
+ * Start as many waiting {@link Task}s as allowed, and notify that the queue
+ * has become idle if there are none.
+ * @private
+ */
+TaskQueue.prototype._next = function _next() {
+  while (!this._paused
+    && this._waiting.length
+    && this._running.length < this.concurrency) {
+    this._start(this._waiting.shift());
+  }
+  if (this._busy && this._isIdle()) {
+    this._busy = false;
+    this._idleResolvers.splice(0).forEach(function(resolve) {
+      resolve();
+    });
+    this.emit('drain');
+  }
+};
+
+/**
+ * Start a waiting {@link Task}.
+ * @private
+ * @param {QueuedTask} item
+ */
+TaskQueue.prototype._start = function _start(item) {
+  var self = this;
+  var run = item.task.run.apply(item.task, item.args);
+  item.run = run;
+  item.status = 'running';
+  this._running.push(item);
+
+  run.promise.then(function(result) {
+    item.status = 'done';
+    item._resolve(result);
+  }, function(reason) {
+    item.status = run.status;
+    item._reject(reason);
+  }).then(function() {
+    self._running.splice(self._running.indexOf(item), 1);
+    self._next();
+  });
+};
+
+module.exports = TaskQueue;
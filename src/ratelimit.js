@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * Create a new {@link RateLimiter}.
+ * @class
+ * @classdesc A {@link RateLimiter} allows at most "limit" runs to start in
+ *   any sliding window of "interval" milliseconds. It can be shared by
+ *   several {@link Task}s (see {@link Task.rateLimit}), so that their runs
+ *   count towards the same quota.
+ * @example
+ * // 10 requests per second, shared by all the tasks calling the API.
+ * var apiLimiter = Task.rateLimiter({ limit: 10, interval: 1000 });
+ *
+ * var getUser = Task.rateLimit(fetchUser, { limiter: apiLimiter });
+ * var getOrders = Task.rateLimit(fetchOrders, { limiter: apiLimiter });
+ * @param {object} options
+ * @param {number} options.limit - Maximum number of runs in any window.
+ * @param {number} options.interval - Length (ms) of the window.
+ * @constructor
+ * @property {number} limit - Maximum number of runs in any window.
+ * @property {number} interval - Length (ms) of the window.
+ */
+function RateLimiter(options) {
+  options = options || {};
+  if (typeof options.limit !== 'number' || options.limit < 1) {
+    throw new Error('Rate limit "limit" must be a number greater than 0.');
+  }
+  if (typeof options.interval !== 'number' || options.interval <= 0) {
+    throw new Error('Rate limit "interval" must be a number greater than 0.');
+  }
+
+  Object.defineProperties(this, {
+    _slots: {
+      value: []
+    },
+    interval: {
+      value: options.interval,
+      enumerable: true
+    },
+    limit: {
+      value: options.limit,
+      enumerable: true
+    }
+  });
+}
+
+/**
+ * Get the earliest time at which a run can start.
+ * @private
+ * @param {number} now - Current time (ms).
+ * @returns {number}
+ */
+RateLimiter.prototype._peek = function _peek(now) {
+  var slots = this._slots;
+  while (slots.length && slots[0] <= now - this.interval) {
+    slots.shift();
+  }
+  return slots.length < this.limit
+    ? now
+    : Math.max(now, slots[slots.length - this.limit] + this.interval);
+};
+
+/**
+ * Reserve a slot for a run which starts at the given time, which must not be
+ * earlier than what {@link RateLimiter#_peek} returns.
+ * @private
+ * @param {number} time
+ */
+RateLimiter.prototype._take = function _take(time) {
+  var slots = this._slots;
+  var i = slots.length;
+  while (i > 0 && slots[i - 1] > time) {
+    i--;
+  }
+  slots.splice(i, 0, time);
+};
+
+/**
+ * Give back a slot reserved with {@link RateLimiter#_take}, for a run which
+ * was canceled before it started.
+ * @private
+ * @param {number} time
+ */
+RateLimiter.prototype._release = function _release(time) {
+  var index = this._slots.indexOf(time);
+  if (index !== -1) {
+    this._slots.splice(index, 1);
+  }
+};
+
+/**
+ * Get the time at which a run can start under all the given
+ * {@link RateLimiter}s.
+ * @private
+ * @param {Array<RateLimiter>} limiters
+ * @param {number} now - Current time (ms).
+ * @returns {number}
+ */
+function getStartTime(limiters, now) {
+  return limiters.reduce(function(time, limiter) {
+    return Math.max(time, limiter._peek(now));
+  }, now);
+}
+
+/**
+ * Validate the options of {@link Task.rateLimit}, and get the
+ * {@link RateLimiter}s to use.
+ * @private
+ * @param {object} options
+ * @returns {{limiters: Array<RateLimiter>, maxWait: number}}
+ */
+function normalize(options) {
+  options = options || {};
+  if (typeof options.maxWait !== 'undefined'
+    && (typeof options.maxWait !== 'number' || options.maxWait < 0)) {
+    throw new Error('Rate limit "maxWait" must be a non-negative number.');
+  }
+  var limiters = options.limiter
+    ? [].concat(options.limiter)
+    : [new RateLimiter(options)];
+  limiters.forEach(function(limiter) {
+    if (!(limiter instanceof RateLimiter)) {
+      throw new Error('Rate limit "limiter" must be a RateLimiter '
+        + 'or an array of RateLimiters.');
+    }
+  });
+  return {
+    limiters: limiters,
+    maxWait: typeof options.maxWait === 'number' ? options.maxWait : Infinity
+  };
+}
+
+module.exports.RateLimiter = RateLimiter;
+module.exports.getStartTime = getStartTime;
+module.exports.normalize = normalize;
@@ -0,0 +1,28 @@
+'use strict';
+
+var stream = require('stream');
+
+/**
+ * Whether Readable streams can be created from async iterators, with
+ * stream.Readable.from() (Node.js 10.17, 12.3 and later).
+ * @private
+ * @returns {boolean}
+ */
+function isSupported() {
+  return typeof stream.Readable.from === 'function';
+}
+
+/**
+ * Create an object mode Readable stream (Node.js only; the "browser" field
+ * of package.json leaves this module out of browser builds). Destroying the
+ * stream calls the iterator's return() method.
+ * @private
+ * @param {object} iterator - Async iterator, which is also async iterable.
+ * @returns {stream.Readable}
+ */
+function fromIterator(iterator) {
+  return stream.Readable.from(iterator, { objectMode: true, highWaterMark: 1 });
+}
+
+module.exports.fromIterator = fromIterator;
+module.exports.isSupported = isSupported;
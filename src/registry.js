@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * Create a new {@link TaskRegistry}.
+ * @class
+ * @classdesc A {@link TaskRegistry} holds {@link Task}s (or templates) by
+ *   name, so that they can be referred to by {@link Task.workflow}
+ *   definitions. {@link Task.registry} is the default one.
+ * @example
+ * var registry = new Task.TaskRegistry();
+ * registry.register(fetch);                      // Registered as fetch.name.
+ * registry.register('resize', function(image, done, failed) {...});
+ * @constructor
+ * @property {Array<string>} names - Names of the registered {@link Task}s,
+ *   in the order they were registered.
+ */
+function TaskRegistry() {
+  Object.defineProperties(this, {
+    _tasks: {
+      value: {}
+    },
+    _names: {
+      value: []
+    },
+    names: {
+      enumerable: true,
+      get: function() {
+        return this._names.slice();
+      }
+    }
+  });
+}
+
+/**
+ * Register a {@link Task} or a template by name.
+ * @param {string|Task} name - Name, or a {@link Task} to register by its own
+ *   name.
+ * @param {Task|function} [task] - {@link Task}/template.
+ * @returns {this}
+ */
+TaskRegistry.prototype.register = function register(name, task) {
+  if (typeof name !== 'string') {
+    task = name;
+    name = task && task.name;
+  }
+  if (typeof name !== 'string' || !name) {
+    throw new Error('Registered task name must be a non-empty string.');
+  }
+  if (typeof task !== 'function' && !(task && typeof task.run === 'function')) {
+    throw new Error('Registered task "' + name + '" must be a Task or a template.');
+  }
+  if (this.has(name)) {
+    throw new Error('Task "' + name + '" is already registered.');
+  }
+  this._tasks[name] = task;
+  this._names.push(name);
+  return this;
+};
+
+/**
+ * Remove a {@link Task} from the registry.
+ * @param {string} name
+ * @returns {boolean} - true if it was registered, false otherwise.
+ */
+TaskRegistry.prototype.unregister = function unregister(name) {
+  if (!this.has(name)) {
+    return false;
+  }
+  delete this._tasks[name];
+  this._names.splice(this._names.indexOf(name), 1);
+  return true;
+};
+
+/**
+ * Whether a {@link Task} is registered by the given name.
+ * @param {string} name
+ * @returns {boolean}
+ */
+TaskRegistry.prototype.has = function has(name) {
+  return Object.prototype.hasOwnProperty.call(this._tasks, name);
+};
+
+/**
+ * Get the {@link Task} (or template) registered by the given name.
+ * @param {string} name
+ * @returns {?(Task|function)} - null if there is none.
+ */
+TaskRegistry.prototype.get = function get(name) {
+  return this.has(name) ? this._tasks[name] : null;
+};
+
+module.exports = TaskRegistry;
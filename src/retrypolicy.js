@@ -0,0 +1,120 @@
+'use strict';
+
+var errors = require('./errors');
+
+var BACKOFFS = ['constant', 'linear', 'exponential'];
+var JITTERS = ['none', 'full', 'equal'];
+
+/**
+ * A retry policy for {@link Task.try}.
+ * @typedef {object} RetryPolicy
+ * @property {number} [attempts] - Maximum number of attempts. If not set, it
+ *   is the last argument of {@link Task#do}.
+ * @property {string} [backoff='constant'] - 'constant', 'linear' or 'exponential'.
+ * @property {number} [minDelay=0] - Milliseconds to wait before the first retry.
+ * @property {number} [maxDelay=Infinity] - Upper bound for the wait between retries.
+ * @property {number} [factor=2] - Growth factor of 'exponential' backoff.
+ * @property {string} [jitter='none'] - 'none', 'full' (random wait between
+ *   0 and the delay) or 'equal' (half the delay plus a random wait of up to
+ *   half the delay).
+ * @property {function} [shouldRetry] - Called with (error, attempt) after a
+ *   failed attempt; a falsy return value stops retrying.
+ * @property {number} [timeBudget=Infinity] - Milliseconds from the start of the
+ *   first attempt after which no more retries are started.
+ * @property {function} [onRetry] - Called with (error, attempt, delay) before
+ *   waiting for the next attempt.
+ */
+
+/**
+ * Validate a {@link RetryPolicy} and fill in its defaults.
+ * @private
+ * @param {RetryPolicy} policy
+ * @returns {RetryPolicy}
+ */
+function normalize(policy) {
+  policy = policy || {};
+  ['attempts', 'minDelay', 'maxDelay', 'factor', 'timeBudget'].forEach(function(key) {
+    if (typeof policy[key] !== 'undefined'
+      && (typeof policy[key] !== 'number' || policy[key] < 0)) {
+      throw new Error('Retry policy "' + key + '" must be a non-negative number.');
+    }
+  });
+  if (typeof policy.backoff !== 'undefined' && BACKOFFS.indexOf(policy.backoff) === -1) {
+    throw new Error('Retry policy "backoff" must be one of: ' + BACKOFFS.join(', ') + '.');
+  }
+  if (typeof policy.jitter !== 'undefined' && JITTERS.indexOf(policy.jitter) === -1) {
+    throw new Error('Retry policy "jitter" must be one of: ' + JITTERS.join(', ') + '.');
+  }
+  ['shouldRetry', 'onRetry'].forEach(function(key) {
+    if (typeof policy[key] !== 'undefined' && typeof policy[key] !== 'function') {
+      throw new Error('Retry policy "' + key + '" must be a function.');
+    }
+  });
+
+  return {
+    attempts: policy.attempts,
+    backoff: policy.backoff || 'constant',
+    minDelay: policy.minDelay || 0,
+    maxDelay: typeof policy.maxDelay === 'number' ? policy.maxDelay : Infinity,
+    factor: typeof policy.factor === 'number' ? policy.factor : 2,
+    jitter: policy.jitter || 'none',
+    shouldRetry: policy.shouldRetry || function() { return true; },
+    timeBudget: typeof policy.timeBudget === 'number' ? policy.timeBudget : Infinity,
+    onRetry: policy.onRetry || function() {}
+  };
+}
+
+/**
+ * Get the milliseconds to wait after a failed attempt.
+ * @private
+ * @param {RetryPolicy} policy - Normalized policy.
+ * @param {number} attempt - Number of the failed attempt (starting at 1).
+ * @returns {number}
+ */
+function getDelay(policy, attempt) {
+  var delay = policy.minDelay;
+  if (policy.backoff === 'linear') {
+    delay = policy.minDelay * attempt;
+  }
+  else if (policy.backoff === 'exponential') {
+    delay = policy.minDelay * Math.pow(policy.factor, attempt - 1);
+  }
+  delay = Math.min(delay, policy.maxDelay);
+
+  if (policy.jitter === 'full') {
+    delay = Math.random() * delay;
+  }
+  else if (policy.jitter === 'equal') {
+    delay = delay / 2 + Math.random() * delay / 2;
+  }
+  return Math.round(delay);
+}
+
+/**
+ * Create the {@link TaskFailedError} with which {@link Task.try} is rejected
+ * once it runs out of attempts.
+ * @private
+ * @param {TaskRun} run - The {@link TaskRun} of {@link Task.try}.
+ * @param {Array<object>} attempts - {attempt, error, startTime, endTime}
+ *   of every failed attempt.
+ * @returns {TaskFailedError}
+ */
+function createError(run, attempts) {
+  var last = attempts[attempts.length - 1];
+  return new errors.TaskFailedError('Task "' + errors.getPath(run).join(' > ')
+    + '" failed after ' + attempts.length + ' attempt(s).', {
+    run: run,
+    attempts: attempts,
+    cause: last && last.error,
+    errors: attempts.map(function(attempt) {
+      return attempt.error;
+    }),
+    reason: last && last.error instanceof errors.TaskError
+      ? last.error.reason
+      : undefined
+  });
+}
+
+module.exports.createError = createError;
+module.exports.getDelay = getDelay;
+module.exports.normalize = normalize;
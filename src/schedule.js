@@ -0,0 +1,367 @@
+'use strict';
+
+var emitter = require('./emitter');
+
+var MAX_DELAY = 2147483647;
+var OVERLAP_POLICIES = ['skip', 'queue', 'cancel'];
+
+/**
+ * The clock used by a {@link Schedule}. The default one uses Date and the
+ * global setTimeout()/clearTimeout() at the time they are called, so fake
+ * timers which replace them also work.
+ * @typedef {object} Clock
+ * @property {function} now - Returns the current time (ms).
+ * @property {function} setTimeout - Called with a callback and a delay (ms);
+ *   returns a timer.
+ * @property {function} clearTimeout - Called with a timer.
+ */
+var defaultClock = {
+  now: function now() {
+    return new Date().getTime();
+  },
+  setTimeout: function _setTimeout(callback, milliseconds) {
+    return setTimeout(callback, milliseconds);
+  },
+  clearTimeout: function _clearTimeout(timer) {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Create a new {@link Schedule}. {@link Schedule}s are created by
+ * {@link Task.every} and {@link Task.schedule}.
+ * @class
+ * @classdesc A {@link Schedule} runs a {@link Task} at the times given by a
+ *   function, from "startDate" to "endDate", at most "maxRuns" times. If the
+ *   previous run is still running when it is time for the next one, the
+ *   "overlap" policy decides whether the next run is skipped ('skip'),
+ *   started once the previous one settles ('queue'), or started after
+ *   canceling the previous one ('cancel'). A {@link Schedule} emits:
+ *   <ul>
+ *     <li>"run" - A run started ("run", "scheduledTime").</li>
+ *     <li>"skip" - A run was skipped because of an overlap
+ *       ("scheduledTime").</li>
+ *     <li>"end" - No more runs are scheduled ("reason", which is 'stopped',
+ *       'maxRuns', 'endDate', or 'noMoreRuns' if the times ran out before
+ *       any end date). Runs which are already queued still start.</li>
+ *   </ul>
+ *   Every event has "type", "schedule", "name", "task" and "timestamp".
+ * @param {Task} task - The {@link Task} to run.
+ * @param {function} getNext - Called with a time (ms), and the
+ *   {@link Schedule} as "this"; returns the next time (ms) to run the
+ *   {@link Task} after it, or null if there is none.
+ * @param {object} [options]
+ * @param {Array<*>} [options.args=[]] - Arguments for the task template.
+ * @param {string} [options.overlap='skip'] - 'skip', 'queue' or 'cancel'.
+ * @param {number} [options.maxRuns=Infinity] - Maximum number of runs.
+ * @param {Date|number} [options.startDate] - No runs before this time.
+ * @param {Date|number} [options.endDate] - No runs after this time.
+ * @param {Clock} [options.clock] - Clock to use instead of the real one.
+ * @constructor
+ * @property {Task} task - The {@link Task}.
+ * @property {Array<*>} args - Arguments for the task template.
+ * @property {string} overlap - The overlap policy.
+ * @property {number} maxRuns - Maximum number of runs.
+ * @property {?Date} startDate - No runs before this time.
+ * @property {?Date} endDate - No runs after this time.
+ * @property {number} runCount - Number of runs started so far.
+ * @property {Array<TaskRun>} running - The {@link TaskRun}s which have not
+ *   settled yet.
+ * @property {?Date} nextRun - Time of the next run, or null if there is none.
+ * @property {boolean} isStopped - Whether no more runs are scheduled.
+ */
+function Schedule(task, getNext, options) {
+  options = options || {};
+  if (typeof options.args !== 'undefined' && !Array.isArray(options.args)) {
+    throw new Error('Schedule "args" must be an array.');
+  }
+  if (typeof options.overlap !== 'undefined'
+    && OVERLAP_POLICIES.indexOf(options.overlap) === -1) {
+    throw new Error('Schedule "overlap" must be one of "skip", "queue" or "cancel".');
+  }
+  if (typeof options.maxRuns !== 'undefined'
+    && (typeof options.maxRuns !== 'number' || options.maxRuns < 1)) {
+    throw new Error('Schedule "maxRuns" must be a number greater than 0.');
+  }
+  var startDate = toTime(options.startDate, 'startDate');
+  var endDate = toTime(options.endDate, 'endDate');
+  var clock = options.clock || defaultClock;
+  ['now', 'setTimeout', 'clearTimeout'].forEach(function(method) {
+    if (typeof clock[method] !== 'function') {
+      throw new Error('Schedule "clock" must have a ' + method + '() method.');
+    }
+  });
+
+  Object.defineProperties(this, {
+    _clock: {
+      value: clock
+    },
+    _count: {
+      value: 0,
+      writable: true
+    },
+    _getNext: {
+      value: getNext
+    },
+    _listeners: {
+      value: {}
+    },
+    _next: {
+      value: null,
+      writable: true
+    },
+    _queued: {
+      value: []
+    },
+    _running: {
+      value: []
+    },
+    _stopped: {
+      value: false,
+      writable: true
+    },
+    _timer: {
+      value: null,
+      writable: true
+    },
+    args: {
+      value: options.args || [],
+      enumerable: true
+    },
+    endDate: {
+      value: endDate === null ? null : new Date(endDate),
+      enumerable: true
+    },
+    isStopped: {
+      enumerable: true,
+      get: function() {
+        return this._stopped;
+      }
+    },
+    maxRuns: {
+      value: options.maxRuns || Infinity,
+      enumerable: true
+    },
+    nextRun: {
+      enumerable: true,
+      get: function() {
+        return this._next === null ? null : new Date(this._next);
+      }
+    },
+    overlap: {
+      value: options.overlap || 'skip',
+      enumerable: true
+    },
+    runCount: {
+      value: 0,
+      enumerable: true,
+      writable: true
+    },
+    running: {
+      enumerable: true,
+      get: function() {
+        return this._running.slice();
+      }
+    },
+    startDate: {
+      value: startDate === null ? null : new Date(startDate),
+      enumerable: true
+    },
+    task: {
+      value: task,
+      enumerable: true
+    }
+  });
+
+  this._arm(clock.now(), true);
+}
+
+emitter.mixin(Schedule.prototype);
+
+/**
+ * Stop scheduling runs. Runs which have started are not affected, and runs
+ * which are queued are not started.
+ * @returns {this}
+ */
+Schedule.prototype.stop = function stop() {
+  if (!this._stopped) {
+    this._queued.length = 0;
+    this._end('stopped');
+  }
+  return this;
+};
+
+/**
+ * Get the times of the next runs, without starting them.
+ * @param {number} [count=1] - Maximum number of times.
+ * @returns {Array<Date>}
+ */
+Schedule.prototype.nextRuns = function nextRuns(count) {
+  count = Math.min(typeof count === 'number' ? count : 1, this.maxRuns - this._count);
+  var times = [];
+  var time = this._next;
+  while (time !== null && times.length < count) {
+    times.push(new Date(time));
+    time = this._nextTime(time);
+  }
+  return times;
+};
+
+/**
+ * Get the time of the next run after the given time, within "startDate"
+ * and "endDate".
+ * @private
+ * @param {number} after - Time (ms).
+ * @returns {?number}
+ */
+Schedule.prototype._nextTime = function _nextTime(after) {
+  var startDate = this.startDate && this.startDate.getTime();
+  var time = this._getNext(startDate !== null && after < startDate ? startDate - 1 : after);
+  return time === null || (this.endDate && time > this.endDate.getTime()) ? null : time;
+};
+
+/**
+ * Schedule the next run after the given time, or end the {@link Schedule}
+ * if there is none.
+ * @private
+ * @param {number} after - Time (ms).
+ * @param {boolean} [initial] - Whether the {@link Schedule} is being
+ *   created, so that the "end" event is emitted once listeners can be added.
+ */
+Schedule.prototype._arm = function _arm(after, initial) {
+  if (this._count >= this.maxRuns) {
+    this._end('maxRuns');
+    return;
+  }
+  var time = this._nextTime(after);
+  if (time === null) {
+    this._end(this.endDate ? 'endDate' : 'noMoreRuns', initial);
+    return;
+  }
+  this._next = time;
+  this._setTimer(time);
+};
+
+/**
+ * Set a timer for a time, in steps if it is too far for setTimeout().
+ * @private
+ * @param {number} time - Time (ms).
+ */
+Schedule.prototype._setTimer = function _setTimer(time) {
+  var self = this;
+  var clock = this._clock;
+  var delay = Math.min(Math.max(time - clock.now(), 0), MAX_DELAY);
+  this._timer = clock.setTimeout(function() {
+    self._timer = null;
+    if (clock.now() < time) {
+      self._setTimer(time);
+      return;
+    }
+    self._fire(time);
+  }, delay);
+};
+
+/**
+ * Start, queue or skip the run scheduled at a time, and schedule the next
+ * one.
+ * @private
+ * @param {number} time - Scheduled time (ms).
+ */
+Schedule.prototype._fire = function _fire(time) {
+  if (this._running.length === 0) {
+    this._count++;
+    this._start(time);
+  } else if (this.overlap === 'queue') {
+    this._count++;
+    this._queued.push(time);
+  } else if (this.overlap === 'cancel') {
+    this._count++;
+    this._running.forEach(function(run) {
+      run.cancel('Canceled by the next scheduled run.');
+    });
+    this._start(time);
+  } else {
+    this._emit('skip', { scheduledTime: time });
+  }
+  this._arm(Math.max(time, this._clock.now()));
+};
+
+/**
+ * Start a run.
+ * @private
+ * @param {number} time - Scheduled time (ms).
+ */
+Schedule.prototype._start = function _start(time) {
+  var self = this;
+  var run = this.task.run.apply(this.task, this.args);
+  this.runCount++;
+  this._running.push(run);
+  this._emit('run', { run: run, scheduledTime: time });
+
+  function settled() {
+    self._running.splice(self._running.indexOf(run), 1);
+    if (self._queued.length && self._running.length === 0) {
+      self._start(self._queued.shift());
+    }
+  }
+  run.promise.then(settled, settled);
+};
+
+/**
+ * Stop scheduling runs.
+ * @private
+ * @param {string} reason - 'stopped', 'maxRuns', 'endDate' or 'noMoreRuns'.
+ * @param {boolean} [defer] - Whether to emit the "end" event on the next
+ *   tick of the clock instead of now.
+ */
+Schedule.prototype._end = function _end(reason, defer) {
+  if (this._timer !== null) {
+    this._clock.clearTimeout(this._timer);
+    this._timer = null;
+  }
+  this._next = null;
+  this._stopped = true;
+  if (defer) {
+    var self = this;
+    this._clock.setTimeout(function() {
+      self._emit('end', { reason: reason });
+    }, 0);
+    return;
+  }
+  this._emit('end', { reason: reason });
+};
+
+/**
+ * Emit an event with the common properties.
+ * @private
+ * @param {string} type - Event type.
+ * @param {object} event - Event specific properties.
+ */
+Schedule.prototype._emit = function _emit(type, event) {
+  event.type = type;
+  event.schedule = this;
+  event.name = this.task.name;
+  event.task = this.task;
+  event.timestamp = this._clock.now();
+  this.emit(type, event);
+};
+
+/**
+ * Validate a date option.
+ * @private
+ * @param {Date|number} [date]
+ * @param {string} name - Name of the option.
+ * @returns {?number} - Time (ms), or null if not given.
+ */
+function toTime(date, name) {
+  if (typeof date === 'undefined' || date === null) {
+    return null;
+  }
+  var time = date instanceof Date ? date.getTime() : date;
+  if (typeof time !== 'number' || isNaN(time)) {
+    throw new Error('Schedule "' + name + '" must be a Date or a number.');
+  }
+  return time;
+}
+
+module.exports = Schedule;
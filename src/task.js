@@ -1,5 +1,38 @@
 'use strict';
 
+var TaskRun = require('./taskrun');
+var checkpoint = require('./checkpoint');
+var childProcess = require('./childprocess');
+var CircuitBreaker = require('./circuitbreaker');
+var CronExpression = require('./cron');
+var concurrency = require('./concurrency');
+var emitter = require('./emitter');
+var graph = require('./graph');
+var memoize = require('./memoize');
+var middleware = require('./middleware');
+var mapStream = require('./mapstream');
+var progress = require('./progress');
+var TaskQueue = require('./queue');
+var rateLimit = require('./ratelimit');
+var readable = require('./readable');
+var errors = require('./errors');
+var FileCheckpointStore = require('./filecheckpointstore');
+var retryPolicy = require('./retrypolicy');
+var TaskRegistry = require('./registry');
+var Schedule = require('./schedule');
+var Tracer = require('./tracer');
+var WorkerPool = require('./workerpool');
+var workflow = require('./workflow');
+var workerThread = require('./workerthread');
+
+/**
+ * The argument of the runs started by the resume() method of a
+ * {@link Task.durableSequence}.
+ * @private
+ * @type {object}
+ */
+var RESUME = {};
+
 /**
  * Create a new {@link Task}
  * @class
@@ -26,9 +59,17 @@
  */
 function Task(name, template) {
   Object.defineProperties(this, {
-    _cancel: {
-      value: null,
-      writable: true
+    _listeners: {
+      value: {}
+    },
+    _middleware: {
+      value: []
+    },
+    _runs: {
+      value: []
+    },
+    _signal: {
+      value: null
     },
     _timeout: {
       value: null,
@@ -124,32 +165,30 @@ Task.do = function doTask(template) {
  * @memberof Task
  * @param {string} name - Name of the task.
  * @param {Task|function[]} tasks - Tasks/templates to be performed in sequence.
+ * @param {object} [options]
+ * @param {Array<number>} [options.weights] - Weight of each task in the
+ *   progress of the sequence (see {@link TaskRun#reportProgress}). By
+ *   default, all the tasks weigh the same.
  * @returns {Task}
  */
-Task.sequence = function sequence(name, tasks) {
+Task.sequence = function sequence(name, tasks, options) {
   if (typeof name !== 'string') {
     throw new Error('Task name must be a string.');
   }
-  if (!Array.isArray(tasks)) {
-    throw new Error('The second argument should be an array '
-      + 'of Tasks/templates.');
-  }
-  tasks = tasks.map(function(task) {
-    if (task instanceof Task) {
-      return task;
-    }
-    if (typeof task === 'function') {
-      return new Task('anonymous', task);
-    }
-    throw new Error('tasks Array item must either be a Task or a template.');
-  });
+  tasks = toTasks(tasks);
+  var weights = getWeights(options, tasks.length);
 
   return new Task(name, function() {
+    var run = this;
     var args = [].slice.call(arguments, 0, arguments.length - 2);
+    var watch = progress.aggregate(run, weights);
+    var i = 0;
     return (function next() {
-      if (tasks.length) {
-        var task = tasks.shift();
-        return task.do.apply(task, arguments).then(next);
+      if (i < tasks.length) {
+        var stepRun = run.spawn(tasks[i], [].slice.call(arguments), { step: i });
+        watch(i, stepRun);
+        run._emit('step', { index: i++, count: tasks.length, child: stepRun });
+        return stepRun.promise.then(next);
       }
       return Promise.resolve.apply(Promise, arguments);
     }).apply(null, args);
@@ -157,7 +196,372 @@ Task.sequence = function sequence(name, tasks) {
 };
 
 /**
- * Perform {@link Task}s in parallel.
+ * Perform a sequence of steps, each of which can have a compensation
+ * {@link Task} which undoes it. Like {@link Task.sequence}, the arguments of
+ * {@link Task#do} are the arguments of the first step, and the result of
+ * each step is the argument of the next one. If a step fails, or the saga
+ * is canceled, the compensations of the completed steps are performed in
+ * reverse order, each with the result of its step followed by the
+ * arguments of its step. All the compensations are performed, even if some
+ * of them fail, and they are not canceled with the saga.
+ * <br><br>
+ * If a step fails, the saga fails with a {@link SagaError}, whose
+ * "compensated" is false if any compensation failed. Once the compensations
+ * are over, the saga emits a "compensation" event ("reason",
+ * "compensated", "errors"), which is the only outcome of the compensations
+ * of a canceled saga.
+ * @example
+ * var signUp = Task.saga('sign up', [
+ *    { task: createUser, compensate: deleteUser },
+ *    { task: chargeCard, compensate: refundCharge },
+ *    sendWelcomeEmail
+ * ]);
+ *
+ * signUp.do(form).catch(function(error) {
+ *    if (error instanceof Task.SagaError && !error.compensated) {
+ *      alertOps('Sign up was not undone - ', error.compensationErrors);
+ *    }
+ * });
+ * @memberof Task
+ * @param {string} name - Name of the task.
+ * @param {Array<Task|function|{task: (Task|function), compensate: (Task|function)}>} steps -
+ *   Steps, with or without a compensation.
+ * @returns {Task}
+ */
+Task.saga = function saga(name, steps) {
+  if (typeof name !== 'string') {
+    throw new Error('Task name must be a string.');
+  }
+  if (!Array.isArray(steps)) {
+    throw new Error('steps must be an array.');
+  }
+  steps = steps.map(function(step) {
+    var tasks = step && typeof step === 'object' && !(step instanceof Task)
+      ? toTasks(step.compensate ? [step.task, step.compensate] : [step.task])
+      : toTasks([step]);
+    return { task: tasks[0], compensate: tasks[1] || null };
+  });
+  var weights = getWeights(null, steps.length);
+
+  return new Task(name, function() {
+    var run = this;
+    var args = [].slice.call(arguments, 0, arguments.length - 2);
+    var watch = progress.aggregate(run, weights);
+    var completed = [];
+    var current = Promise.resolve();
+    var compensation = null;
+
+    function compensate(reason) {
+      if (!compensation) {
+        compensation = runCompensations(completed).then(function(compensationErrors) {
+          run._emit('compensation', {
+            reason: reason,
+            compensated: compensationErrors.length === 0,
+            errors: compensationErrors
+          });
+          return compensationErrors;
+        });
+      }
+      return compensation;
+    }
+
+    run.onCancel(function(error) {
+      current.then(function() {
+        compensate(error);
+      });
+    });
+
+    return (function next(i, stepArgs) {
+      if (i === steps.length) {
+        return Promise.resolve(stepArgs[0]);
+      }
+      var stepRun = watch(i, run.spawn(steps[i].task, stepArgs, { step: i }));
+      run._emit('step', { index: i, count: steps.length, child: stepRun });
+      current = stepRun.promise.then(function(result) {
+        completed.push({ step: steps[i], args: stepArgs, result: result });
+      }, function() {});
+
+      return stepRun.promise.then(function(result) {
+        return next(i + 1, [result]);
+      }, function(error) {
+        if (run.status !== 'pending') {
+          throw error;
+        }
+        return compensate(error).then(function(compensationErrors) {
+          throw errors.sagaFailed(run, i, error, compensationErrors);
+        });
+      });
+    })(0, args);
+  });
+};
+
+/**
+ * Perform a sequence of {@link Task}s like {@link Task.sequence}, saving a
+ * checkpoint with the result of each step in a {@link CheckpointStore}, so
+ * that a run which was interrupted (because it was canceled, it failed, or
+ * its process exited) can be resumed from its last checkpoint instead of
+ * starting over. Each run has an id, which is its "idempotencyKey" (see
+ * {@link TaskRun}); the one of each step is the id of the run followed by
+ * ":" and the index of the step, and it stays the same when the run is
+ * resumed, so that steps can use it to avoid doing the same work twice. If a
+ * run is started with the id of a stored run (see "runId"), it resumes it.
+ * A run fails right away if another run with the same id is still running
+ * in this process.
+ * <br><br>
+ * Besides the "step" events of {@link Task.sequence}, the {@link Task}
+ * emits "checkpoint" ("checkpointId", "index", "result") after saving each
+ * checkpoint, and "resume" ("checkpointId", "completedSteps") when a run
+ * resumes a stored one. It has a "store" property, and these methods:
+ * <ul>
+ *   <li>resume(runId) - Resume a stored run, with the arguments it was
+ *     started with; returns the {@link TaskRun}, which fails if the run is
+ *     not stored or was aborted, and is done right away if it was.</li>
+ *   <li>list() - Returns a Promise for the {@link CheckpointRecord}s of the
+ *     {@link Task}'s runs, oldest first.</li>
+ *   <li>inspect(runId) - Returns a Promise for the
+ *     {@link CheckpointRecord} of a run, or null.</li>
+ *   <li>abort(runId) - Cancels the run if it is running in this process,
+ *     and marks it as aborted so that it cannot be resumed; returns a
+ *     Promise for whether there was a run to abort.</li>
+ * </ul>
+ * @example
+ * var migrate = Task.durableSequence('migrate', [copyUsers, copyOrders, switchOver], {
+ *    store: new Task.FileCheckpointStore('.checkpoints'),
+ *    runId: function(version) { return 'migration-' + version; }
+ * });
+ *
+ * // After a crash, running it again with the same version resumes it.
+ * migrate.do(42).then(function(result) {...});
+ *
+ * migrate.list().then(function(records) {
+ *    records.filter(function(record) {
+ *      return record.status === 'failed';
+ *    }).forEach(function(record) {
+ *      migrate.resume(record.runId);
+ *    });
+ * });
+ * @memberof Task
+ * @param {string} name - Name of the task.
+ * @param {Task|function[]} tasks - Tasks/templates to be performed in sequence.
+ * @param {object} [options]
+ * @param {CheckpointStore} [options.store] - Where the checkpoints are saved
+ *   (default: a new {@link MemoryCheckpointStore}).
+ * @param {function} [options.runId] - Called with the arguments of a run;
+ *   returns its id. By default, runs get unique ids.
+ * @param {Array<number>} [options.weights] - Weight of each task in the
+ *   progress of the sequence (see {@link TaskRun#reportProgress}).
+ * @returns {Task}
+ */
+Task.durableSequence = function durableSequence(name, tasks, options) {
+  options = options || {};
+  if (typeof name !== 'string') {
+    throw new Error('Task name must be a string.');
+  }
+  tasks = toTasks(tasks);
+  var weights = getWeights(options, tasks.length);
+  var store = checkpoint.normalizeStore(options.store);
+  if (typeof options.runId !== 'undefined' && typeof options.runId !== 'function') {
+    throw new Error('"runId" must be a function.');
+  }
+  var running = {};
+
+  function save(record) {
+    record.updatedAt = new Date().getTime();
+    return Promise.resolve(store.set(record.runId, record));
+  }
+
+  function load(runId) {
+    return Promise.resolve(store.get(runId)).then(function(record) {
+      return record && record.name === name ? record : null;
+    });
+  }
+
+  var task = new Task(name, function() {
+    var run = this;
+    var args = [].slice.call(arguments, 0, arguments.length - 2);
+    var resuming = args.length === 1 && args[0] === RESUME;
+    var runId = run.idempotencyKey || checkpoint.createRunId();
+    var record = null;
+
+    if (running[runId]) {
+      throw new Error('Run "' + runId + '" is already running.');
+    }
+    var entry = { run: run, aborted: false };
+    running[runId] = entry;
+
+    function canceledStatus() {
+      if (run.status !== 'canceled') {
+        return null;
+      }
+      return entry.aborted ? 'aborted' : 'canceled';
+    }
+
+    // Save the final status of the run unless it is already saved, and then
+    // let other runs with the same id start.
+    function settle(status, reason) {
+      var saved = Promise.resolve();
+      if (status && record && record.status === 'running') {
+        record.status = status;
+        record.error = reason instanceof Error ? reason.message : String(reason);
+        saved = save(record);
+      }
+      function release() {
+        if (running[runId] === entry) {
+          delete running[runId];
+        }
+      }
+      return saved.then(release, function(error) {
+        release();
+        throw error;
+      });
+    }
+
+    return load(runId).then(function(stored) {
+      if (!stored) {
+        if (resuming) {
+          throw new Error('There is no checkpoint of run "' + runId + '".');
+        }
+        var now = new Date().getTime();
+        record = {
+          runId: runId,
+          name: name,
+          status: 'running',
+          args: args,
+          steps: [],
+          createdAt: now,
+          updatedAt: now
+        };
+        return save(record);
+      }
+      if (stored.status === 'aborted') {
+        throw new Error('Run "' + runId + '" was aborted.');
+      }
+      record = stored;
+      if (record.status === 'done') {
+        return null;
+      }
+      record.status = 'running';
+      delete record.error;
+      run._emit('resume', { checkpointId: runId, completedSteps: record.steps.length });
+      return save(record);
+    }).then(function() {
+      if (record.status === 'done') {
+        return record.result;
+      }
+      var start = record.steps.length;
+      var watch = progress.aggregate(run, weights.slice(start));
+
+      return (function next(i) {
+        if (run.status !== 'pending') {
+          return null;
+        }
+        if (i >= tasks.length) {
+          record.status = 'done';
+          record.result = i === 0 ? record.args[0] : record.steps[i - 1].result;
+          return save(record).then(function() {
+            return record.result;
+          });
+        }
+        var key = runId + ':' + i;
+        var stepRun = run.spawn(tasks[i], i === 0 ? record.args : [record.steps[i - 1].result], {
+          step: i,
+          idempotencyKey: key
+        });
+        watch(i - start, stepRun);
+        run._emit('step', { index: i, count: tasks.length, child: stepRun });
+        return stepRun.promise.then(function(result) {
+          record.steps.push({
+            index: i,
+            idempotencyKey: key,
+            result: result,
+            completedAt: new Date().getTime()
+          });
+          return save(record).then(function() {
+            run._emit('checkpoint', { checkpointId: runId, index: i, result: result });
+            return next(i + 1);
+          });
+        });
+      })(start);
+    }).then(function(result) {
+      return settle(canceledStatus(), run._reason).then(function() {
+        return result;
+      });
+    }, function(error) {
+      var status = run.status === 'pending' ? 'failed' : canceledStatus();
+      return settle(status, status === 'failed' ? error : run._reason).then(function() {
+        throw error;
+      });
+    });
+  });
+
+  return Object.defineProperties(task, {
+    _run: {
+      value: function _run(args, runOptions) {
+        if (!runOptions.idempotencyKey) {
+          runOptions = {
+            attempt: runOptions.attempt,
+            idempotencyKey: options.runId
+              ? String(options.runId.apply(null, args))
+              : checkpoint.createRunId(),
+            parent: runOptions.parent,
+            step: runOptions.step
+          };
+        }
+        return Task.prototype._run.call(this, args, runOptions);
+      }
+    },
+    abort: {
+      value: function abort(runId) {
+        var entry = running[runId];
+        if (entry) {
+          entry.aborted = true;
+          entry.run.cancel('Run "' + runId + '" was aborted.');
+        }
+        return load(runId).then(function(record) {
+          if (!record || record.status === 'done' || record.status === 'aborted') {
+            return !!entry;
+          }
+          record.status = 'aborted';
+          return save(record).then(function() {
+            return true;
+          });
+        });
+      }
+    },
+    inspect: {
+      value: function inspect(runId) {
+        return load(runId);
+      }
+    },
+    list: {
+      value: function list() {
+        return Promise.resolve(store.list()).then(function(records) {
+          return records.filter(function(record) {
+            return record.name === name;
+          }).sort(function(a, b) {
+            return a.createdAt - b.createdAt;
+          });
+        });
+      }
+    },
+    resume: {
+      value: function resume(runId) {
+        if (typeof runId !== 'string') {
+          throw new Error('Run id must be a string.');
+        }
+        return this._run([RESUME], { idempotencyKey: runId });
+      }
+    },
+    store: {
+      value: store
+    }
+  });
+};
+
+/**
+ * Perform {@link Task}s in parallel. The run is rejected with the first
+ * failure; unless "stopOnError" is set, the child runs which are still in
+ * flight then keep running, and their outcomes are ignored.
  * @example
  * var task1 = Task.create('task1', function(arg1, done, failed) {...});
  * var task2 = Task.create('task2', function(arg21, arg22, done, failed) {...});
@@ -175,42 +579,225 @@ Task.sequence = function sequence(name, tasks) {
  * }).catch(function(error) {
  *    console.error('One of the tasks failed - ', error);
  * });
+ *
+ * // At most 2 tasks at a time, and settle all of them even if some fail.
+ * var settledParallel = Task.parallel('parallel', [task1, task2, task3], {
+ *    concurrency: 2,
+ *    settled: true
+ * });
+ * settledParallel.do(1, ['2', true], {}).then(function(outcomes) {
+ *    outcomes.forEach(function(outcome) {
+ *      console.log(outcome.status, outcome.value || outcome.reason);
+ *    });
+ * });
  * @memberof Task
  * @param {string} name - Name of the task.
  * @param {Task|function[]} tasks - Tasks/templates to be performed in parallel.
+ * @param {ConcurrencyOptions} [options] - Concurrency options, and:
+ * @param {Array<number>} [options.weights] - Weight of each task in the
+ *   progress of the parallel task (see {@link TaskRun#reportProgress}). By
+ *   default, all the tasks weigh the same.
  * @returns {Task}
  */
-Task.parallel = function parallel(name, tasks) {
+Task.parallel = function parallel(name, tasks, options) {
   if (typeof name !== 'string') {
     throw new Error('Task name must be a string.');
   }
-  if (!Array.isArray(tasks)) {
-    throw new Error('The second argument should be an array '
-      + 'of Tasks/templates.');
+  tasks = toTasks(tasks);
+  var weights = getWeights(options, tasks.length);
+  options = concurrency.normalize(options);
+
+  return new Task(name, function() {
+    var run = this;
+    var args = [].slice.call(arguments, 0, arguments.length - 2);
+    var watch = progress.aggregate(run, weights);
+    return concurrency.runAll(run, toStarters(run, tasks, args).map(function(start, i) {
+      return function() {
+        return watch(i, start());
+      };
+    }), options);
+  });
+};
+
+/**
+ * Perform {@link Task}s in parallel, and settle with the first one to be
+ * done/failed. The remaining tasks are canceled.
+ * @example
+ * var primary = Task.create('primary', function(url, done, failed) {...});
+ * var mirror = Task.create('mirror', function(url, done, failed) {...});
+ * var fastest = Task.race('fastest download', [primary, mirror]);
+ *
+ * // The arguments for Task#do() are the same as for Task.parallel().
+ * fastest.do('/a.zip', '/a.zip').then(function(file) {
+ *    console.log('Downloaded from the fastest server - ', file);
+ * });
+ * @memberof Task
+ * @param {string} name - Name of the task.
+ * @param {Task|function[]} tasks - Tasks/templates to be performed in parallel.
+ * @returns {Task}
+ */
+Task.race = function race(name, tasks) {
+  if (typeof name !== 'string') {
+    throw new Error('Task name must be a string.');
   }
-  tasks = tasks.map(function(task) {
-    if (task instanceof Task) {
-      return task;
+  tasks = toTasks(tasks, 1);
+
+  return new Task(name, function() {
+    var run = this;
+    var args = [].slice.call(arguments, 0, arguments.length - 2);
+    return concurrency.runRace(run, toStarters(run, tasks, args), false);
+  });
+};
+
+/**
+ * Perform {@link Task}s in parallel, and resolve with the first one to be
+ * done. The remaining tasks are canceled. If all of them fail, the Promise
+ * is rejected with a {@link TaskFailedError} (not an AggregateError, unlike
+ * Promise.any()) whose "errors" are the reasons in the order of the tasks,
+ * and whose "cause" is an AggregateError (or, where it is not supported, an
+ * Error) of the same reasons.
+ * @example
+ * var cache = Task.create('cache', function(key, done, failed) {...});
+ * var database = Task.create('database', function(key, done, failed) {...});
+ * var lookup = Task.any('lookup', [cache, database]);
+ *
+ * // The arguments for Task#do() are the same as for Task.parallel().
+ * lookup.do('user:1', 'user:1').then(function(user) {
+ *    console.log('Found user - ', user);
+ * }).catch(function(error) {
+ *    console.error('Not found anywhere - ', error.errors);
+ * });
+ * @memberof Task
+ * @param {string} name - Name of the task.
+ * @param {Task|function[]} tasks - Tasks/templates to be performed in parallel.
+ * @returns {Task}
+ */
+Task.any = function any(name, tasks) {
+  if (typeof name !== 'string') {
+    throw new Error('Task name must be a string.');
+  }
+  tasks = toTasks(tasks, 1);
+
+  return new Task(name, function() {
+    var run = this;
+    var args = [].slice.call(arguments, 0, arguments.length - 2);
+    return concurrency.runRace(run, toStarters(run, tasks, args), true);
+  });
+};
+
+/**
+ * Perform {@link Task}s in parallel, and resolve with
+ * {status: 'fulfilled', value} or {status: 'rejected', reason} for each
+ * of them once all of them are done/failed. This is {@link Task.parallel}
+ * with the "settled" option.
+ * @example
+ * var reports = Task.allSettled('send reports', [sendToA, sendToB]);
+ *
+ * // The arguments for Task#do() are the same as for Task.parallel().
+ * reports.do(reportA, reportB).then(function(outcomes) {
+ *    outcomes.forEach(function(outcome) {
+ *      console.log(outcome.status, outcome.value || outcome.reason);
+ *    });
+ * });
+ * @memberof Task
+ * @param {string} name - Name of the task.
+ * @param {Task|function[]} tasks - Tasks/templates to be performed in parallel.
+ * @param {ConcurrencyOptions} [options] - Concurrency options.
+ * @returns {Task}
+ */
+Task.allSettled = function allSettled(name, tasks, options) {
+  options = options || {};
+  return Task.parallel(name, tasks, {
+    concurrency: options.concurrency,
+    order: options.order,
+    settled: true
+  });
+};
+
+/**
+ * Perform {@link Task}s that depend on each other, each one as soon as the
+ * {@link Task}s it depends on are done. {@link Task}s without dependencies
+ * are called with the arguments of {@link Task#do}, and the others are
+ * called with the results of their dependencies (in the order of "deps").
+ * The Promise is resolved with the results keyed by node name.
+ * @example
+ * var build = Task.graph('build', {
+ *    lint: { task: lint },
+ *    compile: { task: compile, deps: ['lint'] },
+ *    bundle: { task: bundle, deps: ['compile'] },
+ *    test: { task: function(compiled, done, failed) {...}, deps: ['compile'] },
+ *    deploy: { task: deploy, deps: ['bundle', 'test'] }
+ * }, { concurrency: 2 });
+ *
+ * // The arguments of Task#do() are arguments for "lint".
+ * build.do('./src').then(function(results) {
+ *    console.log('Deployed - ', results.deploy);
+ * }).catch(function(error) {
+ *    console.error('Build failed - ', error);
+ * });
+ * @memberof Task
+ * @param {string} name - Name of the task.
+ * @param {Object<string, GraphNode>} nodes - Nodes of the graph, keyed by name.
+ * @param {object} [options]
+ * @param {number} [options.concurrency=Infinity] - Maximum number of nodes
+ *   running at any time.
+ * @param {boolean} [options.failFast=true] - If true, the Promise is rejected
+ *   with the reason of the first failed node, and the running nodes are
+ *   canceled. Otherwise, the nodes which do not depend on a failed node keep
+ *   running, and the Promise is then rejected with an Error whose "errors"
+ *   and "results" are keyed by node name, and whose "skipped" are the names
+ *   of the nodes which were not run.
+ * @returns {Task}
+ */
+Task.graph = function taskGraph(name, nodes, options) {
+  if (typeof name !== 'string') {
+    throw new Error('Task name must be a string.');
+  }
+  if (!nodes || typeof nodes !== 'object' || Array.isArray(nodes)) {
+    throw new Error('The second argument should be an object of graph nodes.');
+  }
+  options = options || {};
+  if (typeof options.concurrency !== 'undefined'
+    && (typeof options.concurrency !== 'number' || options.concurrency < 1)) {
+    throw new Error('"concurrency" must be a number greater than 0.');
+  }
+
+  var graphNodes = {};
+  Object.keys(nodes).forEach(function(nodeName) {
+    var node = nodes[nodeName] || {};
+    var deps = node.deps || [];
+    if (!Array.isArray(deps)) {
+      throw new Error('Task graph node "' + nodeName
+        + '" deps must be an array of node names.');
     }
-    if (typeof task === 'function') {
-      return new Task('anonymous', task);
+    if (!(node.task instanceof Task) && typeof node.task !== 'function') {
+      throw new Error('Task graph node "' + nodeName
+        + '" task must either be a Task or a template.');
     }
-    throw new Error('tasks Array item must either be a Task or a template.');
+    graphNodes[nodeName] = {
+      task: toTasks([node.task])[0],
+      deps: deps
+    };
   });
+  var order = graph.sort(graphNodes);
+  var graphOptions = {
+    concurrency: options.concurrency || Infinity,
+    failFast: options.failFast !== false
+  };
 
   return new Task(name, function() {
     var args = [].slice.call(arguments, 0, arguments.length - 2);
-    args = args.map(function(taskArgs) {
-      return Array.isArray(taskArgs) ? taskArgs : [taskArgs];
-    });
-    return Promise.all(tasks.map(function(task, i) {
-      return task.do.apply(task, args[i]);
-    }));
+    return graph.runGraph(this, graphNodes, order, args, graphOptions);
   });
 };
 
 /**
- * Try to do a {@link Task} at most n times until done.
+ * Try to do a {@link Task} at most n times until done. Inside the template,
+ * "this.attempt" is the number of the current attempt (starting at 1). If
+ * all the attempts fail, the Promise is rejected with a {@link TaskFailedError}
+ * whose "errors" are the reasons for each failed attempt, whose "attempts"
+ * are {attempt, error, startTime, endTime} for each failed attempt, and
+ * whose "cause" is the reason for the last failed attempt.
  * @example
  * var task = Task.try('try', function(arg1, arg2, done, failed) {...});
  *
@@ -220,41 +807,91 @@ Task.parallel = function parallel(name, tasks) {
  * }).catch(function() {
  *    console.log('Failed even after 10 tries!');
  * });
+ * @example
+ * var fetchStatus = Task.try('fetch status', function(url, done, failed) {
+ *    console.log('Attempt #' + this.attempt);
+ *    $.getJSON(url, done, failed);
+ * }, {
+ *    attempts: 5,
+ *    backoff: 'exponential',
+ *    minDelay: 100,
+ *    maxDelay: 5000,
+ *    jitter: 'full',
+ *    shouldRetry: function(error, attempt) { return error.reason.status >= 500; },
+ *    onRetry: function(error, attempt, delay) {
+ *      console.log('Attempt #' + attempt + ' failed, retrying in ' + delay + 'ms.');
+ *    }
+ * });
+ *
+ * // The number of tries is part of the policy, so all the arguments
+ * // for Task#do() are arguments for the template.
+ * fetchStatus.do('/status').catch(function(error) {
+ *    console.log('Failed after ' + error.attempts.length + ' tries - ', error.errors);
+ * });
  * @memberof Task
  * @param {string} name - Name of the {@link Task}.
  * @param {function} template - Task template.
+ * @param {RetryPolicy} [policy] - Retry policy.
  * @returns {Task}
  */
-Task.try = function tryTask(name, template) {
+Task.try = function tryTask(name, template, policy) {
   if (typeof name !== 'string') {
     throw new Error('Task name must be a string.');
   }
   if (typeof template !== 'function') {
     throw new Error('Task template must be a function.');
   }
+  policy = retryPolicy.normalize(typeof policy === 'object' ? policy : null);
 
   return new Task(name, function() {
+    var run = this;
     var args = [].slice.call(arguments, 0, arguments.length - 2);
-    var tries = args.pop();
+    var tries = typeof policy.attempts === 'number' ? policy.attempts : args.pop();
     var task = new Task(name + ': trying once', template);
+    var attempts = [];
+    var start = new Date().getTime();
 
     if (typeof tries !== 'number') {
       throw new Error('Last argument for Task#do() must '
         + 'be a number (number of tries).');
     }
 
-    return (function tryOnce(error) {
-      if (tries > 0) {
-        tries--;
-        return task.do.apply(task, args).catch(tryOnce);
+    return (function tryOnce(attempt) {
+      if (attempt > tries) {
+        return Promise.reject(retryPolicy.createError(run, attempts));
       }
-      return Promise.reject(error);
-    })();
+      var attemptRun = progress.forward(run, run.spawn(task, args, { attempt: attempt }));
+      return attemptRun.promise.catch(function(error) {
+        attempts.push({
+          attempt: attempt,
+          error: error,
+          startTime: attemptRun.startTime,
+          endTime: attemptRun.endTime
+        });
+        if (run.status !== 'pending') {
+          throw error;
+        }
+
+        var delay = retryPolicy.getDelay(policy, attempt);
+        if (attempt >= tries
+          || !policy.shouldRetry(error, attempt)
+          || new Date().getTime() + delay - start > policy.timeBudget) {
+          throw retryPolicy.createError(run, attempts);
+        }
+        policy.onRetry(error, attempt, delay);
+        run._emit('retry', { attempt: attempt, error: error, delay: delay });
+        return wait(run, delay).then(function() {
+          return tryOnce(attempt + 1);
+        });
+      });
+    })(1);
   });
 };
 
 /**
- * Perform a task on an array of items.
+ * Perform a task on an array of items. The run is rejected with the first
+ * failure; unless "stopOnError" is set, the child runs which are still in
+ * flight then keep running, and their outcomes are ignored.
  * @example
  * var task = Task.map('get html of a given url', function(url, done, failed) {
  *    http.get(url, function(response) {
@@ -277,134 +914,997 @@ Task.try = function tryTask(name, template) {
  * }).catch(function(error) {
  *    console.log('Failed to get htmls - ', error);
  * });
+ *
+ * // Get at most 10 htmls at a time, and stop after the first failure.
+ * var boundedTask = Task.map('get html of a given url', template, {
+ *    concurrency: 10,
+ *    stopOnError: true
+ * });
  * @param {string} name - Name of the task.
  * @param {function} template - {@link Task} template.
+ * @param {ConcurrencyOptions} [options] - Concurrency options, and:
+ * @param {function} [options.weight] - Called with each item and its index;
+ *   returns the weight of the item in the progress of the mapping (see
+ *   {@link TaskRun#reportProgress}). By default, all the items weigh the same.
  * @returns {Task}
  */
-Task.map = function map(name, template) {
+Task.map = function map(name, template, options) {
   if (typeof name !== 'string') {
     throw new Error('Task name must be a string.');
   }
   if (typeof template !== 'function') {
     throw new Error('Task template must be a function.');
   }
+  var weight = (options || {}).weight;
+  if (typeof weight !== 'undefined' && typeof weight !== 'function') {
+    throw new Error('"weight" must be a function.');
+  }
+  options = concurrency.normalize(options);
 
   return new Task(name, function(array) {
+    var run = this;
     if (!Array.isArray(array)) {
       throw new Error('Argument to Task#do() must be an array.');
     }
-    return Promise.all(array.map(function(item) {
-      var task = new Task(name + ': mapping once', template);
-      return task.do.call(task, item);
-    }));
+    var task = new Task(name + ': mapping once', template);
+    var watch = progress.aggregate(run, weight
+      ? progress.normalizeWeights(array.map(weight), array.length)
+      : getWeights(null, array.length));
+    return concurrency.runAll(run, array.map(function(item, i) {
+      return function() {
+        var itemRun = run.spawn(task, [item], { step: i });
+        watch(i, itemRun);
+        run._emit('step', { index: i, count: array.length, child: itemRun });
+        return itemRun;
+      };
+    }), options);
   });
 };
 
 /**
- * Execute a task after waiting some time.
+ * Perform a task on the items of an async iterable (like a Node.js Readable
+ * stream in object mode, or an async generator) or an iterable, without
+ * loading all of them in memory. An item is only read from the source when
+ * fewer than "concurrency" items are being mapped, and fewer than
+ * "highWaterMark" results are waiting to be read, so a slow reader slows
+ * down the reading of the source. Like {@link Task.map}, the first failure
+ * fails the run.
+ * <br><br>
+ * The argument of {@link Task#do} is the source, and the run is resolved
+ * with the number of items; the results are dropped. To read them, the
+ * {@link Task} has two methods, which start a run and return:
+ * <ul>
+ *   <li>iterate(source) - An async iterator (which is also async iterable)
+ *     over the results, with the {@link TaskRun} as its "run" property.
+ *     Breaking out of a for await loop cancels the run.</li>
+ *   <li>readable(source) - An object mode Readable stream of the results
+ *     (Node.js 10.17, 12.3 and later only), which can be piped. Destroying
+ *     it cancels the run. Results cannot be null, since it would end the
+ *     stream.</li>
+ * </ul>
  * @example
- * var delayedTask = Task.delay('check status after 5 seconds', function(url, done, failed) {
- *    $.getJSON(url, done, failed);
- * });
+ * var geocode = Task.mapStream('geocode', function(record, done, failed) {
+ *    geocoder.lookup(record.address).then(function(location) {
+ *      done({ id: record.id, location: location });
+ *    }, failed);
+ * }, { concurrency: 10 });
  *
- * // The last argument to Task#do() is the wait time in milliseconds.
- * delayedTask.do('http://www.x.y.com/status/me', 5000).then(function(status) {
- *    console.log('Status: ', status);
- * }).catch(function(error) {
- *    console.log('Failed to get status: ', error);
- * });
+ * for await (var result of geocode.iterate(readRecords('addresses.csv'))) {...}
+ *
+ * geocode.readable(readRecords('addresses.csv')).pipe(toCsv()).pipe(fs.createWriteStream('locations.csv'));
+ * @memberof Task
  * @param {string} name - Name of the task.
  * @param {function} template - {@link Task} template.
+ * @param {object} [options]
+ * @param {number} [options.concurrency=1] - Maximum number of items being
+ *   mapped at any time.
+ * @param {string} [options.order='input'] - 'input' to order the results like
+ *   the items, or 'completion' to order them by when they are done.
+ * @param {number} [options.highWaterMark] - Maximum number of results
+ *   waiting to be read, or to be put in order (default: "concurrency").
  * @returns {Task}
  */
-Task.delay = function delay(name, template) {
+Task.mapStream = function mapStreamTask(name, template, options) {
   if (typeof name !== 'string') {
     throw new Error('Task name must be a string.');
   }
   if (typeof template !== 'function') {
     throw new Error('Task template must be a function.');
   }
+  options = mapStream.normalize(options);
 
-  return new Task(name, function() {
-    var args = [].slice.call(arguments);
-    var failed = args.pop();
-    var done = args.pop();
-    var delay = args.pop();
-
-    if (typeof delay !== 'number') {
-      throw new Error('Last argument for Task#do() must be a number '
-        + 'specifying the milliseconds to wait after which the task is to '
-        + 'be executed.');
+  var task = new Task(name, function(source) {
+    var run = this;
+    var iterator = mapStream.toIterator(source);
+    if (!iterator || arguments.length < 3) {
+      throw new Error('Argument to Task#do() must be an iterable, an async '
+        + 'iterable or a readable stream.');
     }
+    var itemTask = new Task(name + ': mapping once', template);
+    return mapStream.mapAll(run, iterator, function(item, i) {
+      var itemRun = run.spawn(itemTask, [item], { step: i });
+      run._emit('step', { index: i, count: null, child: itemRun });
+      return itemRun;
+    }, options);
+  });
 
-    setTimeout(function() {
-      var task = new Task(name + ': delayed', template);
-      task.do.apply(task, args).then(done).catch(failed);
-    }, delay);
+  return Object.defineProperties(task, {
+    iterate: {
+      value: function iterate(source) {
+        return mapStream.iterate(this.run(source));
+      }
+    },
+    readable: {
+      value: function toReadable(source) {
+        if (typeof readable.isSupported !== 'function') {
+          throw new Error('readable() is only supported in Node.js.');
+        }
+        if (!readable.isSupported()) {
+          throw new Error('readable() needs stream.Readable.from(), which is in '
+            + 'Node.js 10.17, 12.3 and later.');
+        }
+        return readable.fromIterator(this.iterate(source));
+      }
+    }
   });
 };
 
 /**
- * Perform a {@link Task}.
+ * Perform one of two {@link Task}s, depending on the result of a predicate
+ * {@link Task}. The arguments of {@link Task#do} are the arguments of the
+ * predicate and of the chosen {@link Task}. If the predicate's result is
+ * falsy and there is no "elseTask", the first argument is the result, so
+ * that it can be an optional step of {@link Task.sequence}.
  * @example
- * var task = Task.create('task name', function(a, b, done, failed) {...});
+ * var publish = Task.if('publish', isApproved, deploy, requestReview);
  *
- * task.do({ foo: 'bar' }, true).then(function(result) {
- *    console.log('Task done - ', result);
- * }).catch(function(error) {
- *    console.error('Task failed - ', error);
- * });
- * @param {...*} arguments - Arguments for the task template.
- * @returns {Promise}
+ * publish.do(change).then(function(result) {...});
+ *
+ * // Templates returning a boolean make simple predicates.
+ * var compress = Task.if('compress if large', function(file) {
+ *    return file.size > 1e6;
+ * }, gzip);
+ * @memberof Task
+ * @param {string} name - Name of the task.
+ * @param {Task|function} predicate - Task/template whose result decides.
+ * @param {Task|function} thenTask - Task/template performed if the result
+ *   is truthy.
+ * @param {Task|function} [elseTask] - Task/template performed if the result
+ *   is falsy.
+ * @returns {Task}
  */
-Task.prototype.do = function doTask() {
-  var args = [].slice.call(arguments);
-  var self = this;
-
-  return new Promise(function(resolve, reject) {
-    var timeout = typeof self._timeout === 'function'
-      ? self._timeout()
-      : null;
-    var _resolve = function _resolve() {
-      if (timeout) {
-        clearTimeout(timeout);
-        timeout = null;
-      }
-      self._timeout = null;
-      self._cancel = null;
-      resolve.apply(this, arguments);
-    };
-    var _reject = function _reject() {
-      if (timeout) {
-        clearTimeout(timeout);
-        timeout = null;
-      }
-      self._timeout = null;
-      self._cancel = null;
-      reject.apply(this, arguments);
-    };
-    self._cancel = _reject;
+Task.if = function ifTask(name, predicate, thenTask, elseTask) {
+  if (typeof name !== 'string') {
+    throw new Error('Task name must be a string.');
+  }
+  var tasks = toTasks(typeof elseTask === 'undefined'
+    ? [predicate, thenTask]
+    : [predicate, thenTask, elseTask]);
 
-    var ret = self.template.apply(null, args.concat([_resolve, _reject]));
-    if (ret instanceof Promise) {
-      ret.then(_resolve).catch(_reject);
-    }
-    else if (typeof ret !== 'undefined') {
-      _resolve(ret);
-    }
+  return new Task(name, function() {
+    var run = this;
+    var args = [].slice.call(arguments, 0, arguments.length - 2);
+    return run.spawn(tasks[0], args, { step: 'if' }).promise.then(function(result) {
+      var task = result ? tasks[1] : tasks[2];
+      if (!task) {
+        return args[0];
+      }
+      return progress.forward(run, run.spawn(task, args, {
+        step: result ? 'then' : 'else'
+      })).promise;
+    });
   });
 };
 
 /**
- * Cancel a {@link Task} if it hasn't completed.
+ * Perform one of several {@link Task}s, depending on the result of a
+ * selector {@link Task}. The arguments of {@link Task#do} are the arguments
+ * of the selector and of the chosen {@link Task}. If no case matches the
+ * result, the "default" case is performed, or the task fails if there is
+ * none.
  * @example
- * var timeout = null;
- * var task = Task.create('cancelable task', function(ms, done, failed) {
+ * var notify = Task.switch('notify', function(user) {
+ *    return user.channel;
+ * }, {
+ *    email: sendEmail,
+ *    sms: sendSms,
+ *    default: logNotification
+ * });
+ *
+ * notify.do(user).then(function(receipt) {...});
+ * @memberof Task
+ * @param {string} name - Name of the task.
+ * @param {Task|function} selector - Task/template whose result is the case.
+ * @param {Object<string, Task|function>} cases - Task/template for each case.
+ * @returns {Task}
+ */
+Task.switch = function switchTask(name, selector, cases) {
+  if (typeof name !== 'string') {
+    throw new Error('Task name must be a string.');
+  }
+  selector = toTasks([selector])[0];
+  if (!cases || typeof cases !== 'object' || Array.isArray(cases)) {
+    throw new Error('cases must be an object of Tasks/templates.');
+  }
+  var keys = Object.keys(cases);
+  var tasks = toTasks(keys.map(function(key) {
+    return cases[key];
+  }));
+
+  return new Task(name, function() {
+    var run = this;
+    var args = [].slice.call(arguments, 0, arguments.length - 2);
+    return run.spawn(selector, args, { step: 'switch' }).promise.then(function(key) {
+      var i = keys.indexOf(String(key));
+      if (i === -1) {
+        i = keys.indexOf('default');
+      }
+      if (i === -1) {
+        throw new Error('No case for "' + key + '".');
+      }
+      return progress.forward(run, run.spawn(tasks[i], args, { step: keys[i] })).promise;
+    });
+  });
+};
+
+/**
+ * Perform a {@link Task} again and again, as long as a predicate on its
+ * result holds. The {@link Task} is performed at least once, with the
+ * arguments of {@link Task#do} every time, and the predicate
+ * {@link Task} is performed with each result. The result is the last result
+ * of the {@link Task}. If the predicate still holds after "maxIterations",
+ * the task fails with a {@link TaskFailedError} which has "iterations" and
+ * "result".
+ * @example
+ * // Poll a job every second while it is running, for at most a minute.
+ * var waitForJob = Task.while('wait for job', getJobStatus, function(status) {
+ *    return status === 'running';
+ * }, { delay: 1000, maxIterations: 60 });
+ *
+ * waitForJob.do(jobId).then(function(status) {...});
+ * @memberof Task
+ * @param {string} name - Name of the task.
+ * @param {Task|function} task - Task/template to repeat.
+ * @param {Task|function} predicate - Task/template called with each result.
+ * @param {object} [options]
+ * @param {number} [options.maxIterations=Infinity] - Maximum number of
+ *   times the {@link Task} is performed.
+ * @param {number} [options.delay=0] - Time (ms) to wait between iterations.
+ * @returns {Task}
+ */
+Task.while = function whileTask(name, task, predicate, options) {
+  return loop(name, task, predicate, options, false);
+};
+
+/**
+ * Perform a {@link Task} again and again, until a predicate on its result
+ * holds. Same as {@link Task.while}, with the opposite predicate.
+ * @example
+ * var waitForJob = Task.until('wait for job', getJobStatus, function(status) {
+ *    return status === 'complete';
+ * }, { delay: 1000, maxIterations: 60 });
+ * @memberof Task
+ * @param {string} name - Name of the task.
+ * @param {Task|function} task - Task/template to repeat.
+ * @param {Task|function} predicate - Task/template called with each result.
+ * @param {object} [options] - See {@link Task.while}.
+ * @returns {Task}
+ */
+Task.until = function untilTask(name, task, predicate, options) {
+  return loop(name, task, predicate, options, true);
+};
+
+/**
+ * Execute a task after waiting some time.
+ * @example
+ * var delayedTask = Task.delay('check status after 5 seconds', function(url, done, failed) {
+ *    $.getJSON(url, done, failed);
+ * });
+ *
+ * // The last argument to Task#do() is the wait time in milliseconds.
+ * delayedTask.do('http://www.x.y.com/status/me', 5000).then(function(status) {
+ *    console.log('Status: ', status);
+ * }).catch(function(error) {
+ *    console.log('Failed to get status: ', error);
+ * });
+ * @param {string} name - Name of the task.
+ * @param {function} template - {@link Task} template.
+ * @returns {Task}
+ */
+Task.delay = function delay(name, template) {
+  if (typeof name !== 'string') {
+    throw new Error('Task name must be a string.');
+  }
+  if (typeof template !== 'function') {
+    throw new Error('Task template must be a function.');
+  }
+
+  return new Task(name, function() {
+    var run = this;
+    var args = [].slice.call(arguments);
+    var failed = args.pop();
+    var done = args.pop();
+    var delay = args.pop();
+
+    if (typeof delay !== 'number') {
+      throw new Error('Last argument for Task#do() must be a number '
+        + 'specifying the milliseconds to wait after which the task is to '
+        + 'be executed.');
+    }
+
+    var timer = setTimeout(function() {
+      var task = new Task(name + ': delayed', template);
+      progress.forward(run, run.spawn(task, args)).promise.then(done).catch(failed);
+    }, delay);
+    run.onCancel(function() {
+      clearTimeout(timer);
+    });
+  });
+};
+
+/**
+ * Create a {@link Task} whose template runs in a {@link WorkerPool} (worker
+ * threads in Node.js, Web Workers in browsers), so that CPU-bound work does
+ * not block the main thread. The template is either a function, which is
+ * sent to the workers as source code (so it cannot use the variables around
+ * it, or the {@link TaskRun}), or, in Node.js only, the path of a module
+ * which exports it. Like any template, it receives done() and failed() after
+ * its arguments, or it can return its result or a Promise, and it can report
+ * its progress with this.reportProgress(fraction, detail). Arguments and
+ * results are copied with the structured clone algorithm. Canceling (or
+ * timing out) a run terminates its worker, and errors thrown in the worker
+ * fail the run. The {@link Task} has a "pool" property.
+ * @example
+ * var hash = Task.worker('hash', function(buffer, rounds) {
+ *    var crypto = require('crypto');
+ *    for (var i = 0; i < rounds; i++) {
+ *      buffer = crypto.createHash('sha256').update(buffer).digest();
+ *    }
+ *    return buffer.toString('hex');
+ * }, { size: 4, idleTimeout: 60000 });
+ *
+ * hash.do(Buffer.from('secret'), 100000).then(function(digest) {...});
+ *
+ * var resize = Task.worker('resize', './workers/resize.js');
+ * @memberof Task
+ * @param {string} name - Name of the task.
+ * @param {string|function} template - Module path (resolved from the
+ *   current directory if relative) or template.
+ * @param {object} [options] - See {@link WorkerPool}.
+ * @returns {Task}
+ */
+Task.worker = function worker(name, template, options) {
+  if (typeof name !== 'string') {
+    throw new Error('Task name must be a string.');
+  }
+  var pool = new WorkerPool(workerThread, workerThread.resolve(template), options);
+
+  var task = new Task(name, function() {
+    var run = this;
+    var args = [].slice.call(arguments, 0, arguments.length - 2);
+    var job = pool._exec(args, function(fraction, detail) {
+      run.reportProgress(fraction, detail);
+    });
+    run.onCancel(job.cancel);
+    return job.promise;
+  });
+
+  return Object.defineProperty(task, 'pool', {
+    value: pool
+  });
+};
+
+/**
+ * Create a {@link Task} which runs a command in a child process (Node.js
+ * only). The arguments of a run are added to "args". The run is resolved
+ * with an {@link ExecResult} if the process exits with code 0, and fails
+ * with an {@link ExecError} (which has the same properties) otherwise. Each
+ * line the process writes is passed to "onOutput", and emitted as an
+ * "output" event ("stream", which is 'stdout' or 'stderr', and "line").
+ * Canceling (or timing out) a run sends "killSignal" to the process, and
+ * SIGKILL if it is still running "killTimeout" milliseconds later.
+ * @example
+ * var build = Task.exec('build', 'make', {
+ *    args: ['-j4'],
+ *    cwd: '/path/to/project',
+ *    env: { CC: 'clang' },
+ *    onOutput: function(line, stream) {
+ *      console.log('[' + stream + '] ' + line);
+ *    }
+ * });
+ *
+ * build.run('all').timeout(600000);
+ * @memberof Task
+ * @param {string} name - Name of the task.
+ * @param {string} command - The command.
+ * @param {object} [options]
+ * @param {Array<string>} [options.args=[]] - Arguments of the command.
+ * @param {string} [options.cwd] - Working directory.
+ * @param {object} [options.env] - Environment variables, added to the ones
+ *   of this process.
+ * @param {string|Buffer|stream.Readable} [options.input] - Written (or
+ *   piped) to the process' stdin.
+ * @param {boolean|string} [options.shell=false] - Run the command in a
+ *   shell (see child_process.spawn()).
+ * @param {function} [options.onOutput] - Called with each line of output
+ *   and 'stdout' or 'stderr'.
+ * @param {string} [options.killSignal='SIGTERM'] - Signal sent to the
+ *   process when a run is canceled.
+ * @param {number} [options.killTimeout=5000] - Time (ms) after which
+ *   SIGKILL is sent to a process which did not exit.
+ * @returns {Task}
+ */
+Task.exec = function exec(name, command, options) {
+  options = options || {};
+  if (typeof name !== 'string') {
+    throw new Error('Task name must be a string.');
+  }
+  if (!childProcess.isSupported()) {
+    throw new Error('Task.exec() is only supported in Node.js.');
+  }
+  if (typeof command !== 'string') {
+    throw new Error('Task.exec() command must be a string.');
+  }
+  if (typeof options.args !== 'undefined' && !Array.isArray(options.args)) {
+    throw new Error('Task.exec() "args" must be an array.');
+  }
+  if (typeof options.onOutput !== 'undefined' && typeof options.onOutput !== 'function') {
+    throw new Error('Task.exec() "onOutput" must be a function.');
+  }
+  if (typeof options.killTimeout !== 'undefined'
+    && (typeof options.killTimeout !== 'number' || options.killTimeout < 0)) {
+    throw new Error('Task.exec() "killTimeout" must be a non-negative number.');
+  }
+  var execOptions = {
+    cwd: options.cwd,
+    env: options.env,
+    input: options.input,
+    shell: options.shell,
+    killSignal: options.killSignal || 'SIGTERM',
+    killTimeout: typeof options.killTimeout === 'number' ? options.killTimeout : 5000
+  };
+
+  return new Task(name, function() {
+    var run = this;
+    var args = (options.args || []).concat([].slice.call(arguments, 0, arguments.length - 2))
+      .map(String);
+    var done = arguments[arguments.length - 2];
+    var failed = arguments[arguments.length - 1];
+
+    var job = childProcess.exec(command, args, execOptions, function(line, stream) {
+      if (run.status !== 'pending') {
+        return;
+      }
+      if (options.onOutput) {
+        try {
+          options.onOutput(line, stream);
+        } catch (e) {
+          // Do nothing.
+        }
+      }
+      run._emit('output', { stream: stream, line: line });
+    });
+    run.onCancel(job.kill);
+    job.promise.then(function(result) {
+      if (result.exitCode === 0) {
+        done(result);
+        return;
+      }
+      failed(errors.execFailed(run, command, args, result));
+    }, failed);
+  });
+};
+
+/**
+ * Create a {@link Task} from a declarative workflow definition, which refers
+ * to registered {@link Task}s by name. A node of the definition is either
+ * the name of a {@link Task} in the registry, or an object with exactly one
+ * of these properties (and an optional "name" for the composite
+ * {@link Task}):
+ * <ul>
+ *   <li>"sequence" - An array of nodes, performed with
+ *     {@link Task.sequence}.</li>
+ *   <li>"parallel" - An array of nodes, performed with {@link Task.parallel}
+ *     (with the options "concurrency", "order", "settled" and
+ *     "stopOnError").</li>
+ *   <li>"try" - A node, tried "attempts" times with {@link Task.try} (with
+ *     the other {@link RetryPolicy} options which are not functions).</li>
+ *   <li>"map" - A node, performed for each item of an array with
+ *     {@link Task.map} (with the same options as "parallel").</li>
+ *   <li>"delay" - A node, performed after waiting "ms" milliseconds.</li>
+ * </ul>
+ * The whole definition is validated first, and errors say where the
+ * problem is (like 'Unknown task "resize" at
+ * workflow.sequence[1].parallel[0].').
+ * @example
+ * Task.registry.register(fetch).register(resize).register(thumbnail).register(upload);
+ *
+ * var pipeline = Task.workflow({
+ *    name: 'publish image',
+ *    sequence: ['fetch', { parallel: ['resize', 'thumbnail'] }, { try: 'upload', attempts: 3 }]
+ * });
+ *
+ * // YAML documents need a parser, like js-yaml.
+ * var fromYaml = Task.workflow(fs.readFileSync('pipeline.yml', 'utf8'), { parse: yaml.load });
+ * @memberof Task
+ * @param {string|WorkflowNode} definition - The definition, or a document
+ *   (JSON, unless "parse" is given) containing it.
+ * @param {object} [options]
+ * @param {TaskRegistry} [options.registry=Task.registry] - Where the
+ *   {@link Task}s are looked up.
+ * @param {function} [options.parse] - Called with a document; returns the
+ *   definition.
+ * @returns {Task}
+ */
+Task.workflow = function taskWorkflow(definition, options) {
+  options = options || {};
+  var registry = options.registry || Task.registry;
+  if (!(registry instanceof TaskRegistry)) {
+    throw new Error('Workflow "registry" must be a TaskRegistry.');
+  }
+  if (typeof options.parse !== 'undefined' && typeof options.parse !== 'function') {
+    throw new Error('Workflow "parse" must be a function.');
+  }
+  return buildWorkflow(workflow.parse(definition, registry, options.parse), registry);
+};
+
+/**
+ * Create a {@link TaskQueue}, which runs the {@link Task}s added to it with
+ * a concurrency limit, in order of priority.
+ * @example
+ * var queue = Task.queue({ concurrency: 2 });
+ * var job = queue.add(resizeImage, ['a.png', 100], { priority: 1 });
+ *
+ * job.promise.then(function(image) {...});
+ * queue.onIdle().then(function() {
+ *    console.log('All the images are resized.');
+ * });
+ * @memberof Task
+ * @param {object} [options] - See {@link TaskQueue}.
+ * @returns {TaskQueue}
+ */
+Task.queue = function queue(options) {
+  return new TaskQueue(options);
+};
+
+/**
+ * Create a {@link RateLimiter}, which can be shared by the {@link Task}s
+ * created by {@link Task.rateLimit}.
+ * @example
+ * var perSecond = Task.rateLimiter({ limit: 10, interval: 1000 });
+ * var perHour = Task.rateLimiter({ limit: 1000, interval: 3600000 });
+ *
+ * var getUser = Task.rateLimit(fetchUser, { limiter: [perSecond, perHour] });
+ * var getOrders = Task.rateLimit(fetchOrders, { limiter: [perSecond, perHour] });
+ * @memberof Task
+ * @param {object} options - See {@link RateLimiter}.
+ * @returns {RateLimiter}
+ */
+Task.rateLimiter = function rateLimiter(options) {
+  return new rateLimit.RateLimiter(options);
+};
+
+/**
+ * Rate limit a {@link Task}. Each run of the returned {@link Task} waits
+ * until the rate limit allows it to start, and then runs the {@link Task}
+ * with the same arguments. If it would have to wait longer than "maxWait",
+ * it is rejected with a {@link RateLimitError} instead. A run canceled while
+ * waiting does not count towards the rate limit.
+ * @example
+ * var getUser = Task.rateLimit(fetchUser, { limit: 10, interval: 1000, maxWait: 5000 });
+ *
+ * // At most 10 of these start in any second.
+ * userIds.forEach(function(id) {
+ *    getUser.do(id).then(function(user) {...}).catch(function(error) {
+ *      if (error instanceof Task.RateLimitError) {
+ *        console.log('Too busy, try again in ' + error.delay + 'ms.');
+ *      }
+ *    });
+ * });
+ * @memberof Task
+ * @param {Task|function} task - Task/template to rate limit.
+ * @param {object} options
+ * @param {number} [options.limit] - Maximum number of runs in any window,
+ *   if "limiter" is not given.
+ * @param {number} [options.interval] - Length (ms) of the window, if
+ *   "limiter" is not given.
+ * @param {RateLimiter|Array<RateLimiter>} [options.limiter] - Shared
+ *   {@link RateLimiter}(s). A run starts once all of them allow it.
+ * @param {number} [options.maxWait=Infinity] - Maximum time (ms) a run can
+ *   wait for the rate limit.
+ * @returns {Task}
+ */
+Task.rateLimit = function rateLimitTask(task, options) {
+  task = toTasks([task])[0];
+  options = rateLimit.normalize(options);
+  var limiters = options.limiters;
+
+  return new Task(task.name + ': rate limited', function() {
+    var run = this;
+    var args = [].slice.call(arguments, 0, arguments.length - 2);
+    var now = new Date().getTime();
+    var time = rateLimit.getStartTime(limiters, now);
+
+    if (time - now > options.maxWait) {
+      throw errors.rateLimited(run, time - now, options.maxWait);
+    }
+    var started = false;
+    limiters.forEach(function(limiter) {
+      limiter._take(time);
+    });
+    run.onCancel(function() {
+      if (started) {
+        return;
+      }
+      limiters.forEach(function(limiter) {
+        limiter._release(time);
+      });
+    });
+    return wait(run, time - now).then(function() {
+      started = true;
+      return progress.forward(run, run.spawn(task, args)).promise;
+    });
+  });
+};
+
+/**
+ * Wrap a {@link Task} in a circuit breaker (see {@link CircuitBreaker}). While
+ * the circuit is open (or half-open and already probing), runs of the
+ * returned {@link Task} fail fast with a {@link CircuitOpenError}, or run
+ * the "fallback" {@link Task} with the same arguments if there is one.
+ * Canceled runs do not count as failures. The returned {@link Task} has a
+ * "state" property, and emits a "state" event ("from", "to") whenever the
+ * state changes.
+ * @example
+ * var getPrices = Task.circuitBreaker(fetchPrices, {
+ *    failureThreshold: 5,
+ *    windowMs: 10000,
+ *    resetTimeoutMs: 30000,
+ *    fallback: getCachedPrices
+ * });
+ *
+ * getPrices.on('state', function(event) {
+ *    console.log('Prices circuit went from ' + event.from + ' to ' + event.to);
+ * });
+ * @memberof Task
+ * @param {Task|function} task - Task/template to wrap.
+ * @param {object} [options] - See {@link CircuitBreaker}.
+ * @param {Task|function} [options.fallback] - Task/template to run while
+ *   the circuit is open.
+ * @returns {Task}
+ */
+Task.circuitBreaker = function circuitBreaker(task, options) {
+  task = toTasks([task])[0];
+  options = options || {};
+  var fallback = options.fallback ? toTasks([options.fallback])[0] : null;
+  var breaker = new CircuitBreaker(options, function(from, to) {
+    wrapper.emit('state', {
+      type: 'state',
+      name: wrapper.name,
+      task: wrapper,
+      from: from,
+      to: to,
+      timestamp: new Date().getTime()
+    });
+  });
+
+  var wrapper = new Task(task.name + ': circuit breaker', function() {
+    var run = this;
+    var args = [].slice.call(arguments, 0, arguments.length - 2);
+    var now = new Date().getTime();
+    var permit = breaker._acquire(now);
+
+    if (!permit) {
+      if (fallback) {
+        return progress.forward(run, run.spawn(fallback, args)).promise;
+      }
+      throw errors.circuitOpen(run, breaker._state, breaker._retryAfter(now));
+    }
+    var childRun = progress.forward(run, run.spawn(task, args));
+    function release() {
+      breaker._release(permit, childRun.status, new Date().getTime());
+    }
+    childRun.promise.then(release, release);
+    return childRun.promise;
+  });
+
+  return Object.defineProperties(wrapper, {
+    breaker: {
+      value: breaker
+    },
+    state: {
+      enumerable: true,
+      get: function() {
+        return breaker.state;
+      }
+    }
+  });
+};
+
+/**
+ * Run a {@link Task} every "interval" milliseconds, starting "interval"
+ * milliseconds from now (or at "startDate", and then every "interval"
+ * milliseconds after it).
+ * @example
+ * var heartbeat = Task.every(ping, 5000, {
+ *    args: ['http://www.x.y.com/health'],
+ *    overlap: 'cancel',
+ *    maxRuns: 100
+ * });
+ *
+ * heartbeat.on('run', function(event) {
+ *    event.run.promise.catch(function(error) {
+ *      console.log('Health check failed: ', error);
+ *    });
+ * });
+ * heartbeat.stop();
+ * @memberof Task
+ * @param {Task|function} task - Task/template to run.
+ * @param {number} interval - Time (ms) between runs.
+ * @param {object} [options] - See {@link Schedule}.
+ * @returns {Schedule}
+ */
+Task.every = function every(task, interval, options) {
+  task = toTasks([task])[0];
+  if (typeof interval !== 'number' || interval <= 0) {
+    throw new Error('interval must be a number greater than 0.');
+  }
+  var anchor = null;
+
+  return new Schedule(task, function(after) {
+    if (anchor === null) {
+      anchor = this.startDate ? this.startDate.getTime() : after;
+    }
+    return after < anchor
+      ? anchor
+      : anchor + (Math.floor((after - anchor) / interval) + 1) * interval;
+  }, options);
+};
+
+/**
+ * Run a {@link Task} at the times matching a cron expression (see
+ * {@link CronExpression}).
+ * @example
+ * var report = Task.schedule(sendReport, '0 9 * * MON-FRI', {
+ *    timeZone: 'America/New_York',
+ *    overlap: 'queue',
+ *    endDate: new Date('2030-01-01')
+ * });
+ *
+ * console.log(report.nextRuns(3));
+ * @memberof Task
+ * @param {Task|function} task - Task/template to run.
+ * @param {string} expression - The cron expression.
+ * @param {object} [options] - See {@link Schedule}.
+ * @param {string} [options.timeZone] - IANA time zone in which the
+ *   expression is matched, like "Europe/Paris" (default: local).
+ * @returns {Schedule}
+ */
+Task.schedule = function schedule(task, expression, options) {
+  task = toTasks([task])[0];
+  var cron = new CronExpression(expression, options);
+
+  return new Schedule(task, function(after) {
+    return cron.next(after);
+  }, options);
+};
+
+/**
+ * Start a new {@link TaskRun} of the {@link Task}. Each run can be
+ * canceled or timed out independently of other runs of the same {@link Task}.
+ * @example
+ * var task = Task.create('task name', function(a, b, done, failed) {...});
+ *
+ * var run = task.run({ foo: 'bar' }, true);
+ * run.timeout(5000, 'timeout');
+ * run.promise.then(function(result) {
+ *    console.log('Task done in ' + (run.endTime - run.startTime) + 'ms - ', result);
+ * }).catch(function(error) {
+ *    console.error('Task ' + run.status + ' - ', error);
+ * });
+ * @param {...*} arguments - Arguments for the task template.
+ * @returns {TaskRun}
+ */
+Task.prototype.run = function run() {
+  return this._run([].slice.call(arguments), {});
+};
+
+/**
+ * Start a new {@link TaskRun} of the {@link Task}.
+ * @private
+ * @param {Array<*>} args - Arguments for the task template.
+ * @param {object} options - Options for the {@link TaskRun}, except "signal".
+ * @returns {TaskRun}
+ */
+Task.prototype._run = function _run(args, options) {
+  var taskRun = new TaskRun(this, args, {
+    attempt: options.attempt,
+    idempotencyKey: options.idempotencyKey,
+    middleware: Task._middleware.concat(this._middleware),
+    parent: options.parent,
+    signal: this._signal,
+    step: options.step
+  });
+  if (this._timeout) {
+    taskRun.timeout(this._timeout.milliseconds, this._timeout.reason);
+  }
+  taskRun._start();
+  return taskRun;
+};
+
+/**
+ * Perform a {@link Task}.
+ * @example
+ * var task = Task.create('task name', function(a, b, done, failed) {...});
+ *
+ * task.do({ foo: 'bar' }, true).then(function(result) {
+ *    console.log('Task done - ', result);
+ * }).catch(function(error) {
+ *    console.error('Task failed - ', error);
+ * });
+ *
+ * // The Promise has an onProgress() method (see TaskRun#onProgress), which returns the Promise.
+ * upload.do(file).onProgress(function(fraction) {
+ *    progressBar.style.width = (fraction * 100) + '%';
+ * }).then(function() {...});
+ * @param {...*} arguments - Arguments for the task template.
+ * @returns {Promise}
+ */
+Task.prototype.do = function doTask() {
+  var taskRun = this.run.apply(this, arguments);
+  var promise = taskRun.promise;
+  return Object.defineProperty(promise, 'onProgress', {
+    value: function onProgress(listener) {
+      taskRun.onProgress(listener);
+      return promise;
+    }
+  });
+};
+
+/**
+ * Rate limit the {@link Task}. Same as {@link Task.rateLimit}.
+ * @example
+ * var getUser = fetchUser.throttle({ limiter: apiLimiter });
+ * @param {object} options - See {@link Task.rateLimit}.
+ * @returns {Task}
+ */
+Task.prototype.throttle = function throttle(options) {
+  return Task.rateLimit(this, options);
+};
+
+/**
+ * Memoize the results of the {@link Task}. The returned {@link Task} resolves
+ * with the cached result of the {@link Task} for the same key (by default,
+ * the JSON of the arguments) until it expires. Concurrent runs with the same
+ * key share a single run of the {@link Task}, which is canceled only if all
+ * of them are canceled. Failures are cached only if "negativeTtl" is set;
+ * canceled runs are never cached. The returned {@link Task} also has
+ * invalidate(key) and clear() methods, which return Promises.
+ * @example
+ * var getUser = fetchUser.memoize({
+ *    key: function(args) { return String(args[0]); },
+ *    ttl: 60000,
+ *    negativeTtl: 5000,
+ *    maxEntries: 100
+ * });
+ *
+ * getUser.do(1).then(function(user) {...});
+ * getUser.do(1).then(function(user) {...}); // Shares the first run.
+ * getUser.invalidate('1');
+ * @param {object} [options]
+ * @param {function} [options.key] - Called with the arguments for the task
+ *   template; returns the key of the cached result.
+ * @param {number} [options.ttl=Infinity] - Time (ms) for which a result is
+ *   cached.
+ * @param {number} [options.negativeTtl=0] - Time (ms) for which a failure
+ *   is cached.
+ * @param {number} [options.maxEntries=Infinity] - Maximum number of cached
+ *   results in the default {@link MemoryStore}.
+ * @param {MemoStore} [options.store] - Store for the cached results, instead
+ *   of a {@link MemoryStore}.
+ * @returns {Task}
+ */
+Task.prototype.memoize = function memoizeTask(options) {
+  var task = this;
+  options = memoize.normalize(options);
+  var store = options.store;
+  var flights = Object.create(null);
+
+  function startFlight(key, args) {
+    var flight = {
+      run: task.run.apply(task, args),
+      stale: false,
+      waiters: 0
+    };
+    flights[key] = flight;
+
+    function settle(value) {
+      var status = flight.run.status;
+      if (flights[key] === flight) {
+        delete flights[key];
+      }
+      if (flight.stale || status === 'canceled'
+        || (status === 'failed' && !options.negativeTtl)) {
+        return;
+      }
+      var entry = memoize.createEntry(status, value,
+        status === 'done' ? options.ttl : options.negativeTtl);
+      // Caching is best-effort, so a failing store does not fail any run.
+      new Promise(function(resolve) {
+        resolve(store.set(key, entry));
+      }).catch(function() {});
+    }
+    flight.run.promise.then(settle, settle);
+    return flight;
+  }
+
+  function join(run, flight) {
+    flight.waiters++;
+    run.onCancel(function(error) {
+      if (--flight.waiters === 0) {
+        flight.run.cancel(error.reason);
+      }
+    });
+    return flight.run.promise;
+  }
+
+  var memoized = new Task(task.name + ': memoized', function() {
+    var run = this;
+    var args = [].slice.call(arguments, 0, arguments.length - 2);
+    var key = options.key(args);
+    if (flights[key]) {
+      return join(run, flights[key]);
+    }
+    return Promise.resolve(store.get(key)).then(function(entry) {
+      if (run.status !== 'pending') {
+        return;
+      }
+      if (memoize.isFresh(entry)) {
+        return entry.failed ? Promise.reject(entry.reason) : entry.value;
+      }
+      return join(run, flights[key] || startFlight(key, args));
+    });
+  });
+
+  return Object.defineProperties(memoized, {
+    clear: {
+      value: function clear() {
+        Object.keys(flights).forEach(function(key) {
+          flights[key].stale = true;
+          delete flights[key];
+        });
+        return Promise.resolve(store.clear());
+      }
+    },
+    invalidate: {
+      value: function invalidate(key) {
+        if (flights[key]) {
+          flights[key].stale = true;
+          delete flights[key];
+        }
+        return Promise.resolve(store.delete(key));
+      }
+    },
+    store: {
+      value: store
+    }
+  });
+};
+
+/**
+ * Cancel all the active {@link TaskRun}s of a {@link Task}, which are
+ * rejected with a {@link CanceledError} whose "reason" is the given reason.
+ * Canceling a composite task (like {@link Task.sequence}) also cancels its
+ * in-flight child runs, which are rejected with a {@link CanceledError}
+ * whose "parent" is the canceled {@link TaskRun}.
+ * @example
+ * var timeout = null;
+ * var task = Task.create('cancelable task', function(ms, done, failed) {
  *    timeout = setTimeout(function() { failed('Timeout over!'); }, ms);
  * });
  *
- * task.do(5000).then(function() {...}).catch(function(reason) {
- *    if (reason === 'canceled') {
+ * task.do(5000).then(function() {...}).catch(function(error) {
+ *    if (error instanceof Task.CanceledError) {
  *      console.log('We are here because the task was actively canceled.');
  *    }
  *    else {
@@ -419,18 +1919,54 @@ Task.prototype.do = function doTask() {
  * @returns {boolean} - true if called while task is running, false otherwise.
  */
 Task.prototype.cancel = function cancel(reason) {
-  if (typeof this._cancel === 'function') {
-    this._cancel(reason);
-    return true;
+  var runs = this._runs.slice();
+  runs.forEach(function(run) {
+    run.cancel(reason);
+  });
+  return runs.length > 0;
+};
+
+/**
+ * Get a view of the {@link Task} whose runs are canceled when the given
+ * AbortSignal is aborted. The view shares the name, template and active
+ * runs of the {@link Task}, so {@link Task#cancel} cancels its runs too.
+ * @example
+ * var controller = new AbortController();
+ * var getUrl = Task.create('get content of url', function(url, done, failed) {
+ *    var xhr = new XMLHttpRequest();
+ *    this.signal.addEventListener('abort', function() { xhr.abort(); });
+ *    xhr.open('GET', url, true);
+ *    xhr.onload = function() { done(xhr.responseText); };
+ *    xhr.send();
+ * });
+ *
+ * getUrl.withSignal(controller.signal).do('http://www.x.y.com/?a=b').catch(function(error) {
+ *    console.log('Aborted - ', error.reason); // 'user navigated away'
+ * });
+ * controller.abort('user navigated away');
+ * @param {AbortSignal} signal - Signal which cancels the runs when aborted.
+ * @returns {Task}
+ */
+Task.prototype.withSignal = function withSignal(signal) {
+  if (!signal || typeof signal.addEventListener !== 'function') {
+    throw new Error('signal must be an AbortSignal.');
   }
-  return false;
+  return Object.create(this, {
+    _signal: {
+      value: signal
+    }
+  });
 };
 
 /**
- * Set the timeout period for the task.
+ * Set the timeout period for every subsequent {@link TaskRun} of the task,
+ * which is rejected with a {@link TimeoutError} if it times out.
+ * Use {@link TaskRun#timeout} to time out a single run.
  * @example
- * var xhr = new XMLHttpRequest();
  * var getUrl = Task.create('get content of url', function(url, done, failed) {
+ *    var xhr = new XMLHttpRequest();
+ *    // Abort the request if the task times out (or is canceled).
+ *    this.onCancel(function() { xhr.abort(); });
  *    xhr.open('GET', url, true);
  *    xhr.onreadystatechange = function() {
  *      if (xhr.status === 200 && xhr.readyState === 4) {
@@ -440,14 +1976,13 @@ Task.prototype.cancel = function cancel(reason) {
  *    xhr.send();
  * });
  *
- * getUrl.timeout(5000, { reason: 'timeout' });
+ * getUrl.timeout(5000);
  * getUrl.do('http://www.x.y.com/?a=b').then(function(response) {
  *    console.log('Response: ', response);
  * }).catch(function(error) {
- *    if (error.reason === 'timeout') {
- *      console.log('Task timed out.');
+ *    if (error instanceof Task.TimeoutError) {
+ *      console.log('Task timed out after ' + error.milliseconds + 'ms.');
  *    }
- *    xhr.abort();
  * });
  * @param {number} milliseconds - Timeout period.
  * @param {*} [reason] - Reason for rejecting the task's promise.
@@ -457,13 +1992,476 @@ Task.prototype.timeout = function timeout(milliseconds, reason) {
   if (typeof milliseconds !== 'number') {
     throw new Error('Timeout milliseconds must be a number.');
   }
-  if (typeof this._cancel !== 'function') {
-    this._timeout = function _timeout() {
-      return setTimeout(this.cancel.bind(this, reason), milliseconds);
+  if (this._runs.length === 0) {
+    this._timeout = {
+      milliseconds: milliseconds,
+      reason: reason
     };
     return true;
   }
   return false;
 };
 
+/**
+ * Validate an array of {@link Task}s/templates, and turn the templates into
+ * anonymous {@link Task}s.
+ * @private
+ * @param {Task|function[]} tasks - Tasks/templates.
+ * @param {number} [min=0] - Minimum number of tasks.
+ * @returns {Task[]}
+ */
+function toTasks(tasks, min) {
+  if (!Array.isArray(tasks)) {
+    throw new Error('The second argument should be an array '
+      + 'of Tasks/templates.');
+  }
+  if (tasks.length < (min || 0)) {
+    throw new Error('The second argument should have at least '
+      + min + ' Task(s)/template(s).');
+  }
+  return tasks.map(function(task) {
+    if (task instanceof Task) {
+      return task;
+    }
+    if (typeof task === 'function') {
+      return new Task('anonymous', task);
+    }
+    throw new Error('tasks Array item must either be a Task or a template.');
+  });
+}
+
+/**
+ * Create the {@link Task} of a validated workflow node.
+ * @private
+ * @param {ParsedWorkflowNode} node
+ * @param {TaskRegistry} registry
+ * @returns {Task}
+ */
+function buildWorkflow(node, registry) {
+  if (node.kind === 'task') {
+    var task = registry.get(node.name);
+    return task instanceof Task ? task : new Task(node.name, task);
+  }
+  var children = node.children.map(function(child) {
+    return buildWorkflow(child, registry);
+  });
+  var child = children[0];
+  var template = function() {
+    var args = [].slice.call(arguments, 0, arguments.length - 2);
+    return progress.forward(this, this.spawn(child, args)).promise;
+  };
+
+  if (node.kind === 'sequence') {
+    return Task.sequence(node.name, children);
+  }
+  if (node.kind === 'parallel') {
+    return Task.parallel(node.name, children, node.options);
+  }
+  if (node.kind === 'try') {
+    return Task.try(node.name, template, node.options);
+  }
+  if (node.kind === 'map') {
+    return Task.map(node.name, template, node.options);
+  }
+  return new Task(node.name, function() {
+    var run = this;
+    var args = [].slice.call(arguments, 0, arguments.length - 2);
+    return wait(run, node.options.ms).then(function() {
+      return progress.forward(run, run.spawn(child, args)).promise;
+    });
+  });
+}
+
+/**
+ * Create the {@link Task} of {@link Task.while} or {@link Task.until}.
+ * @private
+ * @param {string} name - Name of the task.
+ * @param {Task|function} task - Task/template to repeat.
+ * @param {Task|function} predicate - Task/template called with each result.
+ * @param {object} [options] - See {@link Task.while}.
+ * @param {boolean} until - Whether to stop when the predicate holds.
+ * @returns {Task}
+ */
+function loop(name, task, predicate, options, until) {
+  if (typeof name !== 'string') {
+    throw new Error('Task name must be a string.');
+  }
+  var tasks = toTasks([task, predicate]);
+  options = options || {};
+  if (typeof options.maxIterations !== 'undefined'
+    && (typeof options.maxIterations !== 'number' || options.maxIterations < 1)) {
+    throw new Error('"maxIterations" must be a number greater than 0.');
+  }
+  if (typeof options.delay !== 'undefined'
+    && (typeof options.delay !== 'number' || options.delay < 0)) {
+    throw new Error('"delay" must be a non-negative number.');
+  }
+  var maxIterations = options.maxIterations || Infinity;
+  var delay = options.delay || 0;
+
+  return new Task(name, function() {
+    var run = this;
+    var args = [].slice.call(arguments, 0, arguments.length - 2);
+    return (function iterate(i) {
+      return run.spawn(tasks[0], args, { step: i }).promise.then(function(result) {
+        return run.spawn(tasks[1], [result], { step: i }).promise.then(function(holds) {
+          if (!holds === !until) {
+            return result;
+          }
+          if (i + 1 >= maxIterations) {
+            var error = errors.failed(run, new Error((until ? 'Condition not met'
+              : 'Condition still held') + ' after ' + (i + 1) + ' iteration(s).'));
+            error.iterations = i + 1;
+            error.result = result;
+            throw error;
+          }
+          return wait(run, delay).then(function() {
+            return iterate(i + 1);
+          });
+        });
+      });
+    })(0);
+  });
+}
+
+/**
+ * Perform the compensations of the completed steps of a {@link Task.saga}
+ * in reverse order, as top-level {@link TaskRun}s so that they are not
+ * canceled with the saga.
+ * @private
+ * @param {Array<{step: object, args: Array<*>, result: *}>} completed -
+ *   Completed steps.
+ * @returns {Promise<Array<TaskError>>} - Errors of the compensations which
+ *   failed.
+ */
+function runCompensations(completed) {
+  var compensationErrors = [];
+  return completed.slice().reverse().reduce(function(promise, entry) {
+    var compensate = entry.step.compensate;
+    if (!compensate) {
+      return promise;
+    }
+    return promise.then(function() {
+      return compensate.run.apply(compensate, [entry.result].concat(entry.args)).promise;
+    }).catch(function(error) {
+      compensationErrors.push(error);
+    });
+  }, Promise.resolve()).then(function() {
+    return compensationErrors;
+  });
+}
+
+/**
+ * Get the weights of the child {@link Task}s of a composite {@link Task},
+ * which all weigh the same unless "options.weights" is given.
+ * @private
+ * @param {?object} options
+ * @param {number} count - Number of child {@link Task}s.
+ * @returns {Array<number>}
+ */
+function getWeights(options, count) {
+  var weights = progress.normalizeWeights((options || {}).weights, count);
+  return weights || Array.apply(null, Array(count)).map(function() {
+    return 1;
+  });
+}
+
+/**
+ * Get functions which start child runs of {@link Task}s, where the arguments
+ * of each {@link Task} are either an array or a single argument.
+ * @private
+ * @param {TaskRun} run - Parent {@link TaskRun}.
+ * @param {Task[]} tasks - Tasks to be run.
+ * @param {Array<*>} args - Arguments (or array of arguments) for each task.
+ * @returns {Array<function>}
+ */
+function toStarters(run, tasks, args) {
+  return tasks.map(function(task, i) {
+    var taskArgs = [];
+    if (i < args.length) {
+      taskArgs = Array.isArray(args[i]) ? args[i] : [args[i]];
+    }
+    return function() {
+      return run.spawn(task, taskArgs, { step: i });
+    };
+  });
+}
+
+/**
+ * Wait for the given time, unless the {@link TaskRun} is canceled.
+ * @private
+ * @param {TaskRun} run - {@link TaskRun} which is waiting.
+ * @param {number} milliseconds - Time to wait.
+ * @returns {Promise}
+ */
+function wait(run, milliseconds) {
+  return new Promise(function(resolve) {
+    if (milliseconds <= 0) {
+      resolve();
+      return;
+    }
+    var timer = setTimeout(function() {
+      unregister();
+      resolve();
+    }, milliseconds);
+    var unregister = run.onCancel(function() {
+      clearTimeout(timer);
+    });
+  });
+}
+
+/**
+ * An event emitted by a {@link Task} (and by the global {@link Task} hub)
+ * during a {@link TaskRun}. Listeners are added with on()/once() and removed
+ * with off(), on either a {@link Task} or {@link Task} itself, which receives
+ * the events of every {@link Task}.
+ * <ul>
+ *   <li>"start" - The template is about to be called ("args").</li>
+ *   <li>"done" - The run is done ("result", "duration").</li>
+ *   <li>"failed" - The run failed ("reason", "duration").</li>
+ *   <li>"canceled" - The run was canceled ("reason", "duration").</li>
+ *   <li>"timeout" - The run timed out, and is about to be canceled
+ *     ("reason", "milliseconds").</li>
+ *   <li>"retry" - An attempt of {@link Task.try} failed, and the next one
+ *     starts after "delay" ms ("attempt", "error", "delay").</li>
+ *   <li>"step" - A step of {@link Task.sequence} or an item of
+ *     {@link Task.map} started ("index", "count", "child").</li>
+ *   <li>"progress" - The progress of the run was reported ("fraction",
+ *     "detail"). See {@link TaskRun#reportProgress}.</li>
+ *   <li>"compensation" - The compensations of a {@link Task.saga} are over
+ *     ("reason", "compensated", "errors"). It is emitted after the run
+ *     settles if the run was canceled.</li>
+ *   <li>"state" - The circuit of a {@link Task.circuitBreaker} changed
+ *     state ("from", "to"). It is not about a run, so it has no "runId",
+ *     "run" or "parentRunId".</li>
+ * </ul>
+ * @example
+ * Task.on('failed', function(event) {
+ *    console.error(event.name + ' #' + event.runId + ' failed - ', event.reason);
+ * });
+ * fetchUser.on('done', function(event) {
+ *    console.log('Fetched user in ' + event.duration + 'ms.');
+ * });
+ * @typedef {object} TaskEvent
+ * @property {string} type - Event type.
+ * @property {string} name - Name of the {@link Task}.
+ * @property {Task} task - The {@link Task}.
+ * @property {number} runId - Id of the {@link TaskRun}.
+ * @property {TaskRun} run - The {@link TaskRun}.
+ * @property {?number} parentRunId - Id of the parent {@link TaskRun}, if any.
+ * @property {number} timestamp - Time (ms) of the event.
+ */
+
+emitter.mixin(Task.prototype);
+emitter.mixin(Task);
+Object.defineProperty(Task, '_listeners', {
+  value: {}
+});
+
+/**
+ * Emit an event to the listeners of the {@link Task}, and then to the
+ * listeners of the global {@link Task} hub.
+ * @param {string} type - Event type.
+ * @param {TaskEvent} event - Event object.
+ * @returns {boolean} - true if there were listeners, false otherwise.
+ */
+Task.prototype.emit = function emit(type, event) {
+  var hadListeners = emitter.emit.call(this, type, event);
+  return emitter.emit.call(Task, type, event) || hadListeners;
+};
+
+/**
+ * Middleware is called around the template of every subsequent
+ * {@link TaskRun}, with a {@link MiddlewareContext} and a next() function.
+ * next([args]) calls the next middleware (or the template) and returns a
+ * Promise for its result, so a middleware can change the arguments, change
+ * the result, translate errors, or settle the run without calling next().
+ * Middleware added to {@link Task} itself is called for the runs of every
+ * {@link Task} (including child runs of composite tasks), before the
+ * middleware added to the {@link Task} being run. use() and unuse() add and
+ * remove middleware on either a {@link Task} or {@link Task} itself.
+ * @example
+ * Task.use(function(context, next) {
+ *    var start = Date.now();
+ *    return next().then(function(result) {
+ *      console.log(context.name + ' took ' + (Date.now() - start) + 'ms.');
+ *      return result;
+ *    });
+ * });
+ * fetchUser.use(function(context, next) {
+ *    return next([String(context.args[0])]).catch(function(reason) {
+ *      throw reason.status === 404 ? new Error('No such user.') : reason;
+ *    });
+ * });
+ */
+middleware.mixin(Task.prototype);
+middleware.mixin(Task);
+Object.defineProperty(Task, '_middleware', {
+  value: []
+});
+
+/**
+ * Start recording the runs of every {@link Task} with a new {@link Tracer}.
+ * Call {@link Tracer#detach} to stop recording.
+ * @example
+ * var tracer = Task.trace();
+ * deploy.do().then(function() {
+ *    tracer.detach();
+ *    console.log(JSON.stringify(tracer.toChromeTrace()));
+ * });
+ * @memberof Task
+ * @param {object} [options] - See {@link Tracer}.
+ * @returns {Tracer}
+ */
+Task.trace = function trace(options) {
+  return new Tracer(options).attach(Task);
+};
+
+/**
+ * The {@link TaskRun} class.
+ * @memberof Task
+ * @type {function}
+ */
+Task.TaskRun = TaskRun;
+
+/**
+ * The {@link CircuitBreaker} class.
+ * @memberof Task
+ * @type {function}
+ */
+Task.CircuitBreaker = CircuitBreaker;
+
+/**
+ * The {@link CronExpression} class.
+ * @memberof Task
+ * @type {function}
+ */
+Task.CronExpression = CronExpression;
+
+/**
+ * The {@link MemoryStore} class.
+ * @memberof Task
+ * @type {function}
+ */
+Task.MemoryStore = memoize.MemoryStore;
+
+/**
+ * The {@link RateLimiter} class.
+ * @memberof Task
+ * @type {function}
+ */
+Task.RateLimiter = rateLimit.RateLimiter;
+
+/**
+ * The {@link Schedule} class.
+ * @memberof Task
+ * @type {function}
+ */
+Task.Schedule = Schedule;
+
+/**
+ * The {@link MemoryCheckpointStore} class.
+ * @memberof Task
+ * @type {function}
+ */
+Task.MemoryCheckpointStore = checkpoint.MemoryCheckpointStore;
+
+/**
+ * The {@link FileCheckpointStore} class (Node.js only).
+ * @memberof Task
+ * @type {function}
+ */
+Task.FileCheckpointStore = FileCheckpointStore;
+
+/**
+ * The {@link WorkerPool} class.
+ * @memberof Task
+ * @type {function}
+ */
+Task.WorkerPool = WorkerPool;
+
+/**
+ * The default {@link TaskRegistry}, used by {@link Task.workflow}.
+ * @memberof Task
+ * @type {TaskRegistry}
+ */
+Task.registry = new TaskRegistry();
+
+/**
+ * The {@link TaskRegistry} class.
+ * @memberof Task
+ * @type {function}
+ */
+Task.TaskRegistry = TaskRegistry;
+
+/**
+ * The {@link TaskQueue} class.
+ * @memberof Task
+ * @type {function}
+ */
+Task.TaskQueue = TaskQueue;
+
+/**
+ * The {@link Tracer} class.
+ * @memberof Task
+ * @type {function}
+ */
+Task.Tracer = Tracer;
+
+/**
+ * The {@link TaskError} class.
+ * @memberof Task
+ * @type {function}
+ */
+Task.TaskError = errors.TaskError;
+
+/**
+ * The {@link TaskFailedError} class.
+ * @memberof Task
+ * @type {function}
+ */
+Task.TaskFailedError = errors.TaskFailedError;
+
+/**
+ * The {@link CanceledError} class.
+ * @memberof Task
+ * @type {function}
+ */
+Task.CanceledError = errors.CanceledError;
+
+/**
+ * The {@link TimeoutError} class.
+ * @memberof Task
+ * @type {function}
+ */
+Task.TimeoutError = errors.TimeoutError;
+
+/**
+ * The {@link RateLimitError} class.
+ * @memberof Task
+ * @type {function}
+ */
+Task.RateLimitError = errors.RateLimitError;
+
+/**
+ * The {@link SagaError} class.
+ * @memberof Task
+ * @type {function}
+ */
+Task.SagaError = errors.SagaError;
+
+/**
+ * The {@link ExecError} class.
+ * @memberof Task
+ * @type {function}
+ */
+Task.ExecError = errors.ExecError;
+
+/**
+ * The {@link CircuitOpenError} class.
+ * @memberof Task
+ * @type {function}
+ */
+Task.CircuitOpenError = errors.CircuitOpenError;
+
 module.exports = Task;
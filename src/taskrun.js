@@ -0,0 +1,551 @@
+'use strict';
+
+var errors = require('./errors');
+var middleware = require('./middleware');
+
+var nextId = 1;
+
+/**
+ * Create a new {@link TaskRun}. {@link TaskRun}s are created by
+ * {@link Task#run} and are not meant to be constructed directly.
+ * @class
+ * @classdesc A {@link TaskRun} represents a single invocation of a
+ *   {@link Task}. Each run can be canceled or timed out independently
+ *   of other concurrent runs of the same {@link Task}.
+ * @example
+ * var fetchUser = Task.create('fetch user', function(id, done, failed) {
+ *    $.getJSON('/users/' + id, done, failed);
+ * });
+ *
+ * var run1 = fetchUser.run(1);
+ * var run2 = fetchUser.run(2);
+ *
+ * run1.timeout(5000, 'timeout');
+ * run2.cancel('canceled');
+ *
+ * run1.promise.then(function(user) {
+ *    console.log('User 1 - ', user, run1.status);
+ * });
+ * run2.promise.catch(function(error) {
+ *    console.log('User 2 - ', error.reason, run2.status); // 'canceled', 'canceled'
+ * });
+ * @param {Task} task - The {@link Task} being run.
+ * @param {Array<*>} args - Arguments for the task template.
+ * @param {object} [options]
+ * @param {TaskRun} [options.parent] - The {@link TaskRun} that spawned this run.
+ * @param {AbortSignal} [options.signal] - Signal which cancels the run when aborted.
+ * @param {Array<function>} [options.middleware] - Middleware to call around
+ *   the task template (see {@link Task.use}).
+ * @param {number} [options.attempt=1] - Attempt number of the run (see {@link Task.try}).
+ * @param {number|string} [options.step] - Index (or {@link Task.graph} node
+ *   name) of the run within its parent.
+ * @param {string} [options.idempotencyKey] - Key identifying the work of the
+ *   run (see {@link Task.durableSequence}).
+ * @constructor
+ * @property {number} id - Unique id of the run.
+ * @property {Task} task - The {@link Task} being run.
+ * @property {Array<*>} args - Arguments for the task template.
+ * @property {?TaskRun} parent - The {@link TaskRun} that spawned this run.
+ * @property {number} attempt - Attempt number of the run (see {@link Task.try}).
+ * @property {?(number|string)} step - Index (or {@link Task.graph} node
+ *   name) of the run within its parent.
+ * @property {?string} idempotencyKey - Key identifying the work of the run,
+ *   which stays the same when it is resumed (see
+ *   {@link Task.durableSequence}), or null.
+ * @property {string} status - One of 'pending', 'done', 'failed' or 'canceled'.
+ * @property {?number} startTime - Timestamp (ms) when the run started.
+ * @property {?number} endTime - Timestamp (ms) when the run settled.
+ * @property {Promise} promise - Settles when the run is done/failed/canceled.
+ *   It is rejected with a {@link TaskFailedError}, {@link CanceledError} or
+ *   {@link TimeoutError}, whose "reason" is the reason passed to failed(),
+ *   cancel() or timeout().
+ * @property {?AbortSignal} signal - Aborted when the run is canceled
+ *   (null where AbortController is not supported).
+ * @property {number} progress - Last fraction (0 to 1) reported with
+ *   {@link TaskRun#reportProgress}, or 1 once the run is done.
+ */
+function TaskRun(task, args, options) {
+  options = options || {};
+  var resolve = null;
+  var reject = null;
+  var promise = new Promise(function(_resolve, _reject) {
+    resolve = _resolve;
+    reject = _reject;
+  });
+  var controller = typeof AbortController === 'function'
+    ? new AbortController()
+    : null;
+
+  Object.defineProperties(this, {
+    _children: {
+      value: []
+    },
+    _cleanups: {
+      value: []
+    },
+    _controller: {
+      value: controller
+    },
+    _externalSignal: {
+      value: options.signal || null
+    },
+    _middleware: {
+      value: options.middleware || []
+    },
+    _onExternalAbort: {
+      value: null,
+      writable: true
+    },
+    _progress: {
+      value: 0,
+      writable: true
+    },
+    _progressListeners: {
+      value: []
+    },
+    _resolve: {
+      value: resolve
+    },
+    _reject: {
+      value: reject
+    },
+    _reason: {
+      value: undefined,
+      writable: true
+    },
+    _timer: {
+      value: null,
+      writable: true
+    },
+    args: {
+      value: args,
+      enumerable: true
+    },
+    attempt: {
+      value: options.attempt || 1,
+      enumerable: true
+    },
+    endTime: {
+      value: null,
+      enumerable: true,
+      writable: true
+    },
+    id: {
+      value: nextId++,
+      enumerable: true
+    },
+    idempotencyKey: {
+      value: options.idempotencyKey || null,
+      enumerable: true
+    },
+    parent: {
+      value: options.parent || null,
+      enumerable: true
+    },
+    progress: {
+      enumerable: true,
+      get: function() {
+        return this.status === 'done' ? 1 : this._progress;
+      }
+    },
+    promise: {
+      value: promise,
+      enumerable: true
+    },
+    signal: {
+      value: controller ? controller.signal : null,
+      enumerable: true
+    },
+    startTime: {
+      value: null,
+      enumerable: true,
+      writable: true
+    },
+    status: {
+      value: 'pending',
+      enumerable: true,
+      writable: true
+    },
+    step: {
+      value: typeof options.step === 'undefined' ? null : options.step,
+      enumerable: true
+    },
+    task: {
+      value: task,
+      enumerable: true
+    }
+  });
+}
+
+/**
+ * Run the task template, with the {@link TaskRun} as its "this".
+ * @private
+ */
+TaskRun.prototype._start = function _start() {
+  var self = this;
+  var parent = this.parent;
+  var signal = this._externalSignal;
+
+  if (signal) {
+    if (signal.aborted) {
+      this.cancel(signal.reason);
+      return;
+    }
+    this._onExternalAbort = function onExternalAbort() {
+      self.cancel(signal.reason);
+    };
+    signal.addEventListener('abort', this._onExternalAbort);
+  }
+  if (parent) {
+    if (parent.status !== 'pending') {
+      this._cancel(parentCanceledError(this, parent));
+      return;
+    }
+    parent._children.push(this);
+  }
+
+  var done = function done(result) {
+    self._settle('done', result);
+  };
+  var failed = function failed(reason) {
+    self._settle('failed', errors.failed(self, reason));
+  };
+
+  this.startTime = new Date().getTime();
+  this.task._runs.push(this);
+  this._emit('start', { args: this.args });
+
+  if (this._middleware.length) {
+    middleware.run(this._middleware, this, function(args) {
+      return callTemplate(self, args);
+    }).then(done, failed);
+    return;
+  }
+
+  var ret;
+  try {
+    ret = this.task.template.apply(this, this.args.concat([done, failed]));
+  } catch (e) {
+    failed(e);
+    return;
+  }
+  if (ret instanceof Promise) {
+    ret.then(done).catch(failed);
+  }
+  else if (typeof ret !== 'undefined') {
+    done(ret);
+  }
+};
+
+/**
+ * Settle the run with the given status, if it is still pending.
+ * @private
+ * @param {string} status - 'done', 'failed' or 'canceled'.
+ * @param {*} value - Result or reason.
+ * @returns {boolean} - true if the run was pending, false otherwise.
+ */
+TaskRun.prototype._settle = function _settle(status, value) {
+  if (this.status !== 'pending') {
+    return false;
+  }
+  if (this._timer) {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+  if (this._onExternalAbort) {
+    this._externalSignal.removeEventListener('abort', this._onExternalAbort);
+    this._onExternalAbort = null;
+  }
+
+  remove(this.task._runs, this);
+  if (this.parent) {
+    remove(this.parent._children, this);
+  }
+
+  this.status = status;
+  this.endTime = new Date().getTime();
+  if (status === 'canceled') {
+    this._reason = value;
+    var self = this;
+    this._children.slice().forEach(function(child) {
+      child._cancel(parentCanceledError(child, self, value));
+    });
+    if (this._controller) {
+      this._controller.abort(value);
+    }
+    this._cleanups.splice(0).forEach(function(cleanup) {
+      callCleanup(cleanup, value);
+    });
+  }
+  this._progressListeners.length = 0;
+  if (status === 'done') {
+    this._resolve(value);
+  }
+  else {
+    this._reject(value);
+  }
+
+  var event = {
+    duration: this.startTime === null ? null : this.endTime - this.startTime
+  };
+  event[status === 'done' ? 'result' : 'reason'] = value;
+  this._emit(status, event);
+  return true;
+};
+
+/**
+ * Emit an event for this run on its {@link Task}.
+ * @private
+ * @param {string} type - Event type.
+ * @param {object} props - Event specific properties.
+ */
+TaskRun.prototype._emit = function _emit(type, props) {
+  var event = {
+    type: type,
+    name: this.task.name,
+    task: this.task,
+    runId: this.id,
+    run: this,
+    parentRunId: this.parent ? this.parent.id : null,
+    timestamp: new Date().getTime()
+  };
+  Object.keys(props).forEach(function(key) {
+    event[key] = props[key];
+  });
+  this.task.emit(type, event);
+};
+
+/**
+ * Register a callback to be called with the {@link CanceledError} (or
+ * {@link TimeoutError}) if the run is canceled,
+ * either by {@link TaskRun#cancel}, {@link Task#cancel}, a timeout, a
+ * canceled parent or an aborted external AbortSignal. If the run has
+ * already been canceled, the callback is called immediately. Errors thrown
+ * by the callback are ignored.
+ * @example
+ * var getUrl = Task.create('get content of url', function(url, done, failed) {
+ *    var xhr = new XMLHttpRequest();
+ *    this.onCancel(function() { xhr.abort(); });
+ *    xhr.open('GET', url, true);
+ *    xhr.onload = function() { done(xhr.responseText); };
+ *    xhr.send();
+ * });
+ * @param {function} cleanup - Callback.
+ * @returns {function} - Unregisters the callback, once it is no longer
+ *   needed (like when the timer it clears has fired).
+ */
+TaskRun.prototype.onCancel = function onCancel(cleanup) {
+  if (typeof cleanup !== 'function') {
+    throw new Error('Cleanup callback must be a function.');
+  }
+  if (this.status === 'pending') {
+    this._cleanups.push(cleanup);
+  }
+  else if (this.status === 'canceled') {
+    callCleanup(cleanup, this._reason);
+  }
+  var cleanups = this._cleanups;
+  return function unregister() {
+    remove(cleanups, cleanup);
+  };
+};
+
+/**
+ * Report the progress of the run, while it is pending. The task template
+ * calls it as this.reportProgress(fraction, detail). The listeners added
+ * with {@link TaskRun#onProgress} are called, and a "progress" event is
+ * emitted.
+ * @example
+ * var upload = Task.create('upload', function(file, done, failed) {
+ *    var run = this;
+ *    var xhr = new XMLHttpRequest();
+ *    xhr.upload.onprogress = function(event) {
+ *      run.reportProgress(event.loaded / event.total, { loaded: event.loaded });
+ *    };
+ *    ...
+ * });
+ * @param {number} fraction - Fraction (0 to 1) of the work that is done.
+ * @param {*} [detail] - Any detail, like the number of bytes sent.
+ * @returns {boolean} - true if called while the run is pending, false otherwise.
+ */
+TaskRun.prototype.reportProgress = function reportProgress(fraction, detail) {
+  if (typeof fraction !== 'number' || !(fraction >= 0 && fraction <= 1)) {
+    throw new Error('Progress must be a number between 0 and 1.');
+  }
+  if (this.status !== 'pending') {
+    return false;
+  }
+  this._progress = fraction;
+  this._progressListeners.slice().forEach(function(listener) {
+    try {
+      listener(fraction, detail);
+    } catch (e) {
+      // Do nothing.
+    }
+  });
+  this._emit('progress', { fraction: fraction, detail: detail });
+  return true;
+};
+
+/**
+ * Register a callback to be called with (fraction, detail) every time the
+ * progress of the run is reported, until the run settles. Errors thrown by
+ * the callback are ignored.
+ * @example
+ * var run = upload.run(file);
+ * run.onProgress(function(fraction) {
+ *    progressBar.style.width = (fraction * 100) + '%';
+ * });
+ * @param {function} listener - Callback.
+ */
+TaskRun.prototype.onProgress = function onProgress(listener) {
+  if (typeof listener !== 'function') {
+    throw new Error('Progress callback must be a function.');
+  }
+  if (this.status === 'pending') {
+    this._progressListeners.push(listener);
+  }
+};
+
+/**
+ * Start a run of another {@link Task} as a child of this {@link TaskRun}.
+ * Canceling (or timing out) this run cancels all its pending child runs.
+ * Composite tasks like {@link Task.sequence} use this to run their children.
+ * @example
+ * var fetchBoth = Task.create('fetch both', function(id, done, failed) {
+ *    // "this" is the TaskRun of "fetch both".
+ *    return Promise.all([
+ *      this.spawn(fetchUser, [id]).promise,
+ *      this.spawn(fetchOrders, [id]).promise
+ *    ]);
+ * });
+ *
+ * var run = fetchBoth.run(1);
+ * run.cancel('canceled'); // Also cancels the runs of fetchUser and fetchOrders.
+ * @param {Task} task - {@link Task} to be run.
+ * @param {Array<*>} [args] - Arguments for the task template.
+ * @param {object} [options]
+ * @param {number} [options.attempt=1] - Attempt number of the child run.
+ * @param {number|string} [options.step] - Index (or name) of the child run.
+ * @param {string} [options.idempotencyKey] - Key identifying the work of the
+ *   child run.
+ * @returns {TaskRun}
+ */
+TaskRun.prototype.spawn = function spawn(task, args, options) {
+  options = options || {};
+  return task._run(args || [], {
+    attempt: options.attempt,
+    idempotencyKey: options.idempotencyKey,
+    parent: this,
+    step: options.step
+  });
+};
+
+/**
+ * Cancel the {@link TaskRun} if it hasn't completed.
+ * @param {*} [reason] - Reason for canceling the run.
+ * @returns {boolean} - true if called while the run is pending, false otherwise.
+ */
+TaskRun.prototype.cancel = function cancel(reason) {
+  return this._cancel(errors.canceled(this, reason));
+};
+
+/**
+ * Cancel the {@link TaskRun} with the given error, if it hasn't completed.
+ * @private
+ * @param {CanceledError} error
+ * @returns {boolean} - true if called while the run is pending, false otherwise.
+ */
+TaskRun.prototype._cancel = function _cancel(error) {
+  return this._settle('canceled', error);
+};
+
+/**
+ * Cancel the {@link TaskRun} if it hasn't completed within the given period.
+ * @param {number} milliseconds - Timeout period, starting now.
+ * @param {*} [reason] - Reason for rejecting the run's promise.
+ * @returns {boolean} - true if called while the run is pending, false otherwise.
+ */
+TaskRun.prototype.timeout = function timeout(milliseconds, reason) {
+  if (typeof milliseconds !== 'number') {
+    throw new Error('Timeout milliseconds must be a number.');
+  }
+  if (this.status !== 'pending') {
+    return false;
+  }
+  if (this._timer) {
+    clearTimeout(this._timer);
+  }
+  var self = this;
+  this._timer = setTimeout(function() {
+    self._timer = null;
+    self._emit('timeout', { reason: reason, milliseconds: milliseconds });
+    self._cancel(errors.timedOut(self, milliseconds, reason));
+  }, milliseconds);
+  return true;
+};
+
+/**
+ * Remove an item from an array, if present.
+ * @private
+ * @param {Array<*>} array
+ * @param {*} item
+ */
+function remove(array, item) {
+  var index = array.indexOf(item);
+  if (index !== -1) {
+    array.splice(index, 1);
+  }
+}
+
+/**
+ * Call the task template of a run, with the run as its "this".
+ * @private
+ * @param {TaskRun} run
+ * @param {Array<*>} args - Arguments for the task template.
+ * @returns {Promise<*>} - Settles when the template calls done()/failed(),
+ *   returns a value or a Promise, or throws.
+ */
+function callTemplate(run, args) {
+  return new Promise(function(resolve, reject) {
+    var ret = run.task.template.apply(run, args.concat([resolve, reject]));
+    if (ret instanceof Promise) {
+      ret.then(resolve, reject);
+    }
+    else if (typeof ret !== 'undefined') {
+      resolve(ret);
+    }
+  });
+}
+
+/**
+ * Call a cleanup callback, ignoring any errors it throws.
+ * @private
+ * @param {function} cleanup
+ * @param {*} reason - Reason with which the run was canceled.
+ */
+function callCleanup(cleanup, reason) {
+  try {
+    cleanup(reason);
+  } catch (e) {
+    // Do nothing.
+  }
+}
+
+/**
+ * Create the {@link CanceledError} with which a child run is canceled
+ * when its parent is canceled (or is no longer pending).
+ * @private
+ * @param {TaskRun} child - The child {@link TaskRun}.
+ * @param {TaskRun} parent - The parent {@link TaskRun}.
+ * @param {TaskError} [cause] - Error with which the parent was canceled.
+ * @returns {CanceledError}
+ */
+function parentCanceledError(child, parent, cause) {
+  var error = errors.canceledBy(child, 'Canceled by parent task "'
+    + parent.task.name + '".', cause);
+  error.parent = parent;
+  return error;
+}
+
+module.exports = TaskRun;
@@ -0,0 +1,486 @@
+'use strict';
+
+var crypto = require('crypto');
+
+var STATUS_EVENTS = ['done', 'failed', 'canceled'];
+
+/**
+ * A span recorded by a {@link Tracer} for a {@link TaskRun}.
+ * @typedef {object} Span
+ * @property {number} id - Id of the {@link TaskRun}.
+ * @property {?number} parentId - Id of the parent {@link TaskRun}, if any.
+ * @property {number} traceId - Id of the root {@link TaskRun}.
+ * @property {string} name - Name of the {@link Task}.
+ * @property {*} args - Summary of the arguments for the task template.
+ * @property {number} attempt - Attempt number of the {@link TaskRun}.
+ * @property {?(number|string)} step - Index (or {@link Task.graph} node
+ *   name) of the {@link TaskRun} within its parent.
+ * @property {number} startTime - Timestamp (ms) when the run started.
+ * @property {?number} endTime - Timestamp (ms) when the run settled.
+ * @property {string} status - One of 'pending', 'done', 'failed' or 'canceled'.
+ * @property {?string} error - Message of the reason the run failed or was
+ *   canceled with.
+ * @property {Array<object>} events - {name, timestamp, attributes} of the
+ *   "retry" and "timeout" events of the run.
+ */
+
+/**
+ * Create a new {@link Tracer}.
+ * @class
+ * @classdesc A {@link Tracer} records a {@link Span} for every
+ *   {@link TaskRun} of the {@link Task}s it is attached to, and exports them
+ *   as Chrome Trace Event JSON or as OTLP JSON.
+ * @example
+ * var tracer = Task.trace();
+ * deploy.do().then(function() {
+ *    tracer.detach();
+ *    fs.writeFileSync('trace.json', JSON.stringify(tracer.toChromeTrace()));
+ * });
+ * @param {object} [options]
+ * @param {function} [options.summarizeArgs] - Called with the arguments for
+ *   a task template; returns the summary stored in the {@link Span}. By
+ *   default, strings are truncated to 50 characters, and objects and arrays
+ *   are replaced with their type.
+ * @param {string} [options.serviceName='task.js'] - "service.name" of the
+ *   OTLP resource.
+ * @constructor
+ * @property {Array<Span>} spans - Recorded spans, in the order the runs started.
+ */
+function Tracer(options) {
+  options = options || {};
+  if (typeof options.summarizeArgs !== 'undefined'
+    && typeof options.summarizeArgs !== 'function') {
+    throw new Error('"summarizeArgs" must be a function.');
+  }
+
+  var self = this;
+  var listeners = {
+    start: function onStart(event) {
+      self._onStart(event);
+    },
+    retry: function onRetry(event) {
+      self._addEvent(event, {
+        attempt: event.attempt,
+        delay: event.delay,
+        error: describe(event.error)
+      });
+    },
+    timeout: function onTimeout(event) {
+      self._addEvent(event, { milliseconds: event.milliseconds });
+    }
+  };
+  STATUS_EVENTS.forEach(function(type) {
+    listeners[type] = function onSettled(event) {
+      self._onSettled(event);
+    };
+  });
+
+  Object.defineProperties(this, {
+    _listeners: {
+      value: listeners
+    },
+    _otlpIds: {
+      value: {},
+      writable: true
+    },
+    _serviceName: {
+      value: options.serviceName || 'task.js'
+    },
+    _spansById: {
+      value: {},
+      writable: true
+    },
+    _summarizeArgs: {
+      value: options.summarizeArgs || summarizeArgs
+    },
+    _targets: {
+      value: []
+    },
+    spans: {
+      value: [],
+      enumerable: true
+    }
+  });
+}
+
+/**
+ * Start recording the runs of a {@link Task}, or of every {@link Task} if
+ * attached to {@link Task} itself.
+ * @param {Task|function} target - A {@link Task}, or {@link Task} itself.
+ * @returns {this}
+ */
+Tracer.prototype.attach = function attach(target) {
+  if (!target || typeof target.on !== 'function') {
+    throw new Error('target must be a Task.');
+  }
+  if (this._targets.indexOf(target) === -1) {
+    var listeners = this._listeners;
+    Object.keys(listeners).forEach(function(type) {
+      target.on(type, listeners[type]);
+    });
+    this._targets.push(target);
+  }
+  return this;
+};
+
+/**
+ * Stop recording the runs of the given target, or of every target if
+ * none is given. The recorded spans are kept.
+ * @param {Task|function} [target] - A {@link Task}, or {@link Task} itself.
+ * @returns {this}
+ */
+Tracer.prototype.detach = function detach(target) {
+  var listeners = this._listeners;
+  var targets = this._targets;
+  targets.slice().forEach(function(attached) {
+    if (target && attached !== target) {
+      return;
+    }
+    Object.keys(listeners).forEach(function(type) {
+      attached.off(type, listeners[type]);
+    });
+    targets.splice(targets.indexOf(attached), 1);
+  });
+  return this;
+};
+
+/**
+ * Discard the recorded spans.
+ * @returns {this}
+ */
+Tracer.prototype.clear = function clear() {
+  this.spans.length = 0;
+  this._spansById = {};
+  this._otlpIds = {};
+  return this;
+};
+
+/**
+ * Export the recorded spans as Chrome Trace Event JSON, which can be loaded
+ * in chrome://tracing or Perfetto. Every span is a complete ("X") event;
+ * spans which overlap their siblings (like the child runs of
+ * {@link Task.parallel}) are put on separate threads so that every thread
+ * is properly nested. Spans which are still pending end now.
+ * @returns {{traceEvents: Array<object>, displayTimeUnit: string}}
+ */
+Tracer.prototype.toChromeTrace = function toChromeTrace() {
+  var now = new Date().getTime();
+  var tids = assignThreads(this.spans, now);
+  var traceEvents = [];
+
+  this.spans.forEach(function(span) {
+    var tid = tids[span.id];
+    var endTime = span.endTime === null ? now : span.endTime;
+    traceEvents.push({
+      name: span.name,
+      cat: 'task',
+      ph: 'X',
+      ts: span.startTime * 1000,
+      dur: (endTime - span.startTime) * 1000,
+      pid: span.traceId,
+      tid: tid,
+      args: {
+        runId: span.id,
+        parentRunId: span.parentId,
+        args: span.args,
+        attempt: span.attempt,
+        step: span.step,
+        status: span.status,
+        error: span.error
+      }
+    });
+    span.events.forEach(function(event) {
+      traceEvents.push({
+        name: event.name,
+        cat: 'task',
+        ph: 'i',
+        s: 't',
+        ts: event.timestamp * 1000,
+        pid: span.traceId,
+        tid: tid,
+        args: event.attributes
+      });
+    });
+  });
+
+  return {
+    traceEvents: traceEvents,
+    displayTimeUnit: 'ms'
+  };
+};
+
+/**
+ * Export the recorded spans as OTLP JSON (an ExportTraceServiceRequest), which
+ * can be sent to an OpenTelemetry collector. Every trace (a root
+ * {@link TaskRun} and its descendants) gets a random 16-byte id, and every
+ * span a random 8-byte id, so that they are unique across processes. Spans
+ * which are still pending end now.
+ * @returns {{resourceSpans: Array<object>}}
+ */
+Tracer.prototype.toOTLP = function toOTLP() {
+  var self = this;
+  var now = new Date().getTime();
+  var spans = this.spans.map(function(span) {
+    var otlpSpan = {
+      traceId: self._otlpId('trace:' + span.traceId, 16),
+      spanId: self._otlpId(span.id, 8),
+      name: span.name,
+      kind: 1,
+      startTimeUnixNano: toNanos(span.startTime),
+      endTimeUnixNano: toNanos(span.endTime === null ? now : span.endTime),
+      attributes: toAttributes({
+        'task.run_id': span.id,
+        'task.args': span.args,
+        'task.attempt': span.attempt,
+        'task.step': span.step,
+        'task.status': span.status
+      }),
+      events: span.events.map(function(event) {
+        return {
+          timeUnixNano: toNanos(event.timestamp),
+          name: event.name,
+          attributes: toAttributes(event.attributes)
+        };
+      }),
+      status: span.status === 'done'
+        ? { code: 1 }
+        : span.status === 'pending'
+          ? { code: 0 }
+          : { code: 2, message: span.error || span.status }
+    };
+    if (span.parentId !== null) {
+      otlpSpan.parentSpanId = self._otlpId(span.parentId, 8);
+    }
+    return otlpSpan;
+  });
+
+  return {
+    resourceSpans: [{
+      resource: {
+        attributes: toAttributes({ 'service.name': this._serviceName })
+      },
+      scopeSpans: [{
+        scope: { name: 'task.js' },
+        spans: spans
+      }]
+    }]
+  };
+};
+
+/**
+ * Record a {@link Span} for a run that started.
+ * @private
+ * @param {TaskEvent} event - "start" event.
+ */
+Tracer.prototype._onStart = function _onStart(event) {
+  var run = event.run;
+  var root = run;
+  while (root.parent) {
+    root = root.parent;
+  }
+  var span = {
+    id: run.id,
+    parentId: run.parent ? run.parent.id : null,
+    traceId: root.id,
+    name: run.task.name,
+    args: this._summarizeArgs(run.args),
+    attempt: run.attempt,
+    step: run.step,
+    startTime: run.startTime,
+    endTime: null,
+    status: 'pending',
+    error: null,
+    events: []
+  };
+  this._spansById[run.id] = span;
+  this.spans.push(span);
+};
+
+/**
+ * Get the random OTLP id of a trace or a span, creating it if needed.
+ * @private
+ * @param {string|number} key - 'trace:' followed by the id of the root
+ *   {@link TaskRun} for a trace, or the id of the {@link TaskRun} for a span.
+ * @param {number} bytes - Length of the id, in bytes.
+ * @returns {string} - Hexadecimal id.
+ */
+Tracer.prototype._otlpId = function _otlpId(key, bytes) {
+  if (!this._otlpIds.hasOwnProperty(key)) {
+    this._otlpIds[key] = randomHex(bytes);
+  }
+  return this._otlpIds[key];
+};
+
+/**
+ * Record the outcome of a run.
+ * @private
+ * @param {TaskEvent} event - "done", "failed" or "canceled" event.
+ */
+Tracer.prototype._onSettled = function _onSettled(event) {
+  var span = this._spansById[event.runId];
+  if (!span) {
+    return;
+  }
+  span.endTime = event.run.endTime;
+  span.status = event.type;
+  if (event.type !== 'done') {
+    span.error = describe(event.reason);
+  }
+};
+
+/**
+ * Record an event of a run on its {@link Span}.
+ * @private
+ * @param {TaskEvent} event
+ * @param {object} attributes
+ */
+Tracer.prototype._addEvent = function _addEvent(event, attributes) {
+  var span = this._spansById[event.runId];
+  if (span) {
+    span.events.push({
+      name: event.type,
+      timestamp: event.timestamp,
+      attributes: attributes
+    });
+  }
+};
+
+/**
+ * Put every span on a thread, so that the spans on each thread are
+ * properly nested. A span is put on its parent's thread if its parent is
+ * the innermost span open on that thread when it starts.
+ * @private
+ * @param {Array<Span>} spans
+ * @param {number} now - End time of pending spans.
+ * @returns {Object<number, number>} - Thread id of each span, by span id.
+ */
+function assignThreads(spans, now) {
+  var tids = {};
+  var stacks = {};
+  var nextTid = 1;
+
+  spans.slice().sort(function(a, b) {
+    return a.startTime - b.startTime || a.id - b.id;
+  }).forEach(function(span) {
+    var tid = span.parentId === null ? undefined : tids[span.parentId];
+    var stack = stacks[tid];
+    if (stack) {
+      while (stack.length && endOf(stack[stack.length - 1], now) <= span.startTime
+        && stack[stack.length - 1].id !== span.parentId) {
+        stack.pop();
+      }
+    }
+    if (!stack || !stack.length || stack[stack.length - 1].id !== span.parentId) {
+      tid = nextTid++;
+      stack = stacks[tid] = [];
+    }
+    stack.push(span);
+    tids[span.id] = tid;
+  });
+  return tids;
+}
+
+/**
+ * Get the end time of a span, or "now" if it is pending.
+ * @private
+ * @param {Span} span
+ * @param {number} now
+ * @returns {number}
+ */
+function endOf(span, now) {
+  return span.endTime === null ? now : span.endTime;
+}
+
+/**
+ * Summarize the arguments for a task template.
+ * @private
+ * @param {Array<*>} args
+ * @returns {Array<*>}
+ */
+function summarizeArgs(args) {
+  return args.map(function(arg) {
+    if (typeof arg === 'string') {
+      return arg.length > 50 ? arg.slice(0, 50) + '...' : arg;
+    }
+    if (arg === null || typeof arg === 'number' || typeof arg === 'boolean'
+      || typeof arg === 'undefined') {
+      return arg;
+    }
+    if (Array.isArray(arg)) {
+      return 'Array(' + arg.length + ')';
+    }
+    return typeof arg === 'function' ? 'Function' : 'Object';
+  });
+}
+
+/**
+ * Describe an error (or any other reason) as a string.
+ * @private
+ * @param {*} reason
+ * @returns {string}
+ */
+function describe(reason) {
+  return reason instanceof Error ? reason.message : String(reason);
+}
+
+/**
+ * Create a random hexadecimal string, with crypto.randomBytes() in Node.js,
+ * or crypto.getRandomValues() in browsers.
+ * @private
+ * @param {number} bytes - Number of random bytes.
+ * @returns {string}
+ */
+function randomHex(bytes) {
+  if (typeof crypto.randomBytes === 'function') {
+    return crypto.randomBytes(bytes).toString('hex');
+  }
+  var values = new Uint8Array(bytes);
+  if (typeof self !== 'undefined' && self.crypto && self.crypto.getRandomValues) {
+    self.crypto.getRandomValues(values);
+  }
+  else {
+    for (var i = 0; i < bytes; i++) {
+      values[i] = Math.floor(Math.random() * 256);
+    }
+  }
+  return [].map.call(values, function(value) {
+    return (value < 16 ? '0' : '') + value.toString(16);
+  }).join('');
+}
+
+/**
+ * Convert a timestamp (ms) to a string of nanoseconds since the epoch.
+ * @private
+ * @param {number} ms
+ * @returns {string}
+ */
+function toNanos(ms) {
+  return String(ms) + '000000';
+}
+
+/**
+ * Convert an object to a list of OTLP attributes, leaving out null and
+ * undefined values.
+ * @private
+ * @param {object} values
+ * @returns {Array<{key: string, value: object}>}
+ */
+function toAttributes(values) {
+  return Object.keys(values).filter(function(key) {
+    return values[key] !== null && typeof values[key] !== 'undefined';
+  }).map(function(key) {
+    var value = values[key];
+    if (typeof value === 'number') {
+      return { key: key, value: value % 1 === 0 ? { intValue: String(value) } : { doubleValue: value } };
+    }
+    if (typeof value === 'boolean') {
+      return { key: key, value: { boolValue: value } };
+    }
+    return {
+      key: key,
+      value: { stringValue: typeof value === 'string' ? value : JSON.stringify(value) }
+    };
+  });
+}
+
+module.exports = Tracer;
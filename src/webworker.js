@@ -0,0 +1,83 @@
+/* globals Blob, URL, Worker, navigator */
+
+'use strict';
+
+var script = require('./workerscript');
+
+// The Web Worker version of workerthread.js, which the "browser" field of
+// package.json puts in its place in browser builds.
+
+/**
+ * Get what a worker needs to load a task template. Modules cannot be loaded
+ * by path in the browser, so the template must be a function.
+ * @private
+ * @param {function} template - Template.
+ * @returns {{source: string, path: null}}
+ */
+function resolve(template) {
+  if (typeof template !== 'function') {
+    throw new Error('Worker template must be a function in the browser.');
+  }
+  return { source: template.toString(), path: null };
+}
+
+/**
+ * Create a Web Worker which runs a task template, from a Blob URL for its
+ * source. The URL is revoked when the worker is terminated.
+ * @private
+ * @param {{source: string, path: null}} template - What {@link resolve}
+ *   returned.
+ * @returns {WorkerHandle}
+ */
+function create(template) {
+  var source = 'var template = (0, eval)(' + JSON.stringify('(' + template.source + ')') + ');\n'
+    + 'function post(message) {\n'
+    + '  self.postMessage(message);\n'
+    + '}\n'
+    + 'self.onmessage = function(event) {\n'
+    + '  run(event.data);\n'
+    + '};\n'
+    + script;
+  var url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+  var worker = new Worker(url);
+
+  return {
+    post: function post(args) {
+      worker.postMessage(args);
+    },
+    listen: function listen(onMessage, onError) {
+      worker.onmessage = function(event) {
+        onMessage(event.data);
+      };
+      worker.onerror = function(event) {
+        event.preventDefault();
+        onError(new Error(event.message));
+      };
+      worker.onmessageerror = function() {
+        onError(new Error('The message from the worker could not be deserialized.'));
+      };
+    },
+    // Web Workers never keep a page alive.
+    ref: function ref() {},
+    unref: function unref() {},
+    terminate: function terminate() {
+      worker.onmessage = worker.onerror = worker.onmessageerror = null;
+      worker.terminate();
+      URL.revokeObjectURL(url);
+    }
+  };
+}
+
+/**
+ * Get the default number of workers in a {@link WorkerPool}: one less than
+ * the number of logical processors, so that the main thread has one.
+ * @private
+ * @returns {number}
+ */
+function defaultSize() {
+  return Math.max((navigator.hardwareConcurrency || 2) - 1, 1);
+}
+
+module.exports.create = create;
+module.exports.defaultSize = defaultSize;
+module.exports.resolve = resolve;
@@ -0,0 +1,276 @@
+'use strict';
+
+/**
+ * Create a new {@link WorkerPool}. {@link WorkerPool}s are created by
+ * {@link Task.worker}.
+ * @class
+ * @classdesc A {@link WorkerPool} runs a task template in up to "size"
+ *   workers (worker threads in Node.js, Web Workers in browsers), one run
+ *   per worker at a time. Runs wait in order for a free worker. A worker
+ *   which has been idle for "idleTimeout" milliseconds is terminated, and
+ *   idle worker threads do not keep Node.js running.
+ * @param {object} adapter - Creates the workers (workerthread.js or
+ *   webworker.js).
+ * @param {{source: ?string, path: ?string}} template - What the adapter
+ *   needs to load the template.
+ * @param {object} [options]
+ * @param {number} [options.size] - Maximum number of workers (default: the
+ *   number of CPUs minus one).
+ * @param {number} [options.idleTimeout=10000] - Time (ms) after which an
+ *   idle worker is terminated.
+ * @constructor
+ * @property {number} size - Maximum number of workers.
+ * @property {number} idleTimeout - Time (ms) after which an idle worker is
+ *   terminated.
+ * @property {number} workers - Number of workers.
+ * @property {number} pending - Number of runs waiting for a worker.
+ */
+function WorkerPool(adapter, template, options) {
+  options = options || {};
+  if (typeof options.size !== 'undefined'
+    && (typeof options.size !== 'number' || options.size < 1)) {
+    throw new Error('Worker pool "size" must be a number greater than 0.');
+  }
+  if (typeof options.idleTimeout !== 'undefined'
+    && (typeof options.idleTimeout !== 'number' || options.idleTimeout < 0)) {
+    throw new Error('Worker pool "idleTimeout" must be a non-negative number.');
+  }
+
+  Object.defineProperties(this, {
+    _adapter: {
+      value: adapter
+    },
+    _idle: {
+      value: []
+    },
+    _queue: {
+      value: []
+    },
+    _template: {
+      value: template
+    },
+    _workers: {
+      value: []
+    },
+    idleTimeout: {
+      value: typeof options.idleTimeout === 'number' ? options.idleTimeout : 10000,
+      enumerable: true
+    },
+    pending: {
+      enumerable: true,
+      get: function() {
+        return this._queue.length;
+      }
+    },
+    size: {
+      value: options.size || adapter.defaultSize(),
+      enumerable: true
+    },
+    workers: {
+      enumerable: true,
+      get: function() {
+        return this._workers.length;
+      }
+    }
+  });
+}
+
+/**
+ * A run of the template in a {@link WorkerPool}.
+ * @private
+ * @typedef {object} WorkerJob
+ * @property {Promise} promise - Settles with the result of the template, or
+ *   the Error it failed with.
+ * @property {function} cancel - Removes the run from the queue, or
+ *   terminates its worker if it has started and not settled.
+ */
+
+/**
+ * Run the template with the given arguments in a worker.
+ * @private
+ * @param {Array<*>} args - Arguments for the template, which must be
+ *   structured-cloneable.
+ * @param {function} [onProgress] - Called with (fraction, detail) when the
+ *   template reports progress.
+ * @returns {WorkerJob}
+ */
+WorkerPool.prototype._exec = function _exec(args, onProgress) {
+  var self = this;
+  var job = {
+    args: args,
+    onProgress: onProgress || function() {},
+    worker: null
+  };
+  job.promise = new Promise(function(resolve, reject) {
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+  job.cancel = function cancel() {
+    var index = self._queue.indexOf(job);
+    if (index !== -1) {
+      self._queue.splice(index, 1);
+    }
+    else if (job.worker && job.worker.job === job) {
+      self._remove(job.worker);
+    }
+    else {
+      return;
+    }
+    job.reject(new Error('The run was canceled.'));
+    self._next();
+  };
+
+  this._queue.push(job);
+  this._next();
+  return job;
+};
+
+/**
+ * Terminate all the workers. The runs which have not settled fail, and the
+ * pool creates new workers for the next runs.
+ * @returns {this}
+ */
+WorkerPool.prototype.terminate = function terminate() {
+  var self = this;
+  var error = new Error('The worker pool was terminated.');
+  this._queue.splice(0).forEach(function(job) {
+    job.reject(error);
+  });
+  this._workers.slice().forEach(function(worker) {
+    if (worker.job) {
+      worker.job.reject(error);
+    }
+    self._remove(worker);
+  });
+  return this;
+};
+
+/**
+ * Start the waiting runs on idle workers, or new ones if there are fewer
+ * than "size".
+ * @private
+ */
+WorkerPool.prototype._next = function _next() {
+  while (this._queue.length
+    && (this._idle.length || this._workers.length < this.size)) {
+    var worker = this._idle.length ? this._idle.pop() : this._create();
+    clearTimeout(worker.timer);
+    worker.handle.ref();
+    this._start(worker, this._queue.shift());
+  }
+};
+
+/**
+ * Create a worker.
+ * @private
+ * @returns {object}
+ */
+WorkerPool.prototype._create = function _create() {
+  var self = this;
+  var worker = {
+    handle: this._adapter.create(this._template),
+    job: null,
+    timer: null
+  };
+  worker.handle.listen(function onMessage(message) {
+    var job = worker.job;
+    if (!job) {
+      return;
+    }
+    if (message.type === 'progress') {
+      job.onProgress(message.fraction, message.detail);
+      return;
+    }
+    worker.job = null;
+    if (message.type === 'done') {
+      job.resolve(message.result);
+    }
+    else {
+      job.reject(deserializeError(message.error));
+    }
+    self._release(worker);
+  }, function onError(error) {
+    var job = worker.job;
+    self._remove(worker);
+    if (job) {
+      job.reject(error);
+    }
+    self._next();
+  });
+  this._workers.push(worker);
+  return worker;
+};
+
+/**
+ * Start a run on a worker.
+ * @private
+ * @param {object} worker
+ * @param {WorkerJob} job
+ */
+WorkerPool.prototype._start = function _start(worker, job) {
+  worker.job = job;
+  job.worker = worker;
+  try {
+    worker.handle.post(job.args);
+  } catch (error) {
+    worker.job = null;
+    job.reject(error);
+    this._release(worker);
+  }
+};
+
+/**
+ * Start the next run on a worker which is done, or let it idle.
+ * @private
+ * @param {object} worker
+ */
+WorkerPool.prototype._release = function _release(worker) {
+  var self = this;
+  if (this._queue.length) {
+    this._start(worker, this._queue.shift());
+    return;
+  }
+  this._idle.push(worker);
+  worker.handle.unref();
+  worker.timer = setTimeout(function() {
+    self._remove(worker);
+  }, this.idleTimeout);
+  if (worker.timer && typeof worker.timer.unref === 'function') {
+    worker.timer.unref();
+  }
+};
+
+/**
+ * Terminate a worker and forget it.
+ * @private
+ * @param {object} worker
+ */
+WorkerPool.prototype._remove = function _remove(worker) {
+  clearTimeout(worker.timer);
+  worker.job = null;
+  worker.handle.terminate();
+  [this._workers, this._idle].forEach(function(workers) {
+    var index = workers.indexOf(worker);
+    if (index !== -1) {
+      workers.splice(index, 1);
+    }
+  });
+};
+
+/**
+ * Turn an error sent by a worker back into an Error.
+ * @private
+ * @param {object} error - {isError, name, message, stack} or {value}.
+ * @returns {*}
+ */
+function deserializeError(error) {
+  if (!error.isError) {
+    return error.value;
+  }
+  var result = new Error(error.message);
+  result.name = error.name;
+  result.stack = error.stack;
+  return result;
+}
+
+module.exports = WorkerPool;
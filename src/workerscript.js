@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * Source of the part of a worker script which runs the task template. It is
+ * kept as a string (instead of a stringified function) so that it runs as is
+ * in the worker, whatever tooling instruments this file. The script which
+ * embeds it defines "template" and "post(message)", and calls "run(args)"
+ * for each message. The template is called with an object which has a
+ * reportProgress(fraction, detail) method as "this", like a {@link TaskRun}.
+ * The messages posted back are {type: 'done', result},
+ * {type: 'failed', error} and {type: 'progress', fraction, detail}.
+ * @private
+ * @type {string}
+ */
+module.exports = [
+  'function serializeError(reason) {',
+  '  return reason instanceof Error',
+  '    ? { isError: true, name: reason.name, message: reason.message, stack: reason.stack }',
+  '    : { isError: false, value: reason };',
+  '}',
+  '',
+  'function send(message) {',
+  '  try {',
+  '    post(message);',
+  '  } catch (e) {',
+  '    post({ type: "failed", error: serializeError(e) });',
+  '  }',
+  '}',
+  '',
+  'function run(args) {',
+  '  var settled = false;',
+  '  function done(result) {',
+  '    if (!settled) {',
+  '      settled = true;',
+  '      send({ type: "done", result: result });',
+  '    }',
+  '  }',
+  '  function failed(reason) {',
+  '    if (!settled) {',
+  '      settled = true;',
+  '      send({ type: "failed", error: serializeError(reason) });',
+  '    }',
+  '  }',
+  '  function progress(fraction, detail) {',
+  '    if (!settled) {',
+  '      send({ type: "progress", fraction: fraction, detail: detail });',
+  '    }',
+  '  }',
+  '  try {',
+  '    var ret = template.apply({ reportProgress: progress }, args.concat([done, failed]));',
+  '    if (ret && typeof ret.then === "function") {',
+  '      ret.then(done, failed);',
+  '    } else if (typeof ret !== "undefined") {',
+  '      done(ret);',
+  '    }',
+  '  } catch (e) {',
+  '    failed(e);',
+  '  }',
+  '}'
+].join('\n');
@@ -0,0 +1,102 @@
+'use strict';
+
+var os = require('os');
+var path = require('path');
+var script = require('./workerscript');
+
+var PREFIX = [
+  'var threads = require("worker_threads");',
+  'var data = threads.workerData;',
+  'var template = data.path ? require(data.path) : (0, eval)("(" + data.source + ")");',
+  'if (typeof template !== "function") {',
+  '  throw new Error("Worker module \\"" + data.path + "\\" must export a template function.");',
+  '}',
+  'function post(message) {',
+  '  threads.parentPort.postMessage(message);',
+  '}',
+  'threads.parentPort.on("message", run);'
+].join('\n');
+
+/**
+ * A worker which runs a task template, as used by {@link WorkerPool}.
+ * @private
+ * @typedef {object} WorkerHandle
+ * @property {function} post - Called with the arguments of a run.
+ * @property {function} listen - Called with an onMessage(message) and an
+ *   onError(error) callback.
+ * @property {function} ref - Lets the worker keep the process alive.
+ * @property {function} unref - Stops the worker from keeping the process
+ *   alive.
+ * @property {function} terminate - Terminates the worker, without calling
+ *   the callbacks.
+ */
+
+/**
+ * Get what a worker needs to load a task template: its source if it is a
+ * function, or the resolved path of the module which exports it.
+ * @private
+ * @param {string|function} template - Module path or template.
+ * @returns {{source: ?string, path: ?string}}
+ */
+function resolve(template) {
+  if (typeof template === 'function') {
+    return { source: template.toString(), path: null };
+  }
+  if (typeof template !== 'string') {
+    throw new Error('Worker template must be a module path or a function.');
+  }
+  return {
+    source: null,
+    path: require.resolve(/^\.\.?[\\/]/.test(template) ? path.resolve(template) : template)
+  };
+}
+
+/**
+ * Create a worker thread which runs a task template.
+ * @private
+ * @param {{source: ?string, path: ?string}} template - What
+ *   {@link resolve} returned.
+ * @returns {WorkerHandle}
+ */
+function create(template) {
+  var Worker = require('worker_threads').Worker;
+  var worker = new Worker(PREFIX + '\n' + script, { eval: true, workerData: template });
+
+  return {
+    post: function post(args) {
+      worker.postMessage(args);
+    },
+    listen: function listen(onMessage, onError) {
+      worker.on('message', onMessage);
+      worker.on('error', onError);
+      worker.on('messageerror', onError);
+      worker.on('exit', function(code) {
+        onError(new Error('The worker exited with code ' + code + '.'));
+      });
+    },
+    ref: function ref() {
+      worker.ref();
+    },
+    unref: function unref() {
+      worker.unref();
+    },
+    terminate: function terminate() {
+      worker.removeAllListeners();
+      worker.terminate();
+    }
+  };
+}
+
+/**
+ * Get the default number of workers in a {@link WorkerPool}: one less than
+ * the number of CPUs, so that the main thread has one.
+ * @private
+ * @returns {number}
+ */
+function defaultSize() {
+  return Math.max(os.cpus().length - 1, 1);
+}
+
+module.exports.create = create;
+module.exports.defaultSize = defaultSize;
+module.exports.resolve = resolve;
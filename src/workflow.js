@@ -0,0 +1,154 @@
+'use strict';
+
+var concurrency = require('./concurrency');
+var retryPolicy = require('./retrypolicy');
+
+var CONCURRENCY_OPTIONS = ['concurrency', 'order', 'settled', 'stopOnError'];
+
+/**
+ * The kinds of composite nodes of a workflow, with the options each one
+ * accepts besides "name", and whether it has a list of child nodes or a
+ * single one.
+ * @private
+ * @type {Object<string, {list: boolean, options: Array<string>}>}
+ */
+var KINDS = {
+  sequence: { list: true, options: [] },
+  parallel: { list: true, options: CONCURRENCY_OPTIONS },
+  try: {
+    list: false,
+    options: ['attempts', 'backoff', 'minDelay', 'maxDelay', 'factor', 'jitter', 'timeBudget']
+  },
+  map: { list: false, options: CONCURRENCY_OPTIONS },
+  delay: { list: false, options: ['ms'] }
+};
+
+/**
+ * A node of a workflow definition, as described in {@link Task.workflow}.
+ * @typedef {string|object} WorkflowNode
+ */
+
+/**
+ * A validated node of a workflow.
+ * @private
+ * @typedef {object} ParsedWorkflowNode
+ * @property {string} kind - 'task', or the kind of composite node.
+ * @property {string} name - Name of the registered {@link Task}, or of the
+ *   composite {@link Task}.
+ * @property {object} options - Options of the composite {@link Task}.
+ * @property {Array<ParsedWorkflowNode>} children - Child nodes.
+ */
+
+/**
+ * Parse and validate a workflow definition.
+ * @private
+ * @param {string|WorkflowNode} definition - The definition, or a document
+ *   (JSON, unless "parse" is given) containing it.
+ * @param {TaskRegistry} registry - Where the {@link Task}s are looked up.
+ * @param {function} [parse] - Called with a document; returns the
+ *   definition (like the load() function of a YAML parser).
+ * @returns {ParsedWorkflowNode}
+ */
+function parse(definition, registry, parse) {
+  if (typeof definition === 'string') {
+    try {
+      definition = (parse || JSON.parse)(definition);
+    } catch (error) {
+      throw new Error('Workflow document could not be parsed: ' + error.message);
+    }
+  }
+  return parseNode(definition, registry, 'workflow');
+}
+
+/**
+ * Validate a node of a workflow definition.
+ * @private
+ * @param {WorkflowNode} node
+ * @param {TaskRegistry} registry
+ * @param {string} path - Where the node is in the definition, for error
+ *   messages (like "workflow.sequence[1].parallel[0]").
+ * @returns {ParsedWorkflowNode}
+ */
+function parseNode(node, registry, path) {
+  if (typeof node === 'string') {
+    if (!registry.has(node)) {
+      throw new Error('Unknown task "' + node + '" at ' + path + '.');
+    }
+    return { kind: 'task', name: node, options: {}, children: [] };
+  }
+
+  var kinds = node && typeof node === 'object' && !Array.isArray(node)
+    ? Object.keys(node).filter(function(key) {
+      return KINDS.hasOwnProperty(key);
+    })
+    : [];
+  if (kinds.length !== 1) {
+    throw new Error('Workflow node at ' + path + ' must be a task name, or an object '
+      + 'with exactly one of "' + Object.keys(KINDS).join('", "') + '".');
+  }
+  var kind = kinds[0];
+  var spec = KINDS[kind];
+
+  Object.keys(node).forEach(function(key) {
+    if (key !== kind && key !== 'name' && spec.options.indexOf(key) === -1) {
+      throw new Error('Workflow node at ' + path + ' has an unknown property "' + key
+        + '" (' + kind + ' nodes can have "' + ['name'].concat(spec.options).join('", "') + '").');
+    }
+  });
+  if (typeof node.name !== 'undefined' && typeof node.name !== 'string') {
+    throw new Error('"name" of the workflow node at ' + path + ' must be a string.');
+  }
+
+  var options = {};
+  spec.options.forEach(function(key) {
+    if (typeof node[key] !== 'undefined') {
+      options[key] = node[key];
+    }
+  });
+  try {
+    validateOptions(kind, options);
+  } catch (error) {
+    throw new Error('Workflow node at ' + path + ' is invalid: ' + error.message);
+  }
+
+  var children;
+  if (spec.list) {
+    if (!Array.isArray(node[kind]) || !node[kind].length) {
+      throw new Error('"' + kind + '" of the workflow node at ' + path
+        + ' must be a non-empty array of workflow nodes.');
+    }
+    children = node[kind].map(function(child, i) {
+      return parseNode(child, registry, path + '.' + kind + '[' + i + ']');
+    });
+  }
+  else {
+    children = [parseNode(node[kind], registry, path + '.' + kind)];
+  }
+
+  return { kind: kind, name: node.name || kind, options: options, children: children };
+}
+
+/**
+ * Validate the options of a composite node.
+ * @private
+ * @param {string} kind - Kind of the node.
+ * @param {object} options
+ */
+function validateOptions(kind, options) {
+  if (kind === 'try') {
+    if (typeof options.attempts !== 'number' || options.attempts < 1) {
+      throw new Error('"attempts" must be a number greater than 0.');
+    }
+    retryPolicy.normalize(options);
+  }
+  else if (kind === 'delay') {
+    if (typeof options.ms !== 'number' || options.ms < 0) {
+      throw new Error('"ms" must be a non-negative number.');
+    }
+  }
+  else if (kind !== 'sequence') {
+    concurrency.normalize(options);
+  }
+}
+
+module.exports.parse = parse;
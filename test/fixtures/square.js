@@ -0,0 +1,5 @@
+'use strict';
+
+module.exports = function square(x, done) {
+  done(x * x);
+};
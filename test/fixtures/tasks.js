@@ -0,0 +1,23 @@
+'use strict';
+
+var Task = require('../../src/task');
+var attempts = 0;
+
+module.exports = {
+  echo: new Task('echo', function(options) {
+    return [options].concat([].slice.call(arguments, 1, arguments.length - 2));
+  }),
+  fail: new Task('fail', function(options, done, failed) {
+    failed('broken');
+  }),
+  flaky: new Task('flaky', function() {
+    if (++attempts % 3) {
+      throw new Error('attempt ' + attempts);
+    }
+    return attempts;
+  }),
+  slow: new Task('slow', function(options, done) {
+    setTimeout(done, 1000);
+  }),
+  notATask: 'ignored'
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+var assert = require('assert');
+var checkpoint = require('../../src/checkpoint');
+var Task = require('../../src/task');
+
+describe('checkpoint', () => {
+  describe('MemoryCheckpointStore', () => {
+    it('should get, set, delete and list copies of the records', () => {
+      var store = new checkpoint.MemoryCheckpointStore();
+      var record = { runId: 'a', steps: [{ result: { x: 1 } }] };
+      store.set('a', record);
+      record.steps[0].result.x = 2;
+      assert.deepEqual(store.get('a'), { runId: 'a', steps: [{ result: { x: 1 } }] });
+      store.get('a').steps.push('changed');
+      assert.equal(store.get('a').steps.length, 1);
+      store.set('b', { runId: 'b' });
+      assert.equal(store.size, 2);
+      assert.deepEqual(store.list().map(r => r.runId), ['a', 'b']);
+      store.delete('a');
+      assert.equal(store.get('a'), undefined);
+      assert.equal(store.size, 1);
+    });
+
+    it('should be exported by Task', () => {
+      assert.equal(Task.MemoryCheckpointStore, checkpoint.MemoryCheckpointStore);
+    });
+  });
+
+  describe('.normalizeStore', () => {
+    it('should create a MemoryCheckpointStore by default', () => {
+      assert(checkpoint.normalizeStore() instanceof checkpoint.MemoryCheckpointStore);
+    });
+
+    it('should throw if a method is missing', () => {
+      assert.throws(() => checkpoint.normalizeStore({ get() {}, set() {}, delete() {} }),
+        /^Error: Checkpoint "store" must have a list\(\) method.$/);
+    });
+  });
+
+  describe('.createRunId', () => {
+    it('should create unique ids', () => {
+      assert.notEqual(checkpoint.createRunId(), checkpoint.createRunId());
+    });
+  });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+var assert = require('assert');
+var CircuitBreaker = require('../../src/circuitbreaker');
+
+describe('CircuitBreaker', () => {
+  it('should throw if the options are invalid', () => {
+    assert.throws(() => new CircuitBreaker({ failureThreshold: 0 }));
+    assert.throws(() => new CircuitBreaker({ windowMs: '1m' }));
+    assert.throws(() => new CircuitBreaker({ halfOpenMaxCalls: -1 }));
+  });
+
+  it('should have the default options', () => {
+    var breaker = new CircuitBreaker();
+    assert.equal(breaker.failureThreshold, 5);
+    assert.equal(breaker.windowMs, 60000);
+    assert.equal(breaker.resetTimeoutMs, 30000);
+    assert.equal(breaker.halfOpenMaxCalls, 1);
+    assert.equal(breaker.state, 'closed');
+  });
+
+  it('should open after "failureThreshold" failures within "windowMs"', () => {
+    var breaker = new CircuitBreaker({ failureThreshold: 2, windowMs: 100 });
+    breaker._release(breaker._acquire(0), 'failed', 0);
+    breaker._release(breaker._acquire(150), 'failed', 150);
+    assert.equal(breaker._state, 'closed');
+    breaker._release(breaker._acquire(200), 'failed', 200);
+    assert.equal(breaker._state, 'open');
+    assert.equal(breaker._acquire(210), null);
+    assert.equal(breaker._retryAfter(210), 29990);
+  });
+
+  it('should not count canceled runs as failures', () => {
+    var breaker = new CircuitBreaker({ failureThreshold: 1 });
+    breaker._release(breaker._acquire(0), 'canceled', 0);
+    assert.equal(breaker._state, 'closed');
+  });
+
+  it('should let "halfOpenMaxCalls" probes through after "resetTimeoutMs"', () => {
+    var breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 100, halfOpenMaxCalls: 2 });
+    breaker._release(breaker._acquire(0), 'failed', 0);
+    assert.equal(breaker._acquire(50), null);
+    assert.equal(breaker._acquire(100), 'probe');
+    assert.equal(breaker._state, 'half-open');
+    assert.equal(breaker._acquire(100), 'probe');
+    assert.equal(breaker._acquire(100), null);
+  });
+
+  it('should close once "halfOpenMaxCalls" probes are done', () => {
+    var breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 100, halfOpenMaxCalls: 2 });
+    breaker._release(breaker._acquire(0), 'failed', 0);
+    breaker._release(breaker._acquire(100), 'done', 110);
+    assert.equal(breaker._state, 'half-open');
+    breaker._release(breaker._acquire(110), 'done', 120);
+    assert.equal(breaker._state, 'closed');
+    assert.equal(breaker._acquire(120), 'call');
+  });
+
+  it('should open again as soon as a probe fails', () => {
+    var breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 100 });
+    breaker._release(breaker._acquire(0), 'failed', 0);
+    breaker._release(breaker._acquire(100), 'failed', 110);
+    assert.equal(breaker._state, 'open');
+    assert.equal(breaker._retryAfter(110), 100);
+  });
+
+  it('should give back the slot of a canceled probe', () => {
+    var breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 100 });
+    breaker._release(breaker._acquire(0), 'failed', 0);
+    breaker._release(breaker._acquire(100), 'canceled', 110);
+    assert.equal(breaker._state, 'half-open');
+    assert.equal(breaker._acquire(110), 'probe');
+  });
+
+  it('should notify the state changes', () => {
+    var changes = [];
+    var breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 100 }, (from, to) => changes.push([from, to]));
+    breaker._release(breaker._acquire(0), 'failed', 0);
+    breaker._release(breaker._acquire(100), 'done', 110);
+    assert.deepEqual(changes, [['closed', 'open'], ['open', 'half-open'], ['half-open', 'closed']]);
+  });
+});
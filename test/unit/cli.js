@@ -0,0 +1,134 @@
+'use strict';
+
+var assert = require('assert');
+var path = require('path');
+var cli = require('../../src/cli');
+
+var FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+function runCli(argv) {
+  var io = {
+    cwd: FIXTURES,
+    out: [],
+    err: [],
+    stdout: line => io.out.push(line),
+    stderr: line => io.err.push(line)
+  };
+  return cli.main(argv, io).then(code => {
+    io.code = code;
+    return io;
+  });
+}
+
+describe('cli', () => {
+  describe('.parseArgs', () => {
+    it('should parse the command, the tasks, and the options', () => {
+      assert.deepEqual(cli.parseArgs(['run', 'build', 'deploy', '--env=prod', '--dry-run', '--no-cache',
+        '--count=3', '--verbose=false', '-f', 'my-tasks.js', '--timeout=500', '--retries', '2', '--', 'a', '--b']), {
+        command: 'run',
+        file: 'my-tasks.js',
+        names: ['build', 'deploy'],
+        timeout: 500,
+        retries: 2,
+        options: { env: 'prod', dryRun: true, cache: false, count: 3, verbose: false },
+        args: ['a', '--b']
+      });
+      assert.equal(cli.parseArgs(['--list']).command, 'list');
+      assert.equal(cli.parseArgs(['list', '--file=x.js']).file, 'x.js');
+      assert.equal(cli.parseArgs(['-h', 'whatever']).command, 'help');
+      assert.equal(cli.parseArgs([]).command, null);
+    });
+
+    [
+      [['run'], 'Name the task(s) to run.'],
+      [['build'], 'Unexpected argument "build".'],
+      [['run', 'build', '--timeout=0'], '--timeout must be a whole number greater than 0.'],
+      [['run', 'build', '--retries=x'], '--retries must be a whole number.'],
+      [['run', 'build', '--file'], '--file needs a value.'],
+      [['run', 'build', '-x'], 'Unknown option "-x".']
+    ].forEach(testCase => {
+      it('should throw "' + testCase[1] + '" for ' + testCase[0].join(' '), () => {
+        assert.throws(() => cli.parseArgs(testCase[0]), error => error.message === testCase[1]);
+      });
+    });
+  });
+
+  describe('.loadTasks', () => {
+    it('should load the Tasks exported by the tasks file, by name', () => {
+      assert.deepEqual(Object.keys(cli.loadTasks('tasks.js', FIXTURES)), ['echo', 'fail', 'flaky', 'slow']);
+    });
+
+    it('should throw if the tasks file does not exist, or does not export any Task', () => {
+      assert.throws(() => cli.loadTasks('missing.js', FIXTURES), /^Error: Tasks file ".*missing.js" was not found.$/);
+      assert.throws(() => cli.loadTasks('square.js', FIXTURES), /^Error: Tasks file ".*square.js" does not export any Task.$/);
+    });
+  });
+
+  describe('.main', () => {
+    it('should list the tasks', () => {
+      return runCli(['--list']).then(io => {
+        assert.equal(io.code, 0);
+        assert.deepEqual(io.out, ['echo', 'fail', 'flaky', 'slow']);
+      });
+    });
+
+    it('should print the usage', () => {
+      return Promise.all([runCli(['--help']), runCli([])]).then(ios => {
+        assert.equal(ios[0].code, 0);
+        assert(/^Usage: task-js/.test(ios[0].out[0]));
+        assert.equal(ios[1].code, 2);
+        assert(/^Usage: task-js/.test(ios[1].err[0]));
+      });
+    });
+
+    it('should exit with code 2 for invalid command lines and unknown tasks', () => {
+      return Promise.all([runCli(['run']), runCli(['run', 'echo', 'nope'])]).then(ios => {
+        assert.deepEqual(ios.map(io => io.code), [2, 2]);
+        assert.deepEqual(ios[1].err, ['Unknown task "nope". Run "task-js --list" to list the tasks.']);
+        assert.deepEqual(ios[1].out, []);
+      });
+    });
+
+    it('should run the tasks with the options and the arguments, and print a summary', () => {
+      var results = [];
+      var task = cli.loadTasks('tasks.js', FIXTURES).echo;
+      var onDone = event => results.push(event.result);
+      task.on('done', onDone);
+      return runCli(['run', 'echo', 'echo', '--env=prod', '--', 'a']).then(io => {
+        task.off('done', onDone);
+        assert.equal(io.code, 0);
+        assert.deepEqual(results, [[{ env: 'prod' }, 'a'], [{ env: 'prod' }, 'a']]);
+        assert.equal(io.out.length, 5);
+        assert.equal(io.out[0], 'Starting "echo"...');
+        assert(/^Finished "echo" after \d+ ms$/.test(io.out[1]));
+        assert(/^2 done, 0 failed, 0 skipped, in \d+ ms$/.test(io.out[4]));
+      });
+    });
+
+    it('should stop at the first failure, and exit with code 1', () => {
+      return runCli(['run', 'fail', 'echo']).then(io => {
+        assert.equal(io.code, 1);
+        assert.deepEqual(io.out.slice(0, 1), ['Starting "fail"...']);
+        assert(/^"fail" failed after \d+ ms: Task "fail" failed: broken$/.test(io.err[0]));
+        assert(/^0 done, 1 failed, 1 skipped, in \d+ ms$/.test(io.out[1]));
+      });
+    });
+
+    it('should retry the tasks "--retries" times', () => {
+      return runCli(['run', 'flaky', '--retries=2']).then(io => {
+        assert.equal(io.code, 0);
+        assert.deepEqual(io.err, [
+          'Retrying "flaky" (attempt 2 of 3) after: Task "flaky > flaky: trying once > flaky" failed: attempt 1',
+          'Retrying "flaky" (attempt 3 of 3) after: Task "flaky > flaky: trying once > flaky" failed: attempt 2'
+        ]);
+      });
+    });
+
+    it('should cancel the tasks after "--timeout"', () => {
+      return runCli(['run', 'slow', '--timeout=20']).then(io => {
+        assert.equal(io.code, 1);
+        assert(/^"slow" failed after \d+ ms: Task "slow" timed out after 20ms.$/.test(io.err[0]));
+      });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+'use strict';
+
+var assert = require('assert');
+var concurrency = require('../../src/concurrency');
+var Task = require('../../src/task');
+
+function delayed(ms, value, fail) {
+  return new Task('delayed', (done, failed) => {
+    setTimeout(() => (fail ? failed : done)(value), ms);
+  });
+}
+
+function runAll(tasks, options) {
+  var runs = [];
+  var parentRun = new Task('parent', function() {
+    var run = this;
+    return concurrency.runAll(run, tasks.map(task => () => {
+      var childRun = run.spawn(task);
+      runs.push(childRun);
+      return childRun;
+    }), concurrency.normalize(options));
+  }).run();
+  return { parentRun: parentRun, runs: runs };
+}
+
+describe('concurrency', () => {
+  describe('.normalize', () => {
+    it('should fill in the defaults', () => {
+      assert.deepEqual(concurrency.normalize(), {
+        concurrency: Infinity,
+        order: 'input',
+        settled: false,
+        stopOnError: false
+      });
+    });
+
+    it('should throw if concurrency is not a number greater than 0', () => {
+      assert.throws(concurrency.normalize.bind(null, { concurrency: '2' }));
+      assert.throws(concurrency.normalize.bind(null, { concurrency: 0 }));
+    });
+
+    it('should throw if order is unknown', () => {
+      assert.throws(concurrency.normalize.bind(null, { order: 'random' }));
+    });
+
+    it('should throw if both settled and stopOnError are set', () => {
+      assert.throws(concurrency.normalize.bind(null, { settled: true, stopOnError: true }));
+    });
+  });
+
+  describe('.runAll', () => {
+    it('should resolve with the results in input order', () => {
+      var tasks = [delayed(30, 1), delayed(10, 2), delayed(20, 3)];
+      return runAll(tasks).parentRun.promise.then(results => {
+        assert.deepEqual(results, [1, 2, 3]);
+      });
+    });
+
+    it('should resolve with the results in completion order', () => {
+      var tasks = [delayed(30, 1), delayed(10, 2), delayed(20, 3)];
+      return runAll(tasks, { order: 'completion' }).parentRun.promise.then(results => {
+        assert.deepEqual(results, [2, 3, 1]);
+      });
+    });
+
+    it('should not run more than the given number of tasks at a time', () => {
+      var active = 0;
+      var maxActive = 0;
+      var task = new Task('task', done => {
+        maxActive = Math.max(maxActive, ++active);
+        setTimeout(() => { active--; done(); }, 5);
+      });
+      return runAll([task, task, task, task, task], { concurrency: 2 }).parentRun.promise.then(results => {
+        assert.equal(results.length, 5);
+        assert.equal(maxActive, 2);
+      });
+    });
+
+    it('should resolve with the outcome of every task in settled mode', () => {
+      var tasks = [delayed(10, 1), delayed(0, 'error', true)];
+      return runAll(tasks, { settled: true }).parentRun.promise.then(results => {
+        assert.deepEqual(results[0], { status: 'fulfilled', value: 1 });
+        assert.equal(results[1].status, 'rejected');
+        assert.equal(results[1].reason.reason, 'error');
+      });
+    });
+
+    it('should reject on the first failure and start no more tasks', () => {
+      var tasks = [delayed(0, 'error', true), delayed(0, 2), delayed(0, 3)];
+      var ctx = runAll(tasks, { concurrency: 1 });
+      return ctx.parentRun.promise.then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'error');
+        assert.equal(ctx.runs.length, 1);
+      });
+    });
+
+    it('should cancel the tasks in flight after the first failure in stopOnError mode', () => {
+      var tasks = [delayed(50, 1), delayed(0, 'error', true), delayed(50, 3)];
+      var ctx = runAll(tasks, { stopOnError: true });
+      return ctx.parentRun.promise.then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'error');
+        assert.equal(ctx.runs[0].status, 'canceled');
+        assert.equal(ctx.runs[2].status, 'canceled');
+        return ctx.runs[0].promise;
+      }).then(() => assert(false)).catch(reason => {
+        assert.equal(reason.message, 'Canceled after task "delayed" failed.');
+        assert.equal(reason.reason, 'error');
+      });
+    });
+
+    it('should keep the tasks in flight running after the first failure by default', () => {
+      var tasks = [delayed(20, 1), delayed(0, 'error', true)];
+      var ctx = runAll(tasks);
+      return ctx.parentRun.promise.then(() => assert(false)).catch(() => {
+        return ctx.runs[0].promise;
+      }).then(result => assert.equal(result, 1));
+    });
+
+    it('should start no more tasks once the parent is canceled', () => {
+      var tasks = [delayed(10, 1), delayed(10, 2)];
+      var ctx = runAll(tasks, { concurrency: 1, settled: true });
+      ctx.parentRun.cancel('canceled');
+      return ctx.parentRun.promise.then(() => assert(false)).catch(() => {
+        return new Promise(resolve => setTimeout(resolve, 20));
+      }).then(() => assert.equal(ctx.runs.length, 1));
+    });
+
+    it('should resolve with an empty array if there are no tasks', () => {
+      return runAll([]).parentRun.promise.then(results => assert.deepEqual(results, []));
+    });
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+var assert = require('assert');
+var CronExpression = require('../../src/cron');
+
+function nextTimes(cron, from, count) {
+  var times = [];
+  var time = Date.parse(from);
+  for (var i = 0; i < count; i++) {
+    time = cron.next(time);
+    times.push(time === null ? null : new Date(time).toISOString());
+  }
+  return times;
+}
+
+describe('CronExpression', () => {
+  it('should throw if the expression is invalid', () => {
+    assert.throws(() => new CronExpression());
+    assert.throws(() => new CronExpression('* * * *'));
+    assert.throws(() => new CronExpression('60 * * * *'));
+    assert.throws(() => new CronExpression('*/0 * * * *'));
+    assert.throws(() => new CronExpression('5-1 * * * *'));
+    assert.throws(() => new CronExpression('* * * FOO *'));
+  });
+
+  it('should throw if the time zone is invalid', () => {
+    assert.throws(() => new CronExpression('* * * * *', { timeZone: 'Nowhere/Town' }));
+  });
+
+  it('should match 5-field expressions', () => {
+    var cron = new CronExpression('*/15 * * * *', { timeZone: 'UTC' });
+    assert.deepEqual(nextTimes(cron, '2026-01-01T00:07:30Z', 3), [
+      '2026-01-01T00:15:00.000Z',
+      '2026-01-01T00:30:00.000Z',
+      '2026-01-01T00:45:00.000Z'
+    ]);
+  });
+
+  it('should match 6-field expressions with seconds', () => {
+    var cron = new CronExpression('*/20 * * * * *', { timeZone: 'UTC' });
+    assert.deepEqual(nextTimes(cron, '2026-01-01T00:00:00.500Z', 3), [
+      '2026-01-01T00:00:20.000Z',
+      '2026-01-01T00:00:40.000Z',
+      '2026-01-01T00:01:00.000Z'
+    ]);
+  });
+
+  it('should match ranges, lists and names', () => {
+    var cron = new CronExpression('0 8,17 * JAN-MAR MON-FRI', { timeZone: 'UTC' });
+    assert.deepEqual(nextTimes(cron, '2026-01-02T12:00:00Z', 3), [
+      '2026-01-02T17:00:00.000Z',
+      '2026-01-05T08:00:00.000Z',
+      '2026-01-05T17:00:00.000Z'
+    ]);
+  });
+
+  it('should match either the day of month or the day of week if both are restricted', () => {
+    var cron = new CronExpression('0 0 13 * 5', { timeZone: 'UTC' });
+    assert.deepEqual(nextTimes(cron, '2026-01-01T00:00:00Z', 3), [
+      '2026-01-02T00:00:00.000Z',
+      '2026-01-09T00:00:00.000Z',
+      '2026-01-13T00:00:00.000Z'
+    ]);
+  });
+
+  it('should treat 7 as Sunday, and support macros', () => {
+    var sunday = nextTimes(new CronExpression('0 0 * * 7', { timeZone: 'UTC' }), '2026-01-01T00:00:00Z', 1);
+    assert.deepEqual(sunday, ['2026-01-04T00:00:00.000Z']);
+    assert.deepEqual(nextTimes(new CronExpression('@weekly', { timeZone: 'UTC' }), '2026-01-01T00:00:00Z', 1), sunday);
+  });
+
+  it('should match in the given time zone', () => {
+    var cron = new CronExpression('30 9 * * *', { timeZone: 'Asia/Kolkata' });
+    assert.deepEqual(nextTimes(cron, '2026-10-16T00:00:00Z', 1), ['2026-10-16T04:00:00.000Z']);
+  });
+
+  it('should skip wall clock times which do not exist because of daylight saving time', () => {
+    var cron = new CronExpression('30 2 * * *', { timeZone: 'America/New_York' });
+    assert.deepEqual(nextTimes(cron, '2026-03-07T00:00:00Z', 2), [
+      '2026-03-07T07:30:00.000Z',
+      '2026-03-09T06:30:00.000Z'
+    ]);
+  });
+
+  it('should return null if no time matches', () => {
+    var cron = new CronExpression('0 0 30 2 *', { timeZone: 'UTC' });
+    assert.deepEqual(nextTimes(cron, '2026-01-01T00:00:00Z', 1), [null]);
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+var assert = require('assert');
+var emitter = require('../../src/emitter');
+
+function createEmitter() {
+  return emitter.mixin({ _listeners: {} });
+}
+
+describe('emitter', () => {
+  describe('#on', () => {
+    it('should throw if the listener is not a function', () => {
+      var target = createEmitter();
+      assert.throws(target.on.bind(target, 'event', {}));
+    });
+
+    it('should call the listener with the event every time it is emitted', () => {
+      var target = createEmitter();
+      var events = [];
+      assert.equal(target.on('event', event => events.push(event)), target);
+      target.emit('event', 1);
+      target.emit('event', 2);
+      target.emit('other', 3);
+      assert.deepEqual(events, [1, 2]);
+    });
+  });
+
+  describe('#once', () => {
+    it('should throw if the listener is not a function', () => {
+      var target = createEmitter();
+      assert.throws(target.once.bind(target, 'event'));
+    });
+
+    it('should call the listener only once', () => {
+      var target = createEmitter();
+      var events = [];
+      target.once('event', event => events.push(event));
+      target.emit('event', 1);
+      target.emit('event', 2);
+      assert.deepEqual(events, [1]);
+    });
+
+    it('should be removable with off()', () => {
+      var target = createEmitter();
+      var listener = () => assert(false);
+      target.once('event', listener);
+      target.off('event', listener);
+      assert.equal(target.emit('event'), false);
+    });
+  });
+
+  describe('#off', () => {
+    it('should remove the listener', () => {
+      var target = createEmitter();
+      var listener = () => assert(false);
+      target.on('event', listener);
+      assert.equal(target.off('event', listener), target);
+      target.off('other', listener);
+      assert.equal(target.emit('event'), false);
+    });
+  });
+
+  describe('#emit', () => {
+    it('should return whether there were listeners', () => {
+      var target = createEmitter();
+      assert.equal(target.emit('event'), false);
+      target.on('event', () => {});
+      assert.equal(target.emit('event'), true);
+    });
+
+    it('should call the other listeners if a listener throws, and re-throw asynchronously', () => {
+      var target = createEmitter();
+      var called = false;
+      var listeners = process.listeners('uncaughtException');
+      process.removeAllListeners('uncaughtException');
+      return new Promise(resolve => {
+        process.once('uncaughtException', error => {
+          listeners.forEach(listener => process.on('uncaughtException', listener));
+          assert.equal(error.message, 'error');
+          assert(called);
+          resolve();
+        });
+        target.on('event', () => { throw new Error('error'); });
+        target.on('event', () => { called = true; });
+        target.emit('event');
+      });
+    });
+  });
+});
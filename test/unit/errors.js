@@ -0,0 +1,127 @@
+'use strict';
+
+var assert = require('assert');
+var errors = require('../../src/errors');
+var Task = require('../../src/task');
+
+describe('errors', () => {
+  describe('TaskError', () => {
+    it('should be an Error with the name of its class', () => {
+      var error = new errors.TimeoutError('message');
+      assert(error instanceof Error);
+      assert(error instanceof errors.TaskError);
+      assert(error instanceof errors.CanceledError);
+      assert.equal(error.name, 'TimeoutError');
+      assert.equal(error.message, 'message');
+      assert.equal(typeof error.stack, 'string');
+      assert.deepEqual(error.path, []);
+    });
+
+    it('should copy the options other than "run"', () => {
+      var error = new errors.TaskError('message', { cause: 'cause', reason: 'reason', extra: 1 });
+      assert.equal(error.cause, 'cause');
+      assert.equal(error.reason, 'reason');
+      assert.equal(error.extra, 1);
+      assert.equal(error.run, undefined);
+    });
+  });
+
+  describe('.failed', () => {
+    it('should wrap the reason in a TaskFailedError', () => {
+      var cause = new Error('boom');
+      var run = new Task('name', (done, failed) => failed(cause)).run();
+      return run.promise.then(() => assert(false)).catch(error => {
+        assert(error instanceof errors.TaskFailedError);
+        assert.equal(error.message, 'Task "name" failed: boom');
+        assert.equal(error.cause, cause);
+        assert.equal(error.reason, cause);
+        assert.equal(error.taskName, 'name');
+        assert.equal(error.runId, run.id);
+        assert.equal(error.attempt, 1);
+        assert.equal(error.step, null);
+      });
+    });
+
+    it('should wrap an Error thrown by the template', () => {
+      return new Task('name', () => { throw new Error('thrown'); }).do().then(() => assert(false)).catch(error => {
+        assert(error instanceof errors.TaskFailedError);
+        assert.equal(error.reason.message, 'thrown');
+      });
+    });
+
+    it('should identify the nested Task where the failure originated', () => {
+      var deploy = Task.sequence('deploy', [
+        Task.create('lint', done => done()),
+        Task.sequence('build', [
+          Task.create('compile', (input, done, failed) => failed('syntax error'))
+        ])
+      ]);
+      return deploy.do().then(() => assert(false)).catch(error => {
+        assert(error instanceof errors.TaskFailedError);
+        assert.equal(error.message, 'Task "deploy > build > compile" failed: syntax error');
+        assert.deepEqual(error.path, ['deploy', 'build', 'compile']);
+        assert.equal(error.taskName, 'compile');
+        assert.equal(error.step, 0);
+        assert.equal(error.reason, 'syntax error');
+      });
+    });
+
+    it('should carry the attempt number of Task.try', () => {
+      return Task.try('try', (done, failed) => failed(), { attempts: 2 }).do().then(() => assert(false)).catch(error => {
+        assert.deepEqual(error.errors.map(e => e.attempt), [1, 2]);
+        assert.deepEqual(error.errors[0].path, ['try', 'try: trying once']);
+      });
+    });
+  });
+
+  describe('.canceled', () => {
+    it('should reject a canceled run with a CanceledError', () => {
+      var run = new Task('name', () => {}).run();
+      run.cancel('reason');
+      return run.promise.then(() => assert(false)).catch(error => {
+        assert(error instanceof errors.CanceledError);
+        assert(!(error instanceof errors.TimeoutError));
+        assert.equal(error.message, 'Task "name" was canceled.');
+        assert.equal(error.reason, 'reason');
+      });
+    });
+
+    it('should reject the child runs of a canceled run with a CanceledError', () => {
+      var child = null;
+      var parentRun = new Task('parent', function() {
+        child = this.spawn(new Task('child', () => {}));
+      }).run();
+      parentRun.cancel('reason');
+      parentRun.promise.catch(() => {});
+      return child.promise.then(() => assert(false)).catch(error => {
+        assert(error instanceof errors.CanceledError);
+        assert.equal(error.message, 'Canceled by parent task "parent".');
+        assert.equal(error.parent, parentRun);
+        assert(error.cause instanceof errors.CanceledError);
+        assert.equal(error.reason, 'reason');
+        assert.deepEqual(error.path, ['parent', 'child']);
+      });
+    });
+  });
+
+  describe('.timedOut', () => {
+    it('should reject a timed out run with a TimeoutError', () => {
+      var run = new Task('name', () => {}).run();
+      run.timeout(0, 'reason');
+      return run.promise.then(() => assert(false)).catch(error => {
+        assert(error instanceof errors.TimeoutError);
+        assert(error instanceof errors.CanceledError);
+        assert.equal(error.message, 'Task "name" timed out after 0ms.');
+        assert.equal(error.milliseconds, 0);
+        assert.equal(error.reason, 'reason');
+      });
+    });
+  });
+
+  it('should be exported by Task', () => {
+    assert.equal(Task.TaskError, errors.TaskError);
+    assert.equal(Task.TaskFailedError, errors.TaskFailedError);
+    assert.equal(Task.CanceledError, errors.CanceledError);
+    assert.equal(Task.TimeoutError, errors.TimeoutError);
+  });
+});
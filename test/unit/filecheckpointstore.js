@@ -0,0 +1,75 @@
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var FileCheckpointStore = require('../../src/filecheckpointstore');
+var Task = require('../../src/task');
+
+// fs.rmSync() needs Node 14.14.
+function removeDirectory(directory) {
+  fs.readdirSync(directory).forEach(name => {
+    var file = path.join(directory, name);
+    if (fs.statSync(file).isDirectory()) {
+      removeDirectory(file);
+    } else {
+      fs.unlinkSync(file);
+    }
+  });
+  fs.rmdirSync(directory);
+}
+
+describe('FileCheckpointStore', () => {
+  var directory;
+
+  beforeEach(() => {
+    directory = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'task-js-')), 'checkpoints');
+  });
+
+  afterEach(() => {
+    removeDirectory(path.dirname(directory));
+  });
+
+  it('should throw if the directory is not a string', () => {
+    assert.throws(() => new FileCheckpointStore(), /must be a string/);
+  });
+
+  it('should keep each record in a JSON file, creating the directory', () => {
+    var store = new FileCheckpointStore(directory);
+    assert.equal(store.directory, directory);
+    return store.list().then(records => {
+      assert.deepEqual(records, []);
+      return store.set('a/b', { runId: 'a/b', steps: [1] });
+    }).then(() => {
+      assert.deepEqual(fs.readdirSync(directory), ['a%2Fb.json']);
+      return new FileCheckpointStore(directory).get('a/b');
+    }).then(record => {
+      assert.deepEqual(record, { runId: 'a/b', steps: [1] });
+      return Promise.all([store.set('c', { runId: 'c' }), store.get('missing')]);
+    }).then(results => {
+      assert.equal(results[1], undefined);
+      return store.list();
+    }).then(records => {
+      assert.deepEqual(records.map(record => record.runId).sort(), ['a/b', 'c']);
+      return Promise.all([store.delete('a/b'), store.delete('missing')]);
+    }).then(() => {
+      assert.deepEqual(fs.readdirSync(directory), ['c.json']);
+    });
+  });
+
+  it('should not mix up overlapping writes of a record', () => {
+    var store = new FileCheckpointStore(directory);
+    return Promise.all([1, 2, 3].map(i => store.set('a', { runId: 'a', steps: [i] }))).then(() => {
+      assert.deepEqual(fs.readdirSync(directory), ['a.json']);
+      return store.get('a');
+    }).then(record => {
+      assert.equal(record.runId, 'a');
+      assert.notEqual([1, 2, 3].indexOf(record.steps[0]), -1);
+    });
+  });
+
+  it('should be exported by Task', () => {
+    assert.equal(Task.FileCheckpointStore, FileCheckpointStore);
+  });
+});
@@ -0,0 +1,42 @@
+'use strict';
+
+var assert = require('assert');
+var graph = require('../../src/graph');
+
+describe('graph', () => {
+  describe('.sort', () => {
+    it('should return the nodes with every node after its dependencies', () => {
+      var order = graph.sort({
+        deploy: { deps: ['bundle', 'test'] },
+        test: { deps: ['compile'] },
+        bundle: { deps: ['compile'] },
+        compile: { deps: ['lint'] },
+        lint: { deps: [] }
+      });
+      assert.equal(order.length, 5);
+      assert(order.indexOf('lint') < order.indexOf('compile'));
+      assert(order.indexOf('compile') < order.indexOf('bundle'));
+      assert(order.indexOf('compile') < order.indexOf('test'));
+      assert(order.indexOf('bundle') < order.indexOf('deploy'));
+      assert(order.indexOf('test') < order.indexOf('deploy'));
+    });
+
+    it('should throw if a node depends on an unknown node', () => {
+      assert.throws(() => graph.sort({ a: { deps: ['b'] } }),
+        /Task graph node "a" depends on unknown node "b"\./);
+    });
+
+    it('should throw if the graph has a cycle', () => {
+      assert.throws(() => graph.sort({
+        a: { deps: [] },
+        b: { deps: ['a', 'd'] },
+        c: { deps: ['b'] },
+        d: { deps: ['c'] }
+      }), /Task graph has a cycle: b > d > c > b\./);
+    });
+
+    it('should throw if a node depends on itself', () => {
+      assert.throws(() => graph.sort({ a: { deps: ['a'] } }), /cycle: a > a\./);
+    });
+  });
+});
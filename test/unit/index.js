@@ -1,3 +1,25 @@
 'use strict';
 
 require('./task');
+require('./taskrun');
+require('./retrypolicy');
+require('./concurrency');
+require('./graph');
+require('./emitter');
+require('./errors');
+require('./middleware');
+require('./tracer');
+require('./queue');
+require('./ratelimit');
+require('./memoize');
+require('./circuitbreaker');
+require('./cron');
+require('./schedule');
+require('./progress');
+require('./workerpool');
+require('./registry');
+require('./workflow');
+require('./cli');
+require('./checkpoint');
+require('./filecheckpointstore');
+require('./mapstream');
@@ -0,0 +1,54 @@
+'use strict';
+
+var assert = require('assert');
+var mapStream = require('../../src/mapstream');
+
+describe('mapstream', () => {
+  describe('.normalize', () => {
+    it('should fill in the defaults', () => {
+      assert.deepEqual(mapStream.normalize(), { concurrency: 1, order: 'input', highWaterMark: 1 });
+      assert.deepEqual(mapStream.normalize({ concurrency: 4 }), { concurrency: 4, order: 'input', highWaterMark: 4 });
+    });
+
+    it('should throw if the options are invalid', () => {
+      assert.throws(() => mapStream.normalize({ concurrency: 0 }), /"concurrency" must be a number greater than 0./);
+      assert.throws(() => mapStream.normalize({ highWaterMark: 'x' }), /"highWaterMark" must be a number greater than 0./);
+      assert.throws(() => mapStream.normalize({ order: 'random' }), /"order" must be one of: input, completion./);
+    });
+  });
+
+  describe('.toIterator', () => {
+    it('should iterate over iterables and async iterables', () => {
+      var iterator = mapStream.toIterator(new Set(['a']));
+      return iterator.next().then(step => {
+        assert.deepEqual(step, { value: 'a', done: false });
+        iterator = mapStream.toIterator((async function* generate() {
+          yield 'b';
+        })());
+        return iterator.next();
+      }).then(step => {
+        assert.deepEqual(step, { value: 'b', done: false });
+      });
+    });
+
+    it('should return null for values which are not iterable, and strings', () => {
+      [null, 1, {}, 'abc'].forEach(source => assert.equal(mapStream.toIterator(source), null));
+    });
+
+    it('should close the source on return()', () => {
+      var closed = false;
+      var iterator = mapStream.toIterator((function* generate() {
+        try {
+          yield 1;
+          yield 2;
+        } finally {
+          closed = true;
+        }
+      })());
+      return iterator.next().then(() => {
+        iterator.return();
+        assert.equal(closed, true);
+      });
+    });
+  });
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+var assert = require('assert');
+var memoize = require('../../src/memoize');
+
+describe('memoize', () => {
+  describe('MemoryStore', () => {
+    it('should throw if maxEntries is invalid', () => {
+      assert.throws(() => new memoize.MemoryStore(0));
+      assert.throws(() => new memoize.MemoryStore('10'));
+    });
+
+    it('should get, set, delete and clear entries', () => {
+      var store = new memoize.MemoryStore();
+      assert.equal(store.maxEntries, Infinity);
+      assert.equal(store.get('a'), undefined);
+      store.set('a', 1);
+      store.set('b', 2);
+      assert.equal(store.get('a'), 1);
+      assert.equal(store.size, 2);
+      store.delete('a');
+      assert.equal(store.get('a'), undefined);
+      store.clear();
+      assert.equal(store.size, 0);
+    });
+
+    it('should evict the least recently used entry', () => {
+      var store = new memoize.MemoryStore(2);
+      store.set('a', 1);
+      store.set('b', 2);
+      store.get('a');
+      store.set('c', 3);
+      assert.equal(store.get('b'), undefined);
+      assert.equal(store.get('a'), 1);
+      assert.equal(store.get('c'), 3);
+    });
+  });
+
+  describe('.normalize', () => {
+    it('should fill in the defaults', () => {
+      var options = memoize.normalize();
+      assert.equal(options.key([1, 'a']), '[1,"a"]');
+      assert.equal(options.ttl, Infinity);
+      assert.equal(options.negativeTtl, 0);
+      assert(options.store instanceof memoize.MemoryStore);
+    });
+
+    it('should throw if the options are invalid', () => {
+      assert.throws(() => memoize.normalize({ key: 'id' }));
+      assert.throws(() => memoize.normalize({ ttl: -1 }));
+      assert.throws(() => memoize.normalize({ store: {} }));
+      assert.throws(() => memoize.normalize({ store: new memoize.MemoryStore(), maxEntries: 1 }));
+    });
+  });
+
+  describe('.createEntry', () => {
+    it('should create an entry which expires after the ttl', () => {
+      var entry = memoize.createEntry('done', 1, 1000);
+      assert.equal(entry.failed, false);
+      assert.equal(entry.value, 1);
+      assert(memoize.isFresh(entry));
+      assert(!memoize.isFresh(memoize.createEntry('failed', 'error', 0)));
+      assert.deepEqual(memoize.createEntry('failed', 'error', Infinity), { failed: true, reason: 'error', expires: null });
+      assert(!memoize.isFresh(undefined));
+    });
+  });
+});
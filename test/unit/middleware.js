@@ -0,0 +1,177 @@
+'use strict';
+
+var assert = require('assert');
+var middleware = require('../../src/middleware');
+var Task = require('../../src/task');
+
+function createTarget() {
+  return middleware.mixin({ _middleware: [] });
+}
+
+describe('middleware', () => {
+  describe('#use', () => {
+    it('should throw if the middleware is not a function', () => {
+      var target = createTarget();
+      assert.throws(target.use.bind(target, {}));
+    });
+
+    it('should add the middleware', () => {
+      var target = createTarget();
+      var mw = (context, next) => next();
+      assert.equal(target.use(mw), target);
+      assert.deepEqual(target._middleware, [mw]);
+    });
+  });
+
+  describe('#unuse', () => {
+    it('should remove the middleware', () => {
+      var target = createTarget();
+      var mw = (context, next) => next();
+      target.use(mw);
+      assert.equal(target.unuse(mw), target);
+      assert.equal(target.unuse(mw), target);
+      assert.deepEqual(target._middleware, []);
+    });
+  });
+
+  describe('Task#use', () => {
+    it('should call the middleware with the context of the run', () => {
+      var context = null;
+      var task = new Task('name', (x, done) => done(x + 1)).use((ctx, next) => {
+        context = ctx;
+        return next();
+      });
+      var run = task.run(1);
+      return run.promise.then(result => {
+        assert.equal(result, 2);
+        assert.equal(context.name, 'name');
+        assert.equal(context.task, task);
+        assert.deepEqual(context.args, [1]);
+        assert.equal(context.run, run);
+        assert.equal(context.runId, run.id);
+        assert.equal(context.parent, null);
+        assert.equal(context.attempt, 1);
+        assert.equal(context.step, null);
+      });
+    });
+
+    it('should call the middleware in the order they were added', () => {
+      var calls = [];
+      return new Task('name', done => { calls.push('template'); done(); })
+        .use((context, next) => { calls.push(1); return next().then(() => calls.push(-1)); })
+        .use((context, next) => { calls.push(2); return next().then(() => calls.push(-2)); })
+        .do().then(() => assert.deepEqual(calls, [1, 2, 'template', -2, -1]));
+    });
+
+    it('should let the middleware change the arguments and the result', () => {
+      return new Task('name', (a, b, done) => done(a + b))
+        .use((context, next) => next([10, 20]).then(result => result * 2))
+        .do(1, 2).then(result => assert.equal(result, 60));
+    });
+
+    it('should let the middleware short-circuit the template', () => {
+      var called = false;
+      return new Task('name', done => { called = true; done(1); })
+        .use(() => 'cached')
+        .do().then(result => {
+          assert.equal(result, 'cached');
+          assert.equal(called, false);
+        });
+    });
+
+    it('should let the middleware translate errors', () => {
+      return new Task('name', (done, failed) => failed('raw'))
+        .use((context, next) => next().catch(reason => { throw new Error('translated ' + reason); }))
+        .do().then(() => assert(false)).catch(error => {
+          assert(error instanceof Task.TaskFailedError);
+          assert.equal(error.reason.message, 'translated raw');
+        });
+    });
+
+    it('should let the middleware recover from errors', () => {
+      return new Task('name', () => { throw new Error('thrown'); })
+        .use((context, next) => next().catch(() => 'recovered'))
+        .do().then(result => assert.equal(result, 'recovered'));
+    });
+
+    it('should fail the run if the middleware throws', () => {
+      return new Task('name', done => done())
+        .use(() => { throw new Error('middleware'); })
+        .do().then(() => assert(false)).catch(error => {
+          assert.equal(error.message, 'Task "name" failed: middleware');
+        });
+    });
+
+    it('should call the template with the run as "this"', () => {
+      var self = null;
+      var run = new Task('name', function(done) { self = this; done(); })
+        .use((context, next) => next())
+        .run();
+      return run.promise.then(() => assert.equal(self, run));
+    });
+
+    it('should not settle a canceled run with the result of the middleware', () => {
+      var run = new Task('name', done => { setTimeout(done.bind(null, 1), 10); })
+        .use((context, next) => next())
+        .run();
+      run.cancel('canceled');
+      return run.promise.then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.CanceledError);
+        assert.equal(run.status, 'canceled');
+      });
+    });
+
+    it('should be shared with the views returned by Task#withSignal()', function() {
+      if (typeof AbortController !== 'function') {
+        this.skip();
+      }
+      var names = [];
+      var task = new Task('name', done => done());
+      task.withSignal(new AbortController().signal).use(context => { names.push(context.name); });
+      return task.do().then(() => assert.deepEqual(names, ['name']));
+    });
+  });
+
+  describe('Task.use', () => {
+    it('should call the middleware for the runs of every Task, before their own middleware', () => {
+      var calls = [];
+      var global = (context, next) => {
+        calls.push(['global', context.name, context.step, context.parent && context.parent.task.name]);
+        return next();
+      };
+      var seq = Task.sequence('seq', [
+        Task.create('first', (x, done) => done(x + 1)),
+        Task.create('second', (x, done) => done(x * 2)).use((context, next) => {
+          calls.push(['own', context.name]);
+          return next();
+        })
+      ]);
+      Task.use(global);
+      return seq.do(1).then(result => {
+        Task.unuse(global);
+        assert.equal(result, 4);
+        assert.deepEqual(calls, [
+          ['global', 'seq', null, null],
+          ['global', 'first', 0, 'seq'],
+          ['global', 'second', 1, 'seq'],
+          ['own', 'second']
+        ]);
+      }, error => {
+        Task.unuse(global);
+        throw error;
+      });
+    });
+
+    it('should apply to anonymous tasks run with Task.do()', () => {
+      var names = [];
+      var global = (context, next) => { names.push(context.name); return next(); };
+      Task.use(global);
+      var promise = Task.do(done => done(1));
+      Task.unuse(global);
+      return promise.then(result => {
+        assert.equal(result, 1);
+        assert.deepEqual(names, ['anonymous']);
+      });
+    });
+  });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+var assert = require('assert');
+var progress = require('../../src/progress');
+var Task = require('../../src/task');
+
+function pending() {
+  return new Task('pending', () => {}).run();
+}
+
+describe('progress', () => {
+  describe('.normalizeWeights', () => {
+    it('should return null if there are no weights', () => {
+      assert.equal(progress.normalizeWeights(undefined, 2), null);
+    });
+
+    it('should throw if the weights are invalid', () => {
+      assert.throws(() => progress.normalizeWeights(1, 1));
+      assert.throws(() => progress.normalizeWeights([1], 2));
+      assert.throws(() => progress.normalizeWeights([1, NaN], 2));
+      assert.throws(() => progress.normalizeWeights([1, Infinity], 2));
+    });
+  });
+
+  describe('.aggregate', () => {
+    it('should report the weighted average of the child runs', () => {
+      var parent = pending();
+      var children = [pending(), pending()];
+      var reports = [];
+      parent.onProgress((fraction, detail) => reports.push([fraction, detail.index, detail.detail]));
+      var watch = progress.aggregate(parent, [1, 4]);
+      children.forEach((child, i) => assert.equal(watch(i, child), child));
+      children[1].reportProgress(0.5, 'half');
+      children[0].reportProgress(1);
+      assert.deepEqual(reports, [[0.4, 1, 'half'], [0.6, 0, undefined]]);
+      parent.cancel();
+      return parent.promise.catch(() => {});
+    });
+
+    it('should count the progress reported before the child run was watched', () => {
+      var parent = pending();
+      var child = pending();
+      child.reportProgress(0.5);
+      progress.aggregate(parent, [1, 1])(0, child);
+      assert.equal(parent.progress, 0.25);
+      parent.cancel();
+      return parent.promise.catch(() => {});
+    });
+
+    it('should not report anything if all the weights are 0', () => {
+      var parent = pending();
+      var child = pending();
+      progress.aggregate(parent, [0])(0, child);
+      child.reportProgress(0.5);
+      assert.equal(parent.progress, 0);
+      parent.cancel();
+      return parent.promise.catch(() => {});
+    });
+  });
+
+  describe('.forward', () => {
+    it('should report the progress of the child run as the progress of the parent', () => {
+      var parent = pending();
+      var child = pending();
+      progress.forward(parent, child);
+      child.reportProgress(0.3, 'detail');
+      assert.equal(parent.progress, 0.3);
+      parent.cancel();
+      return parent.promise.catch(() => {});
+    });
+  });
+});
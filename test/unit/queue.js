@@ -0,0 +1,196 @@
+'use strict';
+
+var assert = require('assert');
+var Task = require('../../src/task');
+var TaskQueue = require('../../src/queue');
+
+function deferredTask(name, log) {
+  return new Task(name, function(x, done) {
+    log.push(['start', x]);
+    setTimeout(() => done(x), 5);
+  });
+}
+
+describe('TaskQueue', () => {
+  describe('#constructor', () => {
+    it('should throw if the concurrency is invalid', () => {
+      assert.throws(() => new TaskQueue({ concurrency: 0 }));
+      assert.throws(() => new TaskQueue({ concurrency: '2' }));
+    });
+
+    it('should default to unlimited concurrency', () => {
+      var queue = Task.queue();
+      assert(queue instanceof TaskQueue);
+      assert.equal(queue.concurrency, Infinity);
+      assert.equal(queue.isPaused, false);
+      assert.equal(queue.size, 0);
+      assert.equal(queue.pending, 0);
+    });
+  });
+
+  describe('#add', () => {
+    it('should throw if the arguments are invalid', () => {
+      var queue = Task.queue();
+      var task = new Task('name', done => done());
+      assert.throws(queue.add.bind(queue, () => {}));
+      assert.throws(queue.add.bind(queue, task, 'arg'));
+      assert.throws(queue.add.bind(queue, task, [], { priority: 'high' }));
+    });
+
+    it('should run the Task and settle like its run', () => {
+      var queue = Task.queue();
+      var job = queue.add(new Task('name', (a, b, done) => done(a + b)), [1, 2]);
+      assert.equal(job.status, 'running');
+      assert(job.run instanceof Task.TaskRun);
+      return job.promise.then(result => {
+        assert.equal(result, 3);
+        assert.equal(job.status, 'done');
+      });
+    });
+
+    it('should reject the Promise if the Task fails, and keep running the other Tasks', () => {
+      var queue = Task.queue({ concurrency: 1 });
+      var failing = queue.add(new Task('failing', (done, failed) => failed('error')));
+      var next = queue.add(new Task('next', done => done(1)));
+      return failing.promise.then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.TaskFailedError);
+        assert.equal(failing.status, 'failed');
+        return next.promise;
+      }).then(result => assert.equal(result, 1));
+    });
+
+    it('should not run more Tasks at a time than the concurrency', () => {
+      var log = [];
+      var queue = Task.queue({ concurrency: 2 });
+      var task = deferredTask('name', log);
+      var jobs = [1, 2, 3, 4].map(x => queue.add(task, [x]));
+      assert.equal(queue.pending, 2);
+      assert.equal(queue.size, 2);
+      return Promise.all(jobs.map(job => job.promise)).then(results => {
+        assert.deepEqual(results, [1, 2, 3, 4]);
+        assert.equal(queue.pending, 0);
+        assert.equal(queue.size, 0);
+      });
+    });
+
+    it('should start the Tasks in order of priority, and then in the order they were added', () => {
+      var log = [];
+      var queue = Task.queue({ concurrency: 1, paused: true });
+      var task = deferredTask('name', log);
+      queue.add(task, ['low'], { priority: -1 });
+      queue.add(task, ['normal1']);
+      queue.add(task, ['high'], { priority: 10 });
+      queue.add(task, ['normal2']);
+      queue.resume();
+      return queue.onIdle().then(() => {
+        assert.deepEqual(log.map(entry => entry[1]), ['high', 'normal1', 'normal2', 'low']);
+      });
+    });
+  });
+
+  describe('QueuedTask#cancel', () => {
+    it('should remove a waiting Task from the queue', () => {
+      var log = [];
+      var queue = Task.queue({ concurrency: 1 });
+      var task = deferredTask('name', log);
+      queue.add(task, [1]);
+      var job = queue.add(task, [2]);
+      assert.equal(job.cancel('not needed'), true);
+      assert.equal(job.cancel('not needed'), false);
+      assert.equal(queue.size, 0);
+      return job.promise.then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.CanceledError);
+        assert.equal(error.message, 'Task "name" was canceled before it started.');
+        assert.equal(error.reason, 'not needed');
+        assert.equal(error.taskName, 'name');
+        assert.equal(job.status, 'canceled');
+        assert.equal(job.run, null);
+        return queue.onIdle();
+      }).then(() => assert.deepEqual(log, [['start', 1]]));
+    });
+
+    it('should cancel the run of a running Task', () => {
+      var queue = Task.queue();
+      var job = queue.add(new Task('name', () => {}));
+      assert.equal(job.cancel('stop'), true);
+      return job.promise.then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.CanceledError);
+        assert.equal(error.reason, 'stop');
+        assert.equal(job.status, 'canceled');
+        assert.equal(job.cancel(), false);
+        assert.equal(queue.pending, 0);
+      });
+    });
+  });
+
+  describe('#pause', () => {
+    it('should stop starting Tasks until resumed', () => {
+      var log = [];
+      var queue = Task.queue().pause();
+      var job = queue.add(deferredTask('name', log), [1]);
+      assert.equal(queue.isPaused, true);
+      assert.equal(job.status, 'queued');
+      assert.equal(queue.size, 1);
+      return new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+        assert.deepEqual(log, []);
+        queue.resume();
+        assert.equal(queue.isPaused, false);
+        return job.promise;
+      }).then(result => assert.equal(result, 1));
+    });
+  });
+
+  describe('#clear', () => {
+    it('should cancel all the waiting Tasks', () => {
+      var log = [];
+      var queue = Task.queue({ concurrency: 1 });
+      var task = deferredTask('name', log);
+      var jobs = [1, 2, 3].map(x => queue.add(task, [x]));
+      assert.equal(queue.clear('cleared'), queue);
+      assert.equal(queue.size, 0);
+      return Promise.all(jobs.slice(1).map(job => job.promise.catch(error => error.reason))).then(reasons => {
+        assert.deepEqual(reasons, ['cleared', 'cleared']);
+        return jobs[0].promise;
+      }).then(result => assert.equal(result, 1));
+    });
+
+    it('should not report unhandled rejections for unobserved Tasks', () => {
+      var unhandled = [];
+      var listener = reason => unhandled.push(reason);
+      var queue = Task.queue({ concurrency: 1 });
+      var task = deferredTask('name', []);
+      process.on('unhandledRejection', listener);
+      var jobs = [1, 2, 3].map(x => queue.add(task, [x]));
+      queue.clear('cleared');
+      return new Promise(resolve => setTimeout(resolve, 20)).then(() => {
+        process.removeListener('unhandledRejection', listener);
+        assert.deepEqual(unhandled, []);
+        assert.deepEqual(jobs.map(job => job.status), ['done', 'canceled', 'canceled']);
+      }, error => {
+        process.removeListener('unhandledRejection', listener);
+        throw error;
+      });
+    });
+  });
+
+  describe('#onIdle', () => {
+    it('should resolve immediately if the queue is idle', () => {
+      return Task.queue().onIdle();
+    });
+
+    it('should resolve once all the Tasks have settled, and emit "drain"', () => {
+      var log = [];
+      var drains = 0;
+      var queue = Task.queue({ concurrency: 1 });
+      queue.on('drain', () => drains++);
+      var task = deferredTask('name', log);
+      [1, 2].forEach(x => queue.add(task, [x]));
+      return queue.onIdle().then(() => {
+        assert.equal(log.length, 2);
+        assert.equal(drains, 1);
+        queue.add(task, [3]);
+        return queue.onIdle();
+      }).then(() => assert.equal(drains, 2));
+    });
+  });
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+var assert = require('assert');
+var rateLimit = require('../../src/ratelimit');
+
+describe('rateLimit', () => {
+  describe('RateLimiter', () => {
+    it('should throw if the limit or the interval is invalid', () => {
+      assert.throws(() => new rateLimit.RateLimiter());
+      assert.throws(() => new rateLimit.RateLimiter({ limit: 0, interval: 1000 }));
+      assert.throws(() => new rateLimit.RateLimiter({ limit: 1, interval: '1s' }));
+    });
+
+    it('should allow "limit" runs in any window of "interval" ms', () => {
+      var limiter = new rateLimit.RateLimiter({ limit: 2, interval: 100 });
+      var times = [];
+      for (var i = 0; i < 5; i++) {
+        var time = limiter._peek(0);
+        limiter._take(time);
+        times.push(time);
+      }
+      assert.deepEqual(times, [0, 0, 100, 100, 200]);
+    });
+
+    it('should forget the runs which are out of the window', () => {
+      var limiter = new rateLimit.RateLimiter({ limit: 1, interval: 100 });
+      limiter._take(0);
+      assert.equal(limiter._peek(50), 100);
+      assert.equal(limiter._peek(150), 150);
+    });
+
+    it('should give back a released slot', () => {
+      var limiter = new rateLimit.RateLimiter({ limit: 1, interval: 100 });
+      limiter._take(0);
+      limiter._take(100);
+      limiter._release(100);
+      assert.equal(limiter._peek(50), 100);
+    });
+  });
+
+  describe('.getStartTime', () => {
+    it('should return the time allowed by all the limiters', () => {
+      var perSecond = new rateLimit.RateLimiter({ limit: 1, interval: 1000 });
+      var perMinute = new rateLimit.RateLimiter({ limit: 2, interval: 60000 });
+      assert.equal(rateLimit.getStartTime([perSecond, perMinute], 0), 0);
+      perSecond._take(0);
+      perMinute._take(0);
+      perMinute._take(0);
+      assert.equal(rateLimit.getStartTime([perSecond, perMinute], 0), 60000);
+    });
+  });
+
+  describe('.normalize', () => {
+    it('should create a limiter from "limit" and "interval"', () => {
+      var options = rateLimit.normalize({ limit: 10, interval: 1000 });
+      assert.equal(options.limiters.length, 1);
+      assert.equal(options.limiters[0].limit, 10);
+      assert.equal(options.limiters[0].interval, 1000);
+      assert.equal(options.maxWait, Infinity);
+    });
+
+    it('should use the given limiters', () => {
+      var limiter = new rateLimit.RateLimiter({ limit: 10, interval: 1000 });
+      assert.deepEqual(rateLimit.normalize({ limiter: limiter, maxWait: 0 }), { limiters: [limiter], maxWait: 0 });
+      assert.deepEqual(rateLimit.normalize({ limiter: [limiter] }).limiters, [limiter]);
+    });
+
+    it('should throw if the options are invalid', () => {
+      assert.throws(() => rateLimit.normalize({ limiter: {} }));
+      assert.throws(() => rateLimit.normalize({ limit: 1, interval: 1, maxWait: -1 }));
+    });
+  });
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+var assert = require('assert');
+var Task = require('../../src/task');
+var TaskRegistry = require('../../src/registry');
+
+describe('TaskRegistry', () => {
+  describe('#register', () => {
+    it('should register a Task by its name, or a Task/template by the given name', () => {
+      var registry = new TaskRegistry();
+      var task = new Task('task', () => 1);
+      var template = () => 2;
+      assert.equal(registry.register(task).register('template', template), registry);
+      assert.equal(registry.get('task'), task);
+      assert.equal(registry.get('template'), template);
+      assert.deepEqual(registry.names, ['task', 'template']);
+    });
+
+    it('should throw if the name or the task is invalid', () => {
+      var registry = new TaskRegistry();
+      assert.throws(() => registry.register(''), /non-empty string/);
+      assert.throws(() => registry.register('name', {}), /must be a Task or a template/);
+      assert.throws(() => registry.register({ name: 'name' }), /must be a Task or a template/);
+    });
+
+    it('should throw if the name is already registered', () => {
+      var registry = new TaskRegistry().register('name', () => {});
+      assert.throws(() => registry.register('name', () => {}), /Task "name" is already registered./);
+    });
+  });
+
+  describe('#unregister', () => {
+    it('should remove the task, and return whether it was registered', () => {
+      var registry = new TaskRegistry().register('a', () => {}).register('b', () => {});
+      assert.equal(registry.unregister('a'), true);
+      assert.equal(registry.unregister('a'), false);
+      assert.equal(registry.has('a'), false);
+      assert.equal(registry.get('a'), null);
+      assert.deepEqual(registry.names, ['b']);
+    });
+  });
+
+  describe('#has', () => {
+    it('should not find the properties of Object.prototype', () => {
+      assert.equal(new TaskRegistry().has('toString'), false);
+    });
+  });
+
+  it('should be exported by Task, with a default instance', () => {
+    assert.equal(Task.TaskRegistry, TaskRegistry);
+    assert(Task.registry instanceof TaskRegistry);
+  });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+var assert = require('assert');
+var errors = require('../../src/errors');
+var retryPolicy = require('../../src/retrypolicy');
+
+describe('retryPolicy', () => {
+  describe('.normalize', () => {
+    it('should fill in the defaults', () => {
+      var policy = retryPolicy.normalize();
+      assert.equal(policy.attempts, undefined);
+      assert.equal(policy.backoff, 'constant');
+      assert.equal(policy.minDelay, 0);
+      assert.equal(policy.maxDelay, Infinity);
+      assert.equal(policy.factor, 2);
+      assert.equal(policy.jitter, 'none');
+      assert.equal(policy.timeBudget, Infinity);
+      assert.equal(policy.shouldRetry(new Error('error'), 1), true);
+      assert.doesNotThrow(policy.onRetry);
+    });
+
+    it('should throw if a numeric option is not a non-negative number', () => {
+      ['attempts', 'minDelay', 'maxDelay', 'factor', 'timeBudget'].forEach(key => {
+        var policy = {};
+        policy[key] = '1';
+        assert.throws(retryPolicy.normalize.bind(null, policy));
+        policy[key] = -1;
+        assert.throws(retryPolicy.normalize.bind(null, policy));
+      });
+    });
+
+    it('should throw if backoff or jitter is unknown', () => {
+      assert.throws(retryPolicy.normalize.bind(null, { backoff: 'quadratic' }));
+      assert.throws(retryPolicy.normalize.bind(null, { jitter: 'some' }));
+    });
+
+    it('should throw if shouldRetry or onRetry is not a function', () => {
+      assert.throws(retryPolicy.normalize.bind(null, { shouldRetry: true }));
+      assert.throws(retryPolicy.normalize.bind(null, { onRetry: {} }));
+    });
+  });
+
+  describe('.getDelay', () => {
+    it('should return the same delay for "constant" backoff', () => {
+      var policy = retryPolicy.normalize({ minDelay: 100 });
+      assert.deepEqual([1, 2, 3].map(n => retryPolicy.getDelay(policy, n)), [100, 100, 100]);
+    });
+
+    it('should return a linearly growing delay for "linear" backoff', () => {
+      var policy = retryPolicy.normalize({ backoff: 'linear', minDelay: 100 });
+      assert.deepEqual([1, 2, 3].map(n => retryPolicy.getDelay(policy, n)), [100, 200, 300]);
+    });
+
+    it('should return an exponentially growing delay for "exponential" backoff', () => {
+      var policy = retryPolicy.normalize({ backoff: 'exponential', minDelay: 100, factor: 3 });
+      assert.deepEqual([1, 2, 3].map(n => retryPolicy.getDelay(policy, n)), [100, 300, 900]);
+    });
+
+    it('should not return more than maxDelay', () => {
+      var policy = retryPolicy.normalize({ backoff: 'exponential', minDelay: 100, maxDelay: 250 });
+      assert.deepEqual([1, 2, 3].map(n => retryPolicy.getDelay(policy, n)), [100, 200, 250]);
+    });
+
+    it('should return a delay between 0 and the delay for "full" jitter', () => {
+      var policy = retryPolicy.normalize({ minDelay: 100, jitter: 'full' });
+      for (var i = 0; i < 20; i++) {
+        var delay = retryPolicy.getDelay(policy, 1);
+        assert(delay >= 0 && delay <= 100);
+      }
+    });
+
+    it('should return a delay between half the delay and the delay for "equal" jitter', () => {
+      var policy = retryPolicy.normalize({ minDelay: 100, jitter: 'equal' });
+      for (var i = 0; i < 20; i++) {
+        var delay = retryPolicy.getDelay(policy, 1);
+        assert(delay >= 50 && delay <= 100);
+      }
+    });
+  });
+
+  describe('.createError', () => {
+    it('should return a TaskFailedError with all the attempts and their errors', () => {
+      var run = { id: 1, task: { name: 'name' }, parent: null, attempt: 1, step: null };
+      var attempts = [
+        { attempt: 1, error: 'a', startTime: 0, endTime: 1 },
+        { attempt: 2, error: 'b', startTime: 1, endTime: 2 }
+      ];
+      var error = retryPolicy.createError(run, attempts);
+      assert(error instanceof errors.TaskFailedError);
+      assert.equal(error.message, 'Task "name" failed after 2 attempt(s).');
+      assert.equal(error.attempts, attempts);
+      assert.deepEqual(error.errors, ['a', 'b']);
+      assert.equal(error.cause, 'b');
+    });
+  });
+});
@@ -0,0 +1,208 @@
+'use strict';
+
+var assert = require('assert');
+var Schedule = require('../../src/schedule');
+var Task = require('../../src/task');
+
+function createClock(now) {
+  var timers = [];
+  return {
+    now: () => now,
+    setTimeout: (callback, milliseconds) => {
+      var timer = { time: now + milliseconds, callback: callback };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimeout: timer => {
+      var index = timers.indexOf(timer);
+      if (index !== -1) {
+        timers.splice(index, 1);
+      }
+    },
+    tick: milliseconds => {
+      var end = now + milliseconds;
+      timers.sort((a, b) => a.time - b.time);
+      while (timers.length && timers[0].time <= end) {
+        var timer = timers.shift();
+        now = timer.time;
+        timer.callback();
+        timers.sort((a, b) => a.time - b.time);
+      }
+      now = end;
+    }
+  };
+}
+
+function every(interval) {
+  return function(after) {
+    return (Math.floor(after / interval) + 1) * interval;
+  };
+}
+
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+function advance(clock, milliseconds, step) {
+  var promise = Promise.resolve();
+  for (var time = 0; time < milliseconds; time += step) {
+    promise = promise.then(() => {
+      clock.tick(step);
+      return settle();
+    });
+  }
+  return promise;
+}
+
+describe('Schedule', () => {
+  it('should throw if the options are invalid', () => {
+    var task = Task.create('name', () => {});
+    assert.throws(() => new Schedule(task, every(10), { overlap: 'wait' }));
+    assert.throws(() => new Schedule(task, every(10), { maxRuns: 0 }));
+    assert.throws(() => new Schedule(task, every(10), { startDate: 'tomorrow' }));
+    assert.throws(() => new Schedule(task, every(10), { args: 1 }));
+    assert.throws(() => new Schedule(task, every(10), { clock: {} }));
+  });
+
+  it('should run the task at the scheduled times with the args', () => {
+    var clock = createClock(0);
+    var args = [];
+    var schedule = new Schedule(Task.create('name', (x, done) => { args.push(x); done(); }), every(10), {
+      args: ['x'],
+      clock: clock
+    });
+    assert.equal(schedule.nextRun.getTime(), 10);
+    clock.tick(9);
+    assert.equal(schedule.runCount, 0);
+    return advance(clock, 21, 7).then(() => {
+      assert.equal(schedule.runCount, 3);
+      assert.deepEqual(args, ['x', 'x', 'x']);
+      schedule.stop();
+    });
+  });
+
+  it('should preview the next runs within the end date and the max runs', () => {
+    var clock = createClock(0);
+    var schedule = new Schedule(Task.create('name', () => {}), every(10), { endDate: 40, clock: clock });
+    assert.deepEqual(schedule.nextRuns(10).map(date => date.getTime()), [10, 20, 30, 40]);
+    schedule = new Schedule(Task.create('name', () => {}), every(10), { maxRuns: 2, clock: clock });
+    assert.deepEqual(schedule.nextRuns(10).map(date => date.getTime()), [10, 20]);
+  });
+
+  it('should not run before the start date', () => {
+    var clock = createClock(0);
+    var schedule = new Schedule(Task.create('name', () => {}), every(10), { startDate: new Date(35), clock: clock });
+    assert.deepEqual(schedule.nextRuns(2).map(date => date.getTime()), [40, 50]);
+    schedule.stop();
+  });
+
+  it('should end after the max runs, and emit "end"', () => {
+    var clock = createClock(0);
+    var reasons = [];
+    var schedule = new Schedule(Task.create('name', done => done()), every(10), { maxRuns: 2, clock: clock });
+    schedule.on('end', event => reasons.push(event.reason));
+    return advance(clock, 100, 10).then(() => {
+      assert.equal(schedule.runCount, 2);
+      assert(schedule.isStopped);
+      assert.equal(schedule.nextRun, null);
+      assert.deepEqual(reasons, ['maxRuns']);
+    });
+  });
+
+  it('should end at the end date', () => {
+    var clock = createClock(0);
+    var schedule = new Schedule(Task.create('name', done => done()), every(10), { endDate: 25, clock: clock });
+    var end = null;
+    schedule.on('end', event => { end = event; });
+    return advance(clock, 100, 10).then(() => {
+      assert.equal(schedule.runCount, 2);
+      assert.equal(end.reason, 'endDate');
+      assert.equal(end.schedule, schedule);
+    });
+  });
+
+  it('should emit "end" after it is created if there is no run to schedule', () => {
+    var clock = createClock(100);
+    var schedule = new Schedule(Task.create('name', done => done()), every(10), { endDate: 50, clock: clock });
+    var reasons = [];
+    schedule.on('end', event => reasons.push(event.reason));
+    assert.equal(schedule.isStopped, true);
+    assert.equal(schedule.nextRun, null);
+    assert.deepEqual(reasons, []);
+    clock.tick(0);
+    assert.deepEqual(reasons, ['endDate']);
+  });
+
+  it('should stop scheduling runs when stopped', () => {
+    var clock = createClock(0);
+    var schedule = new Schedule(Task.create('name', done => done()), every(10), { clock: clock });
+    clock.tick(10);
+    schedule.stop();
+    clock.tick(100);
+    assert.equal(schedule.runCount, 1);
+    assert.deepEqual(schedule.nextRuns(1), []);
+  });
+
+  it('should skip the runs which overlap with the previous run by default', () => {
+    var clock = createClock(0);
+    var skipped = [];
+    var schedule = new Schedule(Task.create('name', () => {}), every(10), { clock: clock });
+    schedule.on('skip', event => skipped.push(event.scheduledTime));
+    clock.tick(30);
+    assert.equal(schedule.runCount, 1);
+    assert.deepEqual(skipped, [20, 30]);
+    schedule.running[0].cancel();
+    schedule.stop();
+  });
+
+  it('should queue the runs which overlap with the previous run if overlap is "queue"', () => {
+    var clock = createClock(0);
+    var finish = [];
+    var schedule = new Schedule(Task.create('name', done => { finish.push(done); }), every(10), {
+      overlap: 'queue',
+      maxRuns: 3,
+      clock: clock
+    });
+    var scheduledTimes = [];
+    schedule.on('run', event => scheduledTimes.push(event.scheduledTime));
+    clock.tick(30);
+    assert.equal(schedule.runCount, 1);
+    finish[0]();
+    return settle().then(() => {
+      assert.equal(schedule.runCount, 2);
+      finish[1]();
+      return settle();
+    }).then(() => {
+      assert.equal(schedule.runCount, 3);
+      assert.deepEqual(scheduledTimes, [10, 20, 30]);
+      finish[2]();
+    });
+  });
+
+  it('should cancel the previous run if overlap is "cancel"', () => {
+    var clock = createClock(0);
+    var schedule = new Schedule(Task.create('name', () => {}), every(10), { overlap: 'cancel', clock: clock });
+    clock.tick(10);
+    var first = schedule.running[0];
+    clock.tick(10);
+    assert.equal(schedule.runCount, 2);
+    assert.equal(first.status, 'canceled');
+    schedule.running.forEach(run => run.cancel());
+    schedule.stop();
+    return first.promise.catch(error => assert(error instanceof Task.CanceledError));
+  });
+
+  it('should wait in steps for times too far for setTimeout()', () => {
+    var clock = createClock(0);
+    var delays = [];
+    var setTimeout = clock.setTimeout;
+    clock.setTimeout = (callback, milliseconds) => {
+      delays.push(milliseconds);
+      return setTimeout(callback, milliseconds);
+    };
+    var schedule = new Schedule(Task.create('name', done => done()), every(3000000000), { maxRuns: 1, clock: clock });
+    clock.tick(3000000000);
+    assert.deepEqual(delays, [2147483647, 3000000000 - 2147483647]);
+    assert.equal(schedule.runCount, 1);
+  });
+});
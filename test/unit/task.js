@@ -1,8 +1,25 @@
 'use strict';
 
 var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var stream = require('stream');
 var Task = require('../../src/task');
 
+// fs.rmSync() needs Node 14.14.
+function removeDirectory(directory) {
+  fs.readdirSync(directory).forEach(name => {
+    var file = path.join(directory, name);
+    if (fs.statSync(file).isDirectory()) {
+      removeDirectory(file);
+    } else {
+      fs.unlinkSync(file);
+    }
+  });
+  fs.rmdirSync(directory);
+}
+
 describe('Task', () => {
   describe('#constructor', () => {
     it('should return a Task', () => {
@@ -57,7 +74,7 @@ describe('Task', () => {
         var task = new Task('name', (done, failed) => { setTimeout(failed.bind(null, 'failed')); });
         task.timeout(1000, 'timeout');
         return task.do().then(reject).catch(reason => {
-          assert.equal(reason, 'failed');
+          assert.equal(reason.reason, 'failed');
           resolve();
         });
       });
@@ -89,6 +106,53 @@ describe('Task', () => {
         });
       });
     });
+
+    it('should return a Promise with an onProgress() method', () => {
+      var fractions = [];
+      var task = new Task('name', function(done) {
+        setTimeout(() => { this.reportProgress(0.5); done('done'); });
+      });
+      var promise = task.do();
+      assert.equal(promise.onProgress(fraction => fractions.push(fraction)), promise);
+      return promise.then(result => {
+        assert.equal(result, 'done');
+        assert.deepEqual(fractions, [0.5]);
+      });
+    });
+  });
+
+  describe('#run', () => {
+    it('should return a TaskRun', () => {
+      var task = new Task('name', done => done());
+      var run = task.run();
+      assert(run instanceof Task.TaskRun);
+      assert.equal(run.task, task);
+      return run.promise;
+    });
+
+    it('should pass the arguments to the template', () => {
+      var task = new Task('name', (a, b, done) => done(a + b));
+      var run = task.run(1, 2);
+      assert.deepEqual(run.args, [1, 2]);
+      return run.promise.then(result => assert.equal(result, 3));
+    });
+
+    it('should call the template with the TaskRun as "this"', () => {
+      var self = null;
+      var run = new Task('name', function(done) { self = this; done(); }).run();
+      assert.equal(self, run);
+      return run.promise;
+    });
+
+    it('should return a different TaskRun for each call', () => {
+      var task = new Task('name', (x, done) => { setTimeout(done.bind(null, x)); });
+      var run1 = task.run(1);
+      var run2 = task.run(2);
+      assert.notEqual(run1, run2);
+      return Promise.all([run1.promise, run2.promise]).then(results => {
+        assert.deepEqual(results, [1, 2]);
+      });
+    });
   });
 
   describe('#cancel', () => {
@@ -116,21 +180,240 @@ describe('Task', () => {
 
     it('should return true when called after #do() but before completed', () => {
       var task = new Task('name', () => {});
-      task.do();
+      var promise = task.do();
       assert.equal(task.cancel(), true);
+      return promise.then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.CanceledError);
+      });
     });
 
     it('should reject the Promise returned by #do()', () => {
       return new Promise((resolve, reject) => {
         var task = new Task('name', (done, failed) => { setTimeout(done); });
         task.do().then(reject).catch(reason => {
-          assert.equal(reason, 'canceled');
+          assert.equal(reason.reason, 'canceled');
           assert.equal(task.cancel(), false);
           resolve();
         });
         task.cancel('canceled');
       });
     });
+
+    it('should reject the Promises of all active runs', () => {
+      var task = new Task('name', (done, failed) => { setTimeout(done); });
+      var promises = [task.do(), task.do()].map(promise => {
+        return promise.then(() => assert(false)).catch(reason => {
+          assert.equal(reason.reason, 'canceled');
+        });
+      });
+      assert.equal(task.cancel('canceled'), true);
+      return Promise.all(promises);
+    });
+  });
+
+  describe('#withSignal', () => {
+    before(function() {
+      if (typeof AbortController !== 'function') {
+        this.skip();
+      }
+    });
+
+    it('should throw if the argument is not an AbortSignal', () => {
+      var task = new Task('name', () => {});
+      assert.throws(task.withSignal.bind(task));
+      assert.throws(task.withSignal.bind(task, {}));
+    });
+
+    it('should return a Task with the same name and template', () => {
+      var task = new Task('name', () => {});
+      var view = task.withSignal(new AbortController().signal);
+      assert(view instanceof Task);
+      assert.equal(view.name, task.name);
+      assert.equal(view.template, task.template);
+    });
+
+    it('should cancel the runs when the signal is aborted', () => {
+      var controller = new AbortController();
+      var cleanupReason = null;
+      var run = new Task('name', function() {
+        this.onCancel(reason => { cleanupReason = reason; });
+      }).withSignal(controller.signal).run();
+      controller.abort('aborted');
+      return run.promise.then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'aborted');
+        assert.equal(cleanupReason, reason);
+        assert.equal(run.signal.aborted, true);
+      });
+    });
+
+    it('should not start the template if the signal is already aborted', () => {
+      var started = false;
+      var controller = new AbortController();
+      controller.abort('aborted');
+      var run = new Task('name', () => { started = true; }).withSignal(controller.signal).run();
+      return run.promise.then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'aborted');
+        assert.equal(started, false);
+      });
+    });
+
+    it('should stop listening to the signal once the run settles', () => {
+      var controller = new AbortController();
+      var run = new Task('name', done => done(1)).withSignal(controller.signal).run();
+      return run.promise.then(result => {
+        controller.abort('aborted');
+        assert.equal(result, 1);
+        assert.equal(run.status, 'done');
+      });
+    });
+
+    it('should share the active runs with the Task', () => {
+      var task = new Task('name', () => {});
+      var promise = task.withSignal(new AbortController().signal).do();
+      assert.equal(task.cancel('canceled'), true);
+      return promise.then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'canceled');
+      });
+    });
+  });
+
+  describe('#memoize', () => {
+    function countingTask(calls) {
+      return new Task('name', (x, done, failed) => {
+        calls.push(x);
+        setTimeout(() => (x < 0 ? failed : done)(x * 2), 5);
+      });
+    }
+
+    it('should return a Task', () => {
+      assert(new Task('name', () => {}).memoize() instanceof Task);
+    });
+
+    it('should cache the result per key', () => {
+      var calls = [];
+      var task = countingTask(calls).memoize();
+      return task.do(1).then(result => {
+        assert.equal(result, 2);
+        return task.do(1);
+      }).then(result => {
+        assert.equal(result, 2);
+        return task.do(2);
+      }).then(result => {
+        assert.equal(result, 4);
+        assert.deepEqual(calls, [1, 2]);
+      });
+    });
+
+    it('should share a single run between concurrent runs with the same key', () => {
+      var calls = [];
+      var task = countingTask(calls).memoize({ key: args => 'same' });
+      return Promise.all([task.do(1), task.do(2)]).then(results => {
+        assert.deepEqual(results, [2, 2]);
+        assert.deepEqual(calls, [1]);
+      });
+    });
+
+    it('should run the Task again once the result expires', () => {
+      var calls = [];
+      var task = countingTask(calls).memoize({ ttl: 10 });
+      return task.do(1).then(() => new Promise(resolve => setTimeout(resolve, 20)))
+        .then(() => task.do(1))
+        .then(() => assert.deepEqual(calls, [1, 1]));
+    });
+
+    it('should not cache failures unless negativeTtl is set', () => {
+      var calls = [];
+      var task = countingTask(calls).memoize();
+      var negative = countingTask(calls).memoize({ negativeTtl: 1000 });
+      return task.do(-1).catch(() => task.do(-1)).then(() => assert(false)).catch(error => {
+        assert.equal(error.reason, -2);
+        assert.deepEqual(calls, [-1, -1]);
+        return negative.do(-2).catch(() => negative.do(-2));
+      }).then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.TaskFailedError);
+        assert.deepEqual(calls, [-1, -1, -2]);
+      });
+    });
+
+    it('should cancel the shared run only when all the runs sharing it are canceled', () => {
+      var inner = null;
+      var task = new Task('name', function() { inner = this; }).memoize({ key: () => 'same' });
+      var run1 = task.run();
+      var run2 = task.run();
+      run1.promise.catch(() => {});
+      run2.promise.catch(() => {});
+      return Promise.resolve().then(() => {
+        run1.cancel('canceled');
+        assert.equal(inner.status, 'pending');
+        run2.cancel('canceled');
+        assert.equal(inner.status, 'canceled');
+        return inner.promise.then(() => assert(false)).catch(error => assert.equal(error.reason, 'canceled'));
+      });
+    });
+
+    it('should invalidate a key and clear all the keys', () => {
+      var calls = [];
+      var task = countingTask(calls).memoize({ key: args => String(args[0]) });
+      return Promise.all([task.do(1), task.do(2)])
+        .then(() => task.invalidate('1'))
+        .then(() => Promise.all([task.do(1), task.do(2)]))
+        .then(() => {
+          assert.deepEqual(calls, [1, 2, 1]);
+          return task.clear();
+        })
+        .then(() => Promise.all([task.do(1), task.do(2)]))
+        .then(() => assert.deepEqual(calls, [1, 2, 1, 1, 2]));
+    });
+
+    it('should not cache the result of a run which was in flight when invalidated', () => {
+      var calls = [];
+      var task = countingTask(calls).memoize();
+      var promise = task.do(1);
+      setTimeout(() => task.invalidate('[1]'), 1);
+      return promise.then(() => task.do(1)).then(() => assert.deepEqual(calls, [1, 1]));
+    });
+
+    it('should use the given store, which can be asynchronous', () => {
+      var entries = {};
+      var store = {
+        get: key => Promise.resolve(entries[key]),
+        set: (key, entry) => { entries[key] = JSON.parse(JSON.stringify(entry)); },
+        delete: key => { delete entries[key]; },
+        clear: () => { entries = {}; }
+      };
+      var calls = [];
+      var task = countingTask(calls).memoize({ store: store });
+      assert.equal(task.store, store);
+      return task.do(3).then(() => task.do(3)).then(result => {
+        assert.equal(result, 6);
+        assert.deepEqual(entries['[3]'], { failed: false, value: 6, expires: null });
+        assert.deepEqual(calls, [3]);
+      });
+    });
+
+    it('should not start the task if the run is canceled while reading the store', () => {
+      var store = {
+        get: () => new Promise(resolve => setTimeout(resolve, 5)),
+        set: () => {},
+        delete: () => {},
+        clear: () => {}
+      };
+      var calls = [];
+      var task = countingTask(calls).memoize({ store: store });
+      var run = task.run(1);
+      run.cancel('canceled');
+      return run.promise.then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'canceled');
+        return new Promise(resolve => setTimeout(resolve, 10));
+      }).then(() => assert.deepEqual(calls, []));
+    });
+
+    it('should evict the least recently used result once there are maxEntries', () => {
+      var calls = [];
+      var task = countingTask(calls).memoize({ maxEntries: 1 });
+      return task.do(1).then(() => task.do(2)).then(() => task.do(1))
+        .then(() => assert.deepEqual(calls, [1, 2, 1]));
+    });
   });
 
   describe('#timeout', () => {
@@ -158,7 +441,7 @@ describe('Task', () => {
         var task = new Task('name', done => { setTimeout(done, 100); });
         task.timeout(0, 'timeout');
         task.do().then(reject).catch(reason => {
-          assert.equal(reason, 'timeout');
+          assert.equal(reason.reason, 'timeout');
           resolve();
         });
       });
@@ -169,7 +452,7 @@ describe('Task', () => {
         var task = new Task('name', (done, failed) => { setTimeout(failed, 100); });
         task.timeout(0, 'timeout');
         task.do().then(reject).catch(reason => {
-          assert.equal(reason, 'timeout');
+          assert.equal(reason.reason, 'timeout');
           resolve();
         });
       });
@@ -190,6 +473,116 @@ describe('Task', () => {
       });
 
     });
+
+    it('should time out every subsequent run', () => {
+      var task = new Task('name', done => { setTimeout(done, 100); });
+      task.timeout(0, 'timeout');
+      return task.do().then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'timeout');
+        return task.do();
+      }).then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'timeout');
+      });
+    });
+
+    it('should time out concurrent runs independently', () => {
+      var task = new Task('name', (ms, done) => { setTimeout(done.bind(null, ms), ms); });
+      task.timeout(50, 'timeout');
+      return Promise.all([
+        task.do(0),
+        task.do(100).then(() => assert(false)).catch(reason => {
+          assert.equal(reason.reason, 'timeout');
+        })
+      ]);
+    });
+  });
+
+  describe('events', () => {
+    it('should emit "start" and "done" on the Task and on the global Task hub', () => {
+      var task = new Task('name', (x, done) => done(x + 1));
+      var events = [];
+      var hubListener = event => events.push(['hub', event.type, event.name]);
+      task.on('start', event => events.push(['task', event.type, event.args]));
+      task.on('done', event => events.push(['task', event.type, event.result, typeof event.duration]));
+      Task.on('start', hubListener);
+      Task.on('done', hubListener);
+      var run = task.run(1);
+      return run.promise.then(() => {
+        Task.off('start', hubListener);
+        Task.off('done', hubListener);
+        assert.deepEqual(events, [
+          ['task', 'start', [1]],
+          ['hub', 'start', 'name'],
+          ['task', 'done', 2, 'number'],
+          ['hub', 'done', 'name']
+        ]);
+      });
+    });
+
+    it('should emit events with the task name and run id', () => {
+      var task = new Task('name', done => done());
+      var event = null;
+      task.once('done', _event => { event = _event; });
+      var run = task.run();
+      return run.promise.then(() => {
+        assert.equal(event.type, 'done');
+        assert.equal(event.name, 'name');
+        assert.equal(event.task, task);
+        assert.equal(event.runId, run.id);
+        assert.equal(event.run, run);
+        assert.equal(event.parentRunId, null);
+        assert.equal(typeof event.timestamp, 'number');
+      });
+    });
+
+    it('should emit "failed" with the reason', () => {
+      var task = new Task('name', (done, failed) => failed('error'));
+      var reason = null;
+      task.on('failed', event => { reason = event.reason; });
+      return task.do().then(() => assert(false)).catch(error => assert.equal(reason, error));
+    });
+
+    it('should emit "timeout" and then "canceled" when a run times out', () => {
+      var task = new Task('name', () => {});
+      var events = [];
+      task.on('timeout', event => events.push([event.type, event.reason, event.milliseconds]));
+      task.on('canceled', event => events.push([event.type, event.reason.reason]));
+      task.timeout(0, 'timeout');
+      return task.do().then(() => assert(false)).catch(() => {
+        assert.deepEqual(events, [['timeout', 'timeout', 0], ['canceled', 'timeout']]);
+      });
+    });
+
+    it('should emit "retry" from Task.try', () => {
+      var task = Task.try('try', function(done, failed) {
+        (this.attempt === 3 ? done : failed)(this.attempt);
+      }, { attempts: 3 });
+      var events = [];
+      task.on('retry', event => events.push([event.attempt, event.error.reason, event.delay]));
+      return task.do().then(() => assert.deepEqual(events, [[1, 1, 0], [2, 2, 0]]));
+    });
+
+    it('should emit "step" from Task.sequence', () => {
+      var seq = Task.sequence('seq', [(x, done) => done(x + 1), (x, done) => done(x + 1)]);
+      var events = [];
+      seq.on('step', event => events.push([event.index, event.count, event.child.parent === event.run]));
+      return seq.do(0).then(() => assert.deepEqual(events, [[0, 2, true], [1, 2, true]]));
+    });
+
+    it('should emit "step" from Task.map', () => {
+      var map = Task.map('map', (x, done) => done(x));
+      var events = [];
+      map.on('step', event => events.push([event.index, event.count, event.child.args]));
+      return map.do(['a', 'b']).then(() => assert.deepEqual(events, [[0, 2, ['a']], [1, 2, ['b']]]));
+    });
+
+    it('should emit events of child runs with the parent run id', () => {
+      var child = new Task('child', done => done());
+      var parentRunIds = [];
+      child.on('start', event => parentRunIds.push(event.parentRunId));
+      var run = Task.sequence('seq', [child]).run();
+      return run.promise.then(() => assert.deepEqual(parentRunIds, [run.id]));
+    });
   });
 
   describe('.create', () => {
@@ -266,6 +659,57 @@ describe('Task', () => {
         ]).do().then(failed).catch(done);
       });
     });
+
+    it('should be reusable', () => {
+      var seq = Task.sequence('seq', [(arg, done) => done(arg + 1)]);
+      return seq.do(1).then(res => {
+        assert.equal(res, 2);
+        return seq.do(2);
+      }).then(res => assert.equal(res, 3));
+    });
+
+    it('should cancel the running task and not run the remaining tasks when canceled', () => {
+      var steps = [];
+      var childRun = null;
+      var seq = Task.sequence('seq', [
+        done => { steps.push(1); done(); },
+        function() {
+          steps.push(2);
+          childRun = this;
+          setTimeout(() => seq.cancel('canceled'));
+        },
+        done => { steps.push(3); done(); }
+      ]);
+      return seq.do().then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'canceled');
+        return childRun.promise;
+      }).then(() => assert(false)).catch(reason => {
+        assert.equal(reason.message, 'Canceled by parent task "seq".');
+        assert.equal(reason.reason, 'canceled');
+        assert.deepEqual(steps, [1, 2]);
+      });
+    });
+
+    it('should throw if the weights are invalid', () => {
+      assert.throws(Task.sequence.bind(Task, 'name', [() => {}, () => {}], { weights: [1] }));
+      assert.throws(Task.sequence.bind(Task, 'name', [() => {}], { weights: [-1] }));
+    });
+
+    it('should report the progress of the steps as a weighted fraction', () => {
+      var reports = [];
+      var step = function(x, done) {
+        setTimeout(() => { this.reportProgress(0.5, 'half'); setTimeout(() => done(x)); });
+      };
+      var task = Task.sequence('name', [step, step], { weights: [3, 1] });
+      return task.do(1).onProgress((fraction, detail) => reports.push([fraction, detail.index, detail.detail])).then(() => {
+        assert.deepEqual(reports, [
+          [0.375, 0, 'half'],
+          [0.75, 0, undefined],
+          [0.875, 1, 'half'],
+          [1, 1, undefined]
+        ]);
+      });
+    });
   });
 
   describe('.parallel', () => {
@@ -308,6 +752,37 @@ describe('Task', () => {
       ]).do(1, [2, 3]).then(results => assert.deepEqual(results, [2, 7, 3]));
     });
 
+    it('should throw if the options are invalid', () => {
+      assert.throws(Task.parallel.bind(Task, 'parallel', [() => {}], { concurrency: -1 }));
+    });
+
+    it('should not run more tasks at a time than the given concurrency', () => {
+      var active = 0;
+      var maxActive = 0;
+      var template = (arg, done) => {
+        maxActive = Math.max(maxActive, ++active);
+        setTimeout(() => { active--; done(arg); }, 5);
+      };
+      return Task.parallel('parallel', [template, template, template], {
+        concurrency: 2
+      }).do(1, 2, 3).then(results => {
+        assert.deepEqual(results, [1, 2, 3]);
+        assert.equal(maxActive, 2);
+      });
+    });
+
+    it('should resolve the Promise with the outcome of every task in settled mode', () => {
+      return Task.parallel('parallel', [
+        Task.create('task1', done => done(1)),
+        Task.create('task2', (done, failed) => failed('error'))
+      ], { settled: true }).do().then(results => {
+        assert.deepEqual(results[0], { status: 'fulfilled', value: 1 });
+        assert.equal(results[1].status, 'rejected');
+        assert(results[1].reason instanceof Task.TaskFailedError);
+        assert.equal(results[1].reason.reason, 'error');
+      });
+    });
+
     it('should reject the Promise if any one of the tasks fail', () => {
       return new Promise((resolve, reject) => {
         return Task.parallel('parallel', [
@@ -317,6 +792,276 @@ describe('Task', () => {
         ]).do().then(reject).catch(resolve);
       });
     });
+
+    it('should cancel all the running tasks when canceled', () => {
+      var tasks = [Task.create('task1', () => {}), Task.create('task2', () => {})];
+      var parallel = Task.parallel('parallel', tasks);
+      var promise = parallel.do();
+      var childPromises = tasks.map(task => task._runs[0].promise);
+      parallel.cancel('canceled');
+      return promise.then(() => assert(false)).catch(() => {
+        return Promise.all(childPromises.map(childPromise => {
+          return childPromise.then(() => assert(false)).catch(reason => {
+            assert.equal(reason.message, 'Canceled by parent task "parallel".');
+          });
+        }));
+      });
+    });
+
+    it('should report the progress of the tasks as a weighted fraction', () => {
+      var fractions = [];
+      var finish = [];
+      var template = function(done) { this.reportProgress(0.5); finish.push(done); };
+      var run = Task.parallel('name', [template, template], { weights: [1, 3] }).run();
+      run.onProgress(fraction => fractions.push(fraction));
+      assert.equal(run.progress, 0.5);
+      finish[1]();
+      return new Promise(resolve => setTimeout(resolve)).then(() => {
+        assert.deepEqual(fractions, [0.875]);
+        finish[0]();
+        return run.promise;
+      }).then(() => assert.deepEqual(fractions, [0.875, 1]));
+    });
+  });
+
+  describe('.race', () => {
+    it('should throw if the first argument is not a string', () => {
+      assert.throws(Task.race.bind(Task, 1, [() => {}]));
+    });
+
+    it('should throw if the second argument is not a non-empty array of Tasks/templates', () => {
+      assert.throws(Task.race.bind(Task, 'race'));
+      assert.throws(Task.race.bind(Task, 'race', []));
+      assert.throws(Task.race.bind(Task, 'race', [{}]));
+    });
+
+    it('should resolve the Promise with the result of the first task to be done', () => {
+      return Task.race('race', [
+        (ms, done) => { setTimeout(done.bind(null, 'slow'), ms); },
+        (ms, done) => { setTimeout(done.bind(null, 'fast'), ms); }
+      ]).do(30, 0).then(result => assert.equal(result, 'fast'));
+    });
+
+    it('should reject the Promise if the first task to settle fails', () => {
+      return Task.race('race', [
+        (done, failed) => { setTimeout(failed.bind(null, 'error')); },
+        done => { setTimeout(done, 30); }
+      ]).do().then(() => assert(false)).catch(reason => assert.equal(reason.reason, 'error'));
+    });
+
+    it('should cancel the losing tasks', () => {
+      var loser = null;
+      return Task.race('race', [
+        function() { loser = this; },
+        done => { setTimeout(done.bind(null, 1)); }
+      ]).do().then(result => {
+        assert.equal(result, 1);
+        assert.equal(loser.status, 'canceled');
+        return loser.promise;
+      }).then(() => assert(false)).catch(reason => {
+        assert.equal(reason.message, 'Canceled after task "anonymous" won.');
+        assert.equal(reason.reason, 1);
+      });
+    });
+
+    it('should cancel all the tasks when canceled', () => {
+      var runs = [];
+      var race = Task.race('race', [
+        function() { runs.push(this); },
+        function() { runs.push(this); }
+      ]);
+      var promise = race.do();
+      race.cancel('canceled');
+      return promise.then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'canceled');
+        runs.forEach(run => assert.equal(run.status, 'canceled'));
+        return Promise.all(runs.map(run => run.promise.catch(() => {})));
+      });
+    });
+  });
+
+  describe('.any', () => {
+    it('should throw if the second argument is not a non-empty array of Tasks/templates', () => {
+      assert.throws(Task.any.bind(Task, 'any', []));
+      assert.throws(Task.any.bind(Task, 1, [() => {}]));
+    });
+
+    it('should resolve the Promise with the result of the first task to be done', () => {
+      return Task.any('any', [
+        (done, failed) => failed('error'),
+        (ms, done) => { setTimeout(done.bind(null, 'slow'), ms); },
+        (ms, done) => { setTimeout(done.bind(null, 'fast'), ms); }
+      ]).do([], 30, 0).then(result => assert.equal(result, 'fast'));
+    });
+
+    it('should cancel the remaining tasks once a task is done', () => {
+      var loser = null;
+      return Task.any('any', [
+        function() { loser = this; },
+        done => { setTimeout(done); }
+      ]).do().then(() => {
+        assert.equal(loser.status, 'canceled');
+        return loser.promise.catch(() => {});
+      });
+    });
+
+    it('should reject the Promise with all the reasons if all the tasks fail', () => {
+      return Task.any('any', [
+        (done, failed) => { setTimeout(failed.bind(null, 'error1'), 10); },
+        (done, failed) => failed('error2')
+      ]).do().then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.TaskFailedError);
+        assert.equal(error.message, 'Task "any" failed: all the tasks failed.');
+        assert.deepEqual(error.errors.map(e => e.reason), ['error1', 'error2']);
+        assert.deepEqual(error.cause.errors, error.errors);
+        if (typeof AggregateError === 'function') {
+          assert(error.cause instanceof AggregateError);
+        }
+      });
+    });
+  });
+
+  describe('.allSettled', () => {
+    it('should return a Task', () => {
+      assert(Task.allSettled('allSettled', [() => {}]) instanceof Task);
+    });
+
+    it('should resolve the Promise with the outcome of every task', () => {
+      return Task.allSettled('allSettled', [
+        (arg, done) => done(arg),
+        (arg, done, failed) => failed(arg)
+      ], { concurrency: 1 }).do(1, 2).then(results => {
+        assert.deepEqual(results[0], { status: 'fulfilled', value: 1 });
+        assert.equal(results[1].status, 'rejected');
+        assert.equal(results[1].reason.reason, 2);
+      });
+    });
+  });
+
+  describe('.graph', () => {
+    it('should throw if the first argument is not a string', () => {
+      assert.throws(Task.graph.bind(Task, 1, {}));
+    });
+
+    it('should throw if the second argument is not an object of nodes', () => {
+      assert.throws(Task.graph.bind(Task, 'graph'));
+      assert.throws(Task.graph.bind(Task, 'graph', []));
+      assert.throws(Task.graph.bind(Task, 'graph', { a: { task: {} } }));
+      assert.throws(Task.graph.bind(Task, 'graph', { a: { task: () => {}, deps: 'b' } }));
+    });
+
+    it('should throw if a node depends on an unknown node or there is a cycle', () => {
+      assert.throws(Task.graph.bind(Task, 'graph', { a: { task: () => {}, deps: ['b'] } }));
+      assert.throws(Task.graph.bind(Task, 'graph', {
+        a: { task: () => {}, deps: ['b'] },
+        b: { task: () => {}, deps: ['a'] }
+      }));
+    });
+
+    it('should throw if concurrency is invalid', () => {
+      assert.throws(Task.graph.bind(Task, 'graph', {}, { concurrency: 0 }));
+    });
+
+    it('should resolve the Promise with an empty object if there are no nodes', () => {
+      return Task.graph('graph', {}).do().then(results => assert.deepEqual(results, {}));
+    });
+
+    it('should run each node with the results of its dependencies', () => {
+      return Task.graph('graph', {
+        sum: { task: (a, b, done) => done(a + b), deps: ['one', 'two'] },
+        one: { task: (x, done) => { setTimeout(done.bind(null, x)); } },
+        two: { task: Task.create('two', (x, done) => done(x * 2)) },
+        double: { task: (sum, done) => done(sum * 2), deps: ['sum'] }
+      }).do(1).then(results => assert.deepEqual(results, {
+        one: 1,
+        two: 2,
+        sum: 3,
+        double: 6
+      }));
+    });
+
+    it('should run each node as soon as its dependencies are done', () => {
+      var started = [];
+      var node = (name, ms) => function() {
+        started.push(name);
+        setTimeout(arguments[arguments.length - 2], ms);
+      };
+      return Task.graph('graph', {
+        slow: { task: node('slow', 40) },
+        fast: { task: node('fast', 0) },
+        afterFast: { task: node('afterFast', 0), deps: ['fast'] },
+        afterBoth: { task: node('afterBoth', 0), deps: ['slow', 'fast'] }
+      }).do().then(() => {
+        assert.deepEqual(started, ['slow', 'fast', 'afterFast', 'afterBoth']);
+      });
+    });
+
+    it('should not run more nodes at a time than the given concurrency', () => {
+      var active = 0;
+      var maxActive = 0;
+      var template = function() {
+        var done = arguments[arguments.length - 2];
+        maxActive = Math.max(maxActive, ++active);
+        setTimeout(() => { active--; done(); }, 5);
+      };
+      return Task.graph('graph', {
+        a: { task: template },
+        b: { task: template },
+        c: { task: template },
+        d: { task: template, deps: ['a'] }
+      }, { concurrency: 2 }).do().then(results => {
+        assert.deepEqual(Object.keys(results).sort(), ['a', 'b', 'c', 'd']);
+        assert.equal(maxActive, 2);
+      });
+    });
+
+    it('should reject the Promise and cancel the running nodes on the first failure', () => {
+      var slowRun = null;
+      var dependentStarted = false;
+      return Task.graph('graph', {
+        slow: { task: function() { slowRun = this; } },
+        broken: { task: (done, failed) => { setTimeout(failed.bind(null, 'error')); } },
+        dependent: { task: () => { dependentStarted = true; }, deps: ['broken'] }
+      }).do().then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'error');
+        assert.equal(slowRun.status, 'canceled');
+        assert.equal(dependentStarted, false);
+        return slowRun.promise.catch(() => {});
+      });
+    });
+
+    it('should keep running independent nodes if failFast is false', () => {
+      return Task.graph('graph', {
+        broken: { task: (done, failed) => failed('error') },
+        dependent: { task: (broken, done) => done(), deps: ['broken'] },
+        transitive: { task: (dependent, done) => done(), deps: ['dependent'] },
+        independent: { task: done => { setTimeout(done.bind(null, 1), 10); } }
+      }, { failFast: false }).do().then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.TaskFailedError);
+        assert.equal(error.message, 'Task "graph" failed at node(s): broken.');
+        assert.equal(error.errors.broken.reason, 'error');
+        assert.equal(error.errors.broken.step, 'broken');
+        assert.deepEqual(error.results, { independent: 1 });
+        assert.deepEqual(error.skipped.sort(), ['dependent', 'transitive']);
+      });
+    });
+
+    it('should cancel all the running nodes when canceled', () => {
+      var runs = [];
+      var task = Task.graph('graph', {
+        a: { task: function() { runs.push(this); } },
+        b: { task: function() { runs.push(this); } },
+        c: { task: function() { runs.push(this); }, deps: ['a'] }
+      });
+      var promise = task.do();
+      task.cancel('canceled');
+      return promise.then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'canceled');
+        assert.equal(runs.length, 2);
+        runs.forEach(run => assert.equal(run.status, 'canceled'));
+        return Promise.all(runs.map(run => run.promise.catch(() => {})));
+      });
+    });
   });
 
   describe('.try', () => {
@@ -358,6 +1103,150 @@ describe('Task', () => {
         Task.try('try', done => done()).do('10').then(reject).catch(resolve);
       });
     });
+
+    it('should reject the Promise with every attempt\'s error', () => {
+      var tries = 0;
+      return Task.try('try', (done, failed) => failed(++tries)).do(3).then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.TaskFailedError);
+        assert.equal(error.message, 'Task "try" failed after 3 attempt(s).');
+        assert.deepEqual(error.errors.map(e => e.reason), [1, 2, 3]);
+        assert.deepEqual(error.errors.map(e => e.attempt), [1, 2, 3]);
+        assert.equal(error.cause, error.errors[2]);
+        assert.equal(error.reason, 3);
+        assert.deepEqual(error.attempts.map(attempt => attempt.attempt), [1, 2, 3]);
+        error.attempts.forEach(attempt => {
+          assert.equal(typeof attempt.startTime, 'number');
+          assert(attempt.endTime >= attempt.startTime);
+        });
+      });
+    });
+
+    it('should throw if the retry policy is invalid', () => {
+      assert.throws(Task.try.bind(Task, 'try', () => {}, { attempts: 'many' }));
+      assert.throws(Task.try.bind(Task, 'try', () => {}, { backoff: 'random' }));
+    });
+
+    it('should make the attempt number available to the template', () => {
+      var attempts = [];
+      return Task.try('try', function(done, failed) {
+        attempts.push(this.attempt);
+        (this.attempt === 3 ? done : failed)();
+      }).do(5).then(() => assert.deepEqual(attempts, [1, 2, 3]));
+    });
+
+    context('when the retry policy has the number of attempts', () => {
+      it('should pass all the arguments of Task#do() to the template', () => {
+        return Task.try('try', (a, b, done) => done(a + b), { attempts: 2 }).do(1, 2).then(result => {
+          assert.equal(result, 3);
+        });
+      });
+
+      it('should not try more than the given number of attempts', () => {
+        var tries = 0;
+        return Task.try('try', (done, failed) => failed(++tries), { attempts: 2 }).do().then(() => assert(false)).catch(error => {
+          assert.deepEqual(error.errors.map(e => e.reason), [1, 2]);
+        });
+      });
+    });
+
+    it('should wait between attempts as per the backoff', () => {
+      var times = [];
+      return Task.try('try', (done, failed) => {
+        times.push(new Date().getTime());
+        failed();
+      }, { attempts: 3, backoff: 'linear', minDelay: 50 }).do().then(() => assert(false)).catch(() => {
+        assert(times[1] - times[0] >= 45);
+        assert(times[2] - times[1] >= 95);
+      });
+    });
+
+    it('should not retry if shouldRetry() returns false', () => {
+      var calls = [];
+      return Task.try('try', (done, failed) => failed('fatal'), {
+        attempts: 5,
+        shouldRetry: (error, attempt) => { calls.push([error.reason, attempt]); return false; }
+      }).do().then(() => assert(false)).catch(error => {
+        assert.deepEqual(calls, [['fatal', 1]]);
+        assert.deepEqual(error.errors.map(e => e.reason), ['fatal']);
+      });
+    });
+
+    it('should call onRetry() before every retry', () => {
+      var calls = [];
+      return Task.try('try', function(done, failed) {
+        (this.attempt === 3 ? done : failed)(this.attempt);
+      }, {
+        attempts: 5,
+        minDelay: 10,
+        onRetry: (error, attempt, delay) => calls.push([error.reason, attempt, delay])
+      }).do().then(() => assert.deepEqual(calls, [[1, 1, 10], [2, 2, 10]]));
+    });
+
+    it('should not retry once the time budget is exhausted', () => {
+      var tries = 0;
+      return Task.try('try', (done, failed) => failed(++tries), {
+        attempts: 10,
+        minDelay: 40,
+        timeBudget: 100
+      }).do().then(() => assert(false)).catch(error => {
+        assert(error.errors.length < 4);
+      });
+    });
+
+    it('should not keep a cancel callback for every retry', () => {
+      var cleanups = [];
+      var task = Task.try('try', function(done, failed) {
+        cleanups.push(this.parent._cleanups.length);
+        failed('error');
+      }, { attempts: 4, minDelay: 1 });
+      return task.do().then(() => assert(false)).catch(() => {
+        assert.equal(cleanups.length, 4);
+        assert.equal(new Set(cleanups).size, 1);
+      });
+    });
+
+    it('should not retry if canceled while waiting to retry', () => {
+      var tries = 0;
+      var task = Task.try('try', (done, failed) => failed(++tries), { attempts: 3, minDelay: 20 });
+      var promise = task.do();
+      setTimeout(() => task.cancel('canceled'), 5);
+      return promise.then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'canceled');
+        return new Promise(resolve => setTimeout(resolve, 40));
+      }).then(() => assert.equal(tries, 1));
+    });
+
+    it('should reject the Promise without trying if the number of tries is 0', () => {
+      var tries = 0;
+      return Task.try('try', done => done(++tries)).do(0).then(() => assert(false)).catch(error => {
+        assert.deepEqual(error.errors, []);
+        assert.equal(tries, 0);
+      });
+    });
+
+    it('should not retry once canceled', () => {
+      var tries = 0;
+      var task = Task.try('try', (done, failed) => {
+        tries++;
+        setTimeout(failed);
+      });
+      var promise = task.do(10);
+      task.cancel('canceled');
+      return promise.then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'canceled');
+        return new Promise(resolve => setTimeout(resolve, 10));
+      }).then(() => assert.equal(tries, 1));
+    });
+
+    it('should report the progress of the current attempt', () => {
+      var fractions = [];
+      var task = Task.try('name', function(done) {
+        setTimeout(() => { this.reportProgress(0.5); done(); });
+      }, { attempts: 2 });
+      return task.do().onProgress(fraction => fractions.push(fraction)).then(() => {
+        assert.deepEqual(fractions, [0.5]);
+      });
+    });
   });
 
   describe('.map', () => {
@@ -394,11 +1283,95 @@ describe('Task', () => {
       return Task.map('map', () => {}).do([]);
     });
 
+    it('should throw if the options are invalid', () => {
+      assert.throws(Task.map.bind(Task, 'map', () => {}, { order: 'random' }));
+    });
+
+    it('should not run more tasks at a time than the given concurrency', () => {
+      var active = 0;
+      var maxActive = 0;
+      return Task.map('map', (num, done) => {
+        maxActive = Math.max(maxActive, ++active);
+        setTimeout(() => { active--; done(num + 1); }, 5);
+      }, { concurrency: 2 }).do([1, 2, 3, 4]).then(results => {
+        assert.deepEqual(results, [2, 3, 4, 5]);
+        assert.equal(maxActive, 2);
+      });
+    });
+
+    it('should resolve the Promise with the results in completion order', () => {
+      return Task.map('map', (ms, done) => { setTimeout(done.bind(null, ms), ms); }, {
+        order: 'completion'
+      }).do([30, 0, 15]).then(results => assert.deepEqual(results, [0, 15, 30]));
+    });
+
+    it('should resolve the Promise with the outcome of every item in settled mode', () => {
+      return Task.map('map', (num, done, failed) => (num === 2 ? failed : done)(num), {
+        settled: true
+      }).do([1, 2]).then(results => {
+        assert.deepEqual(results[0], { status: 'fulfilled', value: 1 });
+        assert.equal(results[1].status, 'rejected');
+        assert.equal(results[1].reason.reason, 2);
+        assert.equal(results[1].reason.step, 1);
+      });
+    });
+
+    it('should not start any more items after the first failure in stopOnError mode', () => {
+      var items = [];
+      return Task.map('map', (num, done, failed) => {
+        items.push(num);
+        setTimeout(() => (num === 2 ? failed : done)(num));
+      }, { concurrency: 2, stopOnError: true }).do([1, 2, 3, 4]).then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 2);
+        assert(items.indexOf(4) === -1);
+      });
+    });
+
+    it('should keep the items in flight running after the first failure by default', () => {
+      var childRuns = [];
+      return Task.map('map', function(num, done, failed) {
+        childRuns.push(this);
+        setTimeout(() => (num === 2 ? failed : done)(num), num === 2 ? 0 : 10);
+      }).do([1, 2]).then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 2);
+        assert.equal(childRuns[0].status, 'pending');
+        return childRuns[0].promise;
+      }).then(result => assert.equal(result, 1));
+    });
+
     it('should reject the Promise if anything other than an array is given', () => {
       return new Promise((resolve, reject) => {
         Task.map('map', (item, done) => done(item)).do(false).then(reject).catch(resolve);
       });
     });
+
+    it('should cancel all the running tasks when canceled', () => {
+      var childRuns = [];
+      var map = Task.map('map', function() { childRuns.push(this); });
+      var promise = map.do([1, 2]);
+      map.cancel('canceled');
+      return promise.then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'canceled');
+        assert.equal(childRuns.length, 2);
+        childRuns.forEach(childRun => assert.equal(childRun.status, 'canceled'));
+        return Promise.all(childRuns.map(childRun => childRun.promise.catch(() => {})));
+      });
+    });
+
+    it('should report the progress of the items, weighted by the "weight" option', () => {
+      var fractions = [];
+      var task = Task.map('name', (size, done) => { setTimeout(done, size); }, {
+        concurrency: 1,
+        weight: size => size
+      });
+      return task.do([10, 30]).onProgress(fraction => fractions.push(fraction)).then(() => {
+        assert.deepEqual(fractions, [0.25, 1]);
+      });
+    });
+
+    it('should throw if "weight" is not a function', () => {
+      assert.throws(Task.map.bind(Task, 'name', () => {}, { weight: 1 }));
+    });
   });
 
   describe('.delay', () => {
@@ -438,5 +1411,1118 @@ describe('Task', () => {
 
       return task.do(5, delay);
     });
+
+    it('should not execute the task if canceled while waiting', () => {
+      var executed = false;
+      var task = Task.delay('delay', () => { executed = true; });
+      var promise = task.do(10);
+      task.cancel('canceled');
+      return promise.then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'canceled');
+        return new Promise(resolve => setTimeout(resolve, 20));
+      }).then(() => assert.equal(executed, false));
+    });
+
+    it('should cancel the delayed task if canceled after waiting', () => {
+      var delayedRun = null;
+      var task = Task.delay('delay', function() { delayedRun = this; });
+      var promise = task.do(0);
+      return new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+        task.cancel('canceled');
+        return promise;
+      }).then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'canceled');
+        assert.equal(delayedRun.status, 'canceled');
+        return delayedRun.promise.catch(() => {});
+      });
+    });
+  });
+
+  describe('.rateLimit', () => {
+    it('should return a Task', () => {
+      assert(Task.rateLimit(() => {}, { limit: 1, interval: 10 }) instanceof Task);
+    });
+
+    it('should throw if the options are invalid', () => {
+      assert.throws(Task.rateLimit.bind(Task, () => {}, { limit: 0, interval: 10 }));
+      assert.throws(Task.rateLimit.bind(Task, 'task', { limit: 1, interval: 10 }));
+    });
+
+    it('should delay the runs which exceed the rate limit', () => {
+      var times = [];
+      var task = Task.rateLimit(Task.create('name', (x, done) => {
+        times.push(new Date().getTime());
+        done(x);
+      }), { limit: 2, interval: 50 });
+      var start = new Date().getTime();
+      return Promise.all([1, 2, 3].map(x => task.do(x))).then(results => {
+        assert.deepEqual(results, [1, 2, 3]);
+        assert(times[1] - start < 25);
+        assert(times[2] - start >= 45);
+      });
+    });
+
+    it('should share a limiter across Tasks', () => {
+      var limiter = Task.rateLimiter({ limit: 1, interval: 40 });
+      var times = [];
+      var template = done => { times.push(new Date().getTime()); done(); };
+      var task1 = Task.rateLimit(template, { limiter: limiter });
+      var task2 = Task.create('name', template).throttle({ limiter: [limiter] });
+      return Promise.all([task1.do(), task2.do()]).then(() => assert(times[1] - times[0] >= 35));
+    });
+
+    it('should reject with a RateLimitError if the wait would exceed maxWait', () => {
+      var task = Task.rateLimit(Task.create('api', done => done()), { limit: 1, interval: 1000, maxWait: 100 });
+      return task.do().then(() => task.do()).then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.RateLimitError);
+        assert(error instanceof Task.TaskError);
+        assert(error.delay > 100);
+        assert.equal(error.maxWait, 100);
+        assert.deepEqual(error.path, ['api: rate limited']);
+      });
+    });
+
+    it('should not count a run canceled while waiting towards the rate limit', () => {
+      var times = [];
+      var task = Task.rateLimit(done => { times.push(new Date().getTime()); done(); }, { limit: 1, interval: 40 });
+      var start = new Date().getTime();
+      task.do();
+      var waiting = task.run();
+      waiting.cancel('canceled');
+      return waiting.promise.then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.CanceledError);
+        return task.do();
+      }).then(() => {
+        assert.equal(times.length, 2);
+        assert(times[1] - start < 75);
+      });
+    });
+
+    it('should count a run canceled after it started towards the rate limit', () => {
+      var times = [];
+      var task = Task.rateLimit(done => {
+        times.push(new Date().getTime());
+        if (times.length > 1) {
+          done();
+        }
+      }, { limit: 1, interval: 60 });
+      var started = task.run();
+      started.promise.catch(() => {});
+      return new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+        assert.equal(times.length, 1);
+        started.cancel('canceled');
+        return task.do();
+      }).then(() => {
+        assert.equal(times.length, 2);
+        assert(times[1] - times[0] >= 55);
+      });
+    });
+  });
+
+  describe('.circuitBreaker', () => {
+    var failing = () => Task.create('api', (done, failed) => failed('down'));
+
+    it('should return a closed circuit breaker Task', () => {
+      var task = Task.circuitBreaker(() => {});
+      assert(task instanceof Task);
+      assert(task.breaker instanceof Task.CircuitBreaker);
+      assert.equal(task.state, 'closed');
+    });
+
+    it('should throw if the options are invalid', () => {
+      assert.throws(Task.circuitBreaker.bind(Task, () => {}, { failureThreshold: 0 }));
+      assert.throws(Task.circuitBreaker.bind(Task, () => {}, { fallback: 'fallback' }));
+    });
+
+    it('should fail fast with a CircuitOpenError once open', () => {
+      var runs = 0;
+      var task = Task.circuitBreaker(Task.create('api', (done, failed) => { runs++; failed('down'); }), { failureThreshold: 2 });
+      var fail = () => task.do().then(() => assert(false), error => error);
+      return fail().then(fail).then(error => {
+        assert.equal(error.reason, 'down');
+        assert.equal(task.state, 'open');
+        return fail();
+      }).then(error => {
+        assert.equal(runs, 2);
+        assert(error instanceof Task.CircuitOpenError);
+        assert(error instanceof Task.TaskError);
+        assert.equal(error.state, 'open');
+        assert(error.retryAfter > 29000);
+        assert.deepEqual(error.path, ['api: circuit breaker']);
+      });
+    });
+
+    it('should close after a successful probe', () => {
+      var down = true;
+      var task = Task.circuitBreaker((done, failed) => down ? failed('down') : done('up'), { failureThreshold: 1, resetTimeoutMs: 20 });
+      return task.do().catch(() => {
+        down = false;
+        return new Promise(resolve => setTimeout(resolve, 25));
+      }).then(() => {
+        assert.equal(task.state, 'half-open');
+        return task.do();
+      }).then(result => {
+        assert.equal(result, 'up');
+        assert.equal(task.state, 'closed');
+      });
+    });
+
+    it('should open again after a failed probe', () => {
+      var task = Task.circuitBreaker(failing(), { failureThreshold: 1, resetTimeoutMs: 20 });
+      return task.do().catch(() => new Promise(resolve => setTimeout(resolve, 25))).then(() => {
+        return task.do();
+      }).then(() => assert(false)).catch(error => {
+        assert.equal(error.reason, 'down');
+        assert.equal(task.state, 'open');
+      });
+    });
+
+    it('should run the fallback while open', () => {
+      var task = Task.circuitBreaker((x, done, failed) => failed('down'), {
+        failureThreshold: 1,
+        fallback: x => 'cached ' + x
+      });
+      return task.do(1).catch(() => task.do(2)).then(result => assert.equal(result, 'cached 2'));
+    });
+
+    it('should not count canceled runs as failures', () => {
+      var task = Task.circuitBreaker(() => {}, { failureThreshold: 1 });
+      var run = task.run();
+      run.cancel('canceled');
+      return run.promise.catch(() => {
+        assert.equal(task.state, 'closed');
+      });
+    });
+
+    it('should emit "state" events', () => {
+      var events = [];
+      var task = Task.circuitBreaker(failing(), { failureThreshold: 1 });
+      task.on('state', event => events.push(event));
+      return task.do().catch(() => {
+        assert.equal(events.length, 1);
+        assert.equal(events[0].type, 'state');
+        assert.equal(events[0].task, task);
+        assert.equal(events[0].from, 'closed');
+        assert.equal(events[0].to, 'open');
+      });
+    });
+  });
+
+  describe('.every', () => {
+    it('should throw if the interval is invalid', () => {
+      assert.throws(Task.every.bind(Task, () => {}, 0));
+      assert.throws(Task.every.bind(Task, 'task', 10));
+    });
+
+    it('should run the task every interval ms', () => {
+      var times = [];
+      var start = new Date().getTime();
+      var schedule = Task.every(done => { times.push(new Date().getTime()); done(); }, 15, { maxRuns: 3 });
+      assert(schedule instanceof Task.Schedule);
+      return new Promise(resolve => schedule.on('end', resolve)).then(() => {
+        return new Promise(resolve => setTimeout(resolve, 30));
+      }).then(() => {
+        assert.equal(times.length, 3);
+        assert(times[0] - start >= 10);
+        assert(times[2] - start >= 40);
+      });
+    });
+
+    it('should run at the start date and then every interval ms after it', () => {
+      var schedule = Task.every(() => {}, 1000, { startDate: new Date().getTime() + 500 });
+      var times = schedule.nextRuns(3).map(date => date.getTime());
+      schedule.stop();
+      assert.deepEqual(times, [times[0], times[0] + 1000, times[0] + 2000]);
+      assert.equal(times[0], schedule.startDate.getTime());
+    });
+  });
+
+  describe('.schedule', () => {
+    it('should throw if the expression is invalid', () => {
+      assert.throws(Task.schedule.bind(Task, () => {}, '* * *'));
+      assert.throws(Task.schedule.bind(Task, () => {}, '* * * * *', { timeZone: 'Nowhere/Town' }));
+    });
+
+    it('should run the task at the times matching the expression', () => {
+      var now = Date.parse('2026-01-01T00:00:30Z');
+      var timer = null;
+      var clock = {
+        now: () => now,
+        setTimeout: (callback, milliseconds) => { timer = { callback: callback, time: now + milliseconds }; return timer; },
+        clearTimeout: () => { timer = null; }
+      };
+      var args = [];
+      var schedule = Task.schedule((x, done) => { args.push(x); done(); }, '*/5 * * * *', {
+        args: ['x'],
+        timeZone: 'UTC',
+        clock: clock
+      });
+      assert.deepEqual(schedule.nextRuns(2).map(date => date.toISOString()), [
+        '2026-01-01T00:05:00.000Z',
+        '2026-01-01T00:10:00.000Z'
+      ]);
+      now = timer.time;
+      timer.callback();
+      assert.deepEqual(args, ['x']);
+      assert.equal(schedule.nextRun.toISOString(), '2026-01-01T00:10:00.000Z');
+      schedule.stop();
+      assert.equal(timer, null);
+    });
+  });
+
+  describe('.if', () => {
+    it('should throw if the arguments are invalid', () => {
+      assert.throws(Task.if.bind(Task, 1, () => {}, () => {}));
+      assert.throws(Task.if.bind(Task, 'name', () => {}, 'then'));
+    });
+
+    it('should perform the then task with the arguments if the predicate is truthy', () => {
+      var task = Task.if('name', x => x > 1, (x, y) => 'then ' + x + y, () => 'else');
+      return task.do(2, 'y').then(result => assert.equal(result, 'then 2y'));
+    });
+
+    it('should perform the else task if the predicate is falsy', () => {
+      var task = Task.if('name', x => x > 1, () => 'then', x => 'else ' + x);
+      return task.do(0).then(result => assert.equal(result, 'else 0'));
+    });
+
+    it('should resolve with the first argument if the predicate is falsy and there is no else task', () => {
+      var task = Task.sequence('sequence', [
+        x => x + 1,
+        Task.if('double if odd', x => x % 2, x => x * 2),
+        x => x + 1
+      ]);
+      return Promise.all([task.do(0), task.do(1)]).then(results => assert.deepEqual(results, [3, 3]));
+    });
+
+    it('should fail if the predicate fails', () => {
+      var task = Task.if('name', (done, failed) => failed('failed'), () => 'then');
+      return task.do().then(() => assert(false)).catch(error => {
+        assert.equal(error.reason, 'failed');
+        assert.deepEqual(error.path, ['name', 'anonymous']);
+      });
+    });
+  });
+
+  describe('.switch', () => {
+    var task = Task.switch('name', user => user.channel, {
+      email: user => 'email ' + user.name,
+      sms: user => 'sms ' + user.name,
+      default: () => 'default'
+    });
+
+    it('should throw if the cases are invalid', () => {
+      assert.throws(Task.switch.bind(Task, 'name', () => {}, [() => {}]));
+      assert.throws(Task.switch.bind(Task, 'name', () => {}, { a: 'a' }));
+    });
+
+    it('should perform the task of the selected case with the arguments', () => {
+      return task.do({ channel: 'sms', name: 'x' }).then(result => assert.equal(result, 'sms x'));
+    });
+
+    it('should perform the default task if no case matches', () => {
+      return task.do({ channel: 'fax', name: 'x' }).then(result => assert.equal(result, 'default'));
+    });
+
+    it('should fail if no case matches and there is no default', () => {
+      var noDefault = Task.switch('name', () => 1, { 2: () => {} });
+      return noDefault.do().then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.TaskFailedError);
+        assert.equal(error.message, 'Task "name" failed: No case for "1".');
+      });
+    });
+  });
+
+  describe('.while', () => {
+    it('should throw if the options are invalid', () => {
+      assert.throws(Task.while.bind(Task, 'name', () => {}, () => {}, { maxIterations: 0 }));
+      assert.throws(Task.while.bind(Task, 'name', () => {}, () => {}, { delay: -1 }));
+    });
+
+    it('should repeat the task while the predicate holds, and resolve with the last result', () => {
+      var calls = [];
+      var statuses = ['running', 'running', 'complete'];
+      var task = Task.while('poll', id => { calls.push(id); return statuses.shift(); }, status => status === 'running');
+      return task.do('job').then(result => {
+        assert.equal(result, 'complete');
+        assert.deepEqual(calls, ['job', 'job', 'job']);
+      });
+    });
+
+    it('should perform the task at least once', () => {
+      var calls = 0;
+      var task = Task.while('name', () => ++calls, () => false);
+      return task.do().then(result => assert.equal(result, 1));
+    });
+
+    it('should not keep a cancel callback for every iteration', () => {
+      var cleanups = [];
+      var task = Task.while('poll', function() {
+        cleanups.push(this.parent._cleanups.length);
+        return cleanups.length;
+      }, count => count < 5, { delay: 1 });
+      return task.do().then(result => {
+        assert.equal(result, 5);
+        assert.equal(new Set(cleanups).size, 1);
+      });
+    });
+
+    it('should wait "delay" ms between iterations', () => {
+      var times = [];
+      var task = Task.while('name', () => times.push(new Date().getTime()), count => count < 3, { delay: 20 });
+      return task.do().then(() => {
+        assert(times[1] - times[0] >= 15);
+        assert(times[2] - times[1] >= 15);
+      });
+    });
+
+    it('should fail after "maxIterations" if the predicate still holds', () => {
+      var task = Task.while('name', () => 'running', () => true, { maxIterations: 3 });
+      return task.do().then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.TaskFailedError);
+        assert.equal(error.iterations, 3);
+        assert.equal(error.result, 'running');
+        assert.equal(error.message, 'Task "name" failed: Condition still held after 3 iteration(s).');
+      });
+    });
+
+    it('should stop iterating when canceled', () => {
+      var calls = 0;
+      var task = Task.while('name', () => ++calls, () => true, { delay: 10 });
+      var run = task.run();
+      return new Promise(resolve => setTimeout(resolve, 15)).then(() => {
+        run.cancel('canceled');
+        var count = calls;
+        return run.promise.then(() => assert(false)).catch(error => {
+          assert(error instanceof Task.CanceledError);
+          return new Promise(resolve => setTimeout(resolve, 30));
+        }).then(() => assert.equal(calls, count));
+      });
+    });
+  });
+
+  describe('.until', () => {
+    it('should repeat the task until the predicate holds', () => {
+      var count = 0;
+      var task = Task.until('name', () => ++count, Task.create('is done', (result, done) => {
+        setTimeout(() => done(result === 3));
+      }));
+      return task.do().then(result => assert.equal(result, 3));
+    });
+
+    it('should fail after "maxIterations" if the predicate does not hold', () => {
+      var task = Task.until('name', () => 'running', () => false, { maxIterations: 2 });
+      return task.do().then(() => assert(false)).catch(error => {
+        assert.equal(error.message, 'Task "name" failed: Condition not met after 2 iteration(s).');
+      });
+    });
+  });
+
+  describe('.saga', () => {
+    it('should throw if the steps are invalid', () => {
+      assert.throws(Task.saga.bind(Task, 'name', () => {}));
+      assert.throws(Task.saga.bind(Task, 'name', [{ task: 'task' }]));
+      assert.throws(Task.saga.bind(Task, 'name', [{ task: () => {}, compensate: 1 }]));
+    });
+
+    it('should perform the steps in sequence, and not compensate them if they are done', () => {
+      var compensated = false;
+      var task = Task.saga('name', [
+        { task: x => x + 1, compensate: () => { compensated = true; return true; } },
+        x => x * 10
+      ]);
+      return task.do(1).then(result => {
+        assert.equal(result, 20);
+        assert.equal(compensated, false);
+      });
+    });
+
+    it('should compensate the completed steps in reverse order if a step fails', () => {
+      var log = [];
+      var event = null;
+      var task = Task.saga('name', [
+        { task: x => x + 1, compensate: (result, x) => log.push('undo 1: ' + result + ', ' + x) },
+        { task: x => x * 10, compensate: result => log.push('undo 2: ' + result) },
+        { task: (x, done, failed) => failed('failed'), compensate: () => log.push('undo 3') }
+      ]);
+      task.on('compensation', _event => { event = _event; });
+      return task.do(1).then(() => assert(false)).catch(error => {
+        assert.deepEqual(log, ['undo 2: 20', 'undo 1: 2, 1']);
+        assert(error instanceof Task.SagaError);
+        assert(error instanceof Task.TaskFailedError);
+        assert.equal(error.compensated, true);
+        assert.equal(error.failedStep, 2);
+        assert.equal(error.reason, 'failed');
+        assert.equal(error.cause.reason, 'failed');
+        assert.deepEqual(error.compensationErrors, []);
+        assert.equal(error.message, 'Task "name" failed at step 2 and was compensated.');
+        assert.equal(event.compensated, true);
+        assert.equal(event.reason, error.cause);
+      });
+    });
+
+    it('should perform all the compensations and report their errors if some of them fail', () => {
+      var log = [];
+      var task = Task.saga('name', [
+        { task: () => 1, compensate: () => log.push('undo 1') },
+        { task: () => 2, compensate: Task.create('refund', (result, x, done, failed) => failed('no refund')) },
+        (x, done, failed) => failed('failed')
+      ]);
+      return task.do().then(() => assert(false)).catch(error => {
+        assert.deepEqual(log, ['undo 1']);
+        assert.equal(error.compensated, false);
+        assert.equal(error.compensationErrors.length, 1);
+        assert.equal(error.compensationErrors[0].reason, 'no refund');
+        assert.deepEqual(error.errors.map(e => e.reason), ['failed', 'no refund']);
+        assert.equal(error.message, 'Task "name" failed at step 2 and 1 compensation(s) failed.');
+      });
+    });
+
+    it('should compensate the completed steps if canceled', () => {
+      var log = [];
+      var task = Task.saga('name', [
+        { task: () => 1, compensate: Task.create('undo', (result, done) => { setTimeout(() => done(log.push('undo 1'))); }) },
+        { task: () => {}, compensate: () => log.push('undo 2') }
+      ]);
+      var run = task.run();
+      var rejected = run.promise.catch(error => error);
+      return new Promise(resolve => {
+        task.on('compensation', resolve);
+        setTimeout(() => run.cancel('canceled'), 5);
+      }).then(event => {
+        assert.deepEqual(log, ['undo 1']);
+        assert.equal(event.compensated, true);
+        assert(event.reason instanceof Task.CanceledError);
+        return rejected.then(error => assert(error instanceof Task.CanceledError));
+      });
+    });
+  });
+
+  describe('.worker', () => {
+    before(function() {
+      try {
+        require('worker_threads');
+      } catch (error) {
+        this.skip();
+      }
+    });
+
+    it('should throw if the template is invalid', () => {
+      assert.throws(Task.worker.bind(Task, 'name', 1));
+      assert.throws(Task.worker.bind(Task, 'name', './no/such/module.js'));
+      assert.throws(Task.worker.bind(Task, 'name', () => {}, { size: 0 }));
+    });
+
+    it('should run a template function in a worker thread', () => {
+      var task = Task.worker('name', function(x, done) {
+        this.reportProgress(0.5, 'half');
+        setTimeout(() => done({ square: x * x, isMainThread: require('worker_threads').isMainThread }));
+      }, { size: 1 });
+      var fractions = [];
+      return task.do(7).onProgress(fraction => fractions.push(fraction)).then(result => {
+        assert.deepEqual(result, { square: 49, isMainThread: false });
+        assert.deepEqual(fractions, [0.5]);
+        assert(task.pool instanceof Task.WorkerPool);
+        task.pool.terminate();
+      });
+    });
+
+    it('should run the template exported by a module', () => {
+      var task = Task.worker('name', './test/fixtures/square.js', { size: 1 });
+      return task.do(3).then(result => {
+        assert.equal(result, 9);
+        task.pool.terminate();
+      });
+    });
+
+    it('should fail with the error thrown in the worker', () => {
+      var task = Task.worker('name', function() {
+        throw new TypeError('bad');
+      }, { size: 1 });
+      return task.do().then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.TaskFailedError);
+        assert.equal(error.cause.name, 'TypeError');
+        assert.equal(error.message, 'Task "name" failed: bad');
+        task.pool.terminate();
+      });
+    });
+
+    it('should terminate the worker when the run times out', () => {
+      var task = Task.worker('name', function() {
+        for (;;) {
+          // Busy loop.
+        }
+      }, { size: 1 });
+      var run = task.run();
+      run.timeout(50, 'timeout');
+      assert.equal(task.pool.workers, 1);
+      return run.promise.then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.TimeoutError);
+        assert.equal(task.pool.workers, 0);
+      });
+    });
+  });
+
+  describe('.exec', () => {
+    var node = process.execPath;
+
+    it('should throw if the options are invalid', () => {
+      assert.throws(Task.exec.bind(Task, 'name', 1));
+      assert.throws(Task.exec.bind(Task, 'name', node, { args: '-v' }));
+      assert.throws(Task.exec.bind(Task, 'name', node, { onOutput: 1 }));
+      assert.throws(Task.exec.bind(Task, 'name', node, { killTimeout: -1 }));
+    });
+
+    it('should resolve with the exit code and output of the process', () => {
+      var task = Task.exec('name', node, { args: ['-e'] });
+      return task.do('console.log(process.argv[1]); console.error("err")', 'arg').then(result => {
+        assert.deepEqual(result, { exitCode: 0, signal: null, stdout: 'arg\n', stderr: 'err\n' });
+      });
+    });
+
+    it('should stream the lines of output through "onOutput" and "output" events', () => {
+      var lines = [];
+      var events = [];
+      var task = Task.exec('name', node, {
+        args: ['-e', 'process.stdout.write("a\\r\\nb\\n"); process.stderr.write("c\\nd")'],
+        onOutput: (line, stream) => lines.push([stream, line])
+      });
+      task.on('output', event => events.push([event.stream, event.line]));
+      return task.do().then(() => {
+        var expected = [['stdout', 'a'], ['stdout', 'b'], ['stderr', 'c'], ['stderr', 'd']];
+        var byStream = array => array.slice().sort((x, y) => x[0] < y[0] ? -1 : x[0] > y[0] ? 1 : 0);
+        assert.deepEqual(byStream(lines), byStream(expected));
+        assert.deepEqual(byStream(events), byStream(expected));
+      });
+    });
+
+    it('should pass "cwd", "env" and "input" to the process', () => {
+      var task = Task.exec('name', node, {
+        args: ['-e', 'process.stdin.pipe(process.stdout); console.error(process.cwd() + " " + process.env.FOO + " " + !!process.env.PATH)'],
+        cwd: os.tmpdir(),
+        env: { FOO: 'bar' },
+        input: 'input'
+      });
+      return task.do().then(result => {
+        assert.equal(result.stdout, 'input');
+        assert.equal(result.stderr, fs.realpathSync(os.tmpdir()) + ' bar true\n');
+      });
+    });
+
+    it('should fail with an ExecError if the process exits with a non-zero code', () => {
+      var task = Task.exec('name', node, { args: ['-e', 'console.log("out"); process.exit(3)'] });
+      return task.do().then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.ExecError);
+        assert(error instanceof Task.TaskFailedError);
+        assert.equal(error.exitCode, 3);
+        assert.equal(error.signal, null);
+        assert.equal(error.stdout, 'out\n');
+        assert.equal(error.command, node);
+        assert.equal(error.message, 'Task "name" failed: "' + node + ' -e console.log("out"); process.exit(3)" exited with code 3.');
+      });
+    });
+
+    it('should fail if the process cannot be started', () => {
+      var task = Task.exec('name', 'no-such-command-' + Date.now());
+      return task.do().then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.TaskFailedError);
+        assert.equal(error.cause.code, 'ENOENT');
+      });
+    });
+
+    it('should kill the process when the run times out', () => {
+      var pid;
+      var task = Task.exec('name', node, {
+        args: ['-e', 'console.log(process.pid); setInterval(() => {}, 1000)'],
+        onOutput: line => { pid = +line; }
+      });
+      var run = task.run();
+      task.once('output', () => run.timeout(10, 'timeout'));
+      return run.promise.then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.TimeoutError);
+        return new Promise(resolve => setTimeout(resolve, 200));
+      }).then(() => {
+        assert.throws(() => process.kill(pid, 0));
+      });
+    });
+
+    it('should send SIGKILL to a process which does not exit after "killTimeout"', () => {
+      var pid;
+      var task = Task.exec('name', node, {
+        args: ['-e', 'process.on("SIGTERM", () => {}); console.log(process.pid); setInterval(() => {}, 1000)'],
+        killTimeout: 50,
+        onOutput: line => { pid = +line; }
+      });
+      var run = task.run();
+      task.once('output', () => run.cancel());
+      return run.promise.catch(() => new Promise(resolve => setTimeout(resolve, 30))).then(() => {
+        process.kill(pid, 0);
+        return new Promise(resolve => setTimeout(resolve, 200));
+      }).then(() => {
+        assert.throws(() => process.kill(pid, 0));
+      });
+    });
+  });
+
+  describe('.workflow', () => {
+    var calls;
+    var registry;
+
+    beforeEach(() => {
+      calls = [];
+      var uploads = 0;
+      registry = new Task.TaskRegistry()
+        .register(new Task('fetch', url => {
+          calls.push('fetch');
+          return { url: url };
+        }))
+        .register('resize', image => {
+          calls.push('resize');
+          return 'resized ' + image.url;
+        })
+        .register('thumbnail', image => {
+          calls.push('thumbnail');
+          return 'thumbnail of ' + image.url;
+        })
+        .register('upload', (images, done, failed) => {
+          calls.push('upload');
+          if (++uploads < 3) {
+            failed('unavailable');
+            return;
+          }
+          done(images.length);
+        })
+        .register('double', x => x * 2);
+    });
+
+    it('should throw if the options are invalid', () => {
+      assert.throws(() => Task.workflow('fetch', { registry: {} }), /must be a TaskRegistry/);
+      assert.throws(() => Task.workflow('fetch', { registry: registry, parse: 1 }), /must be a function/);
+      assert.throws(() => Task.workflow('"crop"', { registry: registry }), /Unknown task "crop" at workflow./);
+    });
+
+    it('should build the composite Task described by the definition', () => {
+      var task = Task.workflow({
+        name: 'publish',
+        sequence: ['fetch', { parallel: ['resize', 'thumbnail'] }, { try: 'upload', attempts: 3 }]
+      }, { registry: registry });
+      assert.equal(task.name, 'publish');
+      return task.do('a.png').then(result => {
+        assert.equal(result, 2);
+        assert.deepEqual(calls, ['fetch', 'resize', 'thumbnail', 'upload', 'upload', 'upload']);
+      });
+    });
+
+    it('should look the tasks up in Task.registry by default', () => {
+      Task.registry.register('workflow test', x => x + 1);
+      var task = Task.workflow('{ "map": "workflow test", "concurrency": 1 }');
+      Task.registry.unregister('workflow test');
+      return task.do([1, 2]).then(result => assert.deepEqual(result, [2, 3]));
+    });
+
+    it('should parse the document with "parse"', () => {
+      var task = Task.workflow('map: double', {
+        registry: registry,
+        parse: text => {
+          var parts = text.split(': ');
+          var node = {};
+          node[parts[0]] = parts[1];
+          return node;
+        }
+      });
+      return task.do([1, 2]).then(result => assert.deepEqual(result, [2, 4]));
+    });
+
+    it('should wait before performing the node of a "delay" node', () => {
+      var task = Task.workflow({ delay: 'double', ms: 50, name: 'later' }, { registry: registry });
+      var start = Date.now();
+      return task.do(3).then(result => {
+        assert.equal(result, 6);
+        assert(Date.now() - start >= 45);
+        assert.equal(task.name, 'later');
+      });
+    });
+
+    it('should fail like the composite Tasks do', () => {
+      var task = Task.workflow({ try: 'upload', attempts: 2 }, { registry: registry });
+      return task.do([]).then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.TaskFailedError);
+        assert.equal(error.attempts.length, 2);
+      });
+    });
+  });
+
+  describe('.durableSequence', () => {
+    var calls;
+    var failures;
+    var steps;
+
+    beforeEach(() => {
+      calls = [];
+      failures = 0;
+      steps = [
+        function(x) {
+          calls.push(['add', this.idempotencyKey]);
+          return x + 1;
+        },
+        function(x, done, failed) {
+          calls.push(['double', this.idempotencyKey]);
+          if (failures-- > 0) {
+            failed('flaky');
+            return;
+          }
+          done(x * 2);
+        }
+      ];
+    });
+
+    it('should throw if the options are invalid', () => {
+      assert.throws(() => Task.durableSequence('name', steps, { store: {} }), /must have a get\(\) method/);
+      assert.throws(() => Task.durableSequence('name', steps, { runId: 'id' }), /"runId" must be a function./);
+    });
+
+    it('should perform the steps in sequence and checkpoint their results', () => {
+      var task = Task.durableSequence('name', steps);
+      var checkpoints = [];
+      task.on('checkpoint', event => checkpoints.push([event.checkpointId, event.index, event.result]));
+      var run = task.run(1);
+      var runId = run.idempotencyKey;
+      assert.equal(typeof runId, 'string');
+      return run.promise.then(result => {
+        assert.equal(result, 4);
+        assert.deepEqual(calls, [['add', runId + ':0'], ['double', runId + ':1']]);
+        assert.deepEqual(checkpoints, [[runId, 0, 2], [runId, 1, 4]]);
+        return task.inspect(runId);
+      }).then(record => {
+        assert.equal(record.runId, runId);
+        assert.equal(record.name, 'name');
+        assert.equal(record.status, 'done');
+        assert.deepEqual(record.args, [1]);
+        assert.equal(record.result, 4);
+        assert.deepEqual(record.steps.map(step => [step.index, step.idempotencyKey, step.result]),
+          [[0, runId + ':0', 2], [1, runId + ':1', 4]]);
+        assert.equal(typeof record.steps[0].completedAt, 'number');
+      });
+    });
+
+    it('should resume a failed run from its last checkpoint', () => {
+      failures = 1;
+      var task = Task.durableSequence('name', steps);
+      var resumed = [];
+      task.on('resume', event => resumed.push([event.checkpointId, event.completedSteps]));
+      var run = task.run(1);
+      var runId = run.idempotencyKey;
+      return run.promise.then(() => assert(false)).catch(error => {
+        assert.equal(error.message, 'Task "name > anonymous" failed: flaky');
+        return task.inspect(runId);
+      }).then(record => {
+        assert.equal(record.status, 'failed');
+        assert.equal(record.error, 'Task "name > anonymous" failed: flaky');
+        assert.equal(record.steps.length, 1);
+        var resumedRun = task.resume(runId);
+        assert.equal(resumedRun.idempotencyKey, runId);
+        return resumedRun.promise;
+      }).then(result => {
+        assert.equal(result, 4);
+        assert.deepEqual(calls, [['add', runId + ':0'], ['double', runId + ':1'], ['double', runId + ':1']]);
+        assert.deepEqual(resumed, [[runId, 1]]);
+        return task.inspect(runId);
+      }).then(record => {
+        assert.equal(record.status, 'done');
+        assert.equal(record.error, undefined);
+      });
+    });
+
+    it('should resume a stored run when started with its id, and not rerun a done one', () => {
+      failures = 1;
+      var store = new Task.MemoryCheckpointStore();
+      var task = Task.durableSequence('name', steps, { store: store, runId: x => 'run-' + x });
+      return task.do(1).catch(() => {
+        assert.equal(task.store, store);
+        return task.do(1);
+      }).then(result => {
+        assert.equal(result, 4);
+        return task.do(1);
+      }).then(result => {
+        assert.equal(result, 4);
+        assert.deepEqual(calls.map(call => call.join(' ')), ['add run-1:0', 'double run-1:1', 'double run-1:1']);
+        return task.list();
+      }).then(records => {
+        assert.deepEqual(records.map(record => record.runId), ['run-1']);
+      });
+    });
+
+    it('should leave a canceled run resumable', () => {
+      var finish;
+      steps.unshift(function(x) {
+        calls.push(['wait', this.idempotencyKey]);
+        if (!finish) {
+          return new Promise(resolve => { finish = resolve; });
+        }
+        return x;
+      });
+      var task = Task.durableSequence('name', steps, { runId: () => 'id' });
+      var run = task.run(1);
+      task.once('step', () => run.cancel('stop'));
+      return run.promise.catch(error => {
+        assert(error instanceof Task.CanceledError);
+        return new Promise(resolve => setTimeout(resolve, 10));
+      }).then(() => task.inspect('id')).then(record => {
+        assert.equal(record.status, 'canceled');
+        assert.equal(record.error, 'Task "name" was canceled.');
+        assert.equal(record.steps.length, 0);
+        return task.resume('id').promise;
+      }).then(result => {
+        assert.equal(result, 4);
+        return task.inspect('id');
+      }).then(record => {
+        assert.equal(record.status, 'done');
+        assert.equal(record.error, undefined);
+      });
+    });
+
+    it('should fail a run while another run with the same id is running', () => {
+      var finish;
+      steps.unshift(function(x) {
+        calls.push(['wait', this.idempotencyKey]);
+        return new Promise(resolve => { finish = () => resolve(x); });
+      });
+      var task = Task.durableSequence('name', steps, { runId: () => 'id' });
+      var run = task.run(1);
+      var started = new Promise(resolve => task.once('step', resolve));
+      return started.then(() => Promise.all([
+        task.do(1).then(() => assert(false), error => error),
+        task.resume('id').promise.then(() => assert(false), error => error)
+      ])).then(errors => {
+        errors.forEach(error => assert.equal(error.message, 'Task "name" failed: Run "id" is already running.'));
+        finish();
+        return run.promise;
+      }).then(result => {
+        assert.equal(result, 4);
+        assert.deepEqual(calls.map(call => call[0]), ['wait', 'add', 'double']);
+        return task.do(1);
+      }).then(result => {
+        assert.equal(result, 4);
+        assert.equal(calls.length, 3);
+      });
+    });
+
+    it('should fail to resume a run which is not stored, or was aborted', () => {
+      var task = Task.durableSequence('name', steps);
+      var other = Task.durableSequence('other', steps, { store: task.store, runId: () => 'other-run' });
+      assert.throws(() => task.resume(1), /Run id must be a string./);
+      return other.do(1).then(() => task.resume('other-run').promise).then(() => assert(false)).catch(error => {
+        assert.equal(error.message, 'Task "name" failed: There is no checkpoint of run "other-run".');
+      });
+    });
+
+    it('should abort a run, canceling it if it is running', () => {
+      var task = Task.durableSequence('name', [() => new Promise(() => {})], { runId: () => 'id' });
+      var run = task.run();
+      var started = new Promise(resolve => task.once('step', resolve));
+      return started.then(() => task.abort('id')).then(aborted => {
+        assert.equal(aborted, true);
+        assert.equal(run.status, 'canceled');
+        return run.promise.catch(error => assert.equal(error.reason, 'Run "id" was aborted.'));
+      }).then(() => {
+        return Promise.all([task.inspect('id'), task.abort('id'), task.abort('missing')]);
+      }).then(results => {
+        assert.equal(results[0].status, 'aborted');
+        assert.deepEqual(results.slice(1), [false, false]);
+        return task.resume('id').promise;
+      }).then(() => assert(false)).catch(error => {
+        assert.equal(error.message, 'Task "name" failed: Run "id" was aborted.');
+      });
+    });
+
+    it('should only list and inspect its own runs, oldest first', () => {
+      var store = new Task.MemoryCheckpointStore();
+      var task = Task.durableSequence('name', steps, { store: store, runId: x => 'run-' + x });
+      var other = Task.durableSequence('other', steps, { store: store, runId: x => 'other-' + x });
+      return Promise.all([task.do(1), other.do(1)]).then(() => new Promise(resolve => setTimeout(resolve, 5)))
+        .then(() => task.do(2)).then(() => Promise.all([task.list(), task.inspect('other-1'), other.inspect('other-1')]))
+        .then(results => {
+          assert.deepEqual(results[0].map(record => record.runId), ['run-1', 'run-2']);
+          assert.equal(results[1], null);
+          assert.equal(results[2].runId, 'other-1');
+        });
+    });
+
+    it('should save the checkpoints in a FileCheckpointStore', () => {
+      var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'task-js-'));
+      var task = Task.durableSequence('name', steps, {
+        store: new Task.FileCheckpointStore(directory),
+        runId: () => 'file-run'
+      });
+      failures = 1;
+      return task.do(1).catch(() => {
+        var resumed = Task.durableSequence('name', steps, {
+          store: new Task.FileCheckpointStore(directory),
+          runId: () => 'file-run'
+        });
+        return resumed.do(1);
+      }).then(result => {
+        assert.equal(result, 4);
+        assert.deepEqual(calls.map(call => call[0]), ['add', 'double', 'double']);
+        removeDirectory(directory);
+      });
+    });
+  });
+
+  describe('.mapStream', () => {
+    function collect(iterator) {
+      var results = [];
+      return (function next() {
+        return iterator.next().then(step => {
+          if (step.done) {
+            return results;
+          }
+          results.push(step.value);
+          return next();
+        });
+      })();
+    }
+
+    it('should throw if the arguments are invalid', () => {
+      assert.throws(() => Task.mapStream(1, () => {}));
+      assert.throws(() => Task.mapStream('name', 1));
+      assert.throws(() => Task.mapStream('name', () => {}, { concurrency: 0 }));
+    });
+
+    it('should fail if the source is not iterable', () => {
+      return Task.mapStream('name', x => x).do(1).then(() => assert(false)).catch(error => {
+        assert.equal(error.message, 'Task "name" failed: Argument to Task#do() must be an iterable, '
+          + 'an async iterable or a readable stream.');
+      });
+    });
+
+    it('should map the items, and resolve with their number', () => {
+      var items = [];
+      var task = Task.mapStream('name', x => { items.push(x); return x; });
+      return task.do(new Set([1, 2, 3])).then(count => {
+        assert.equal(count, 3);
+        assert.deepEqual(items, [1, 2, 3]);
+      });
+    });
+
+    it('should read the results in input or completion order', () => {
+      var template = (x, done) => { setTimeout(() => done(x * 2), 30 - x * 10); };
+      var ordered = Task.mapStream('name', template, { concurrency: 3 });
+      var unordered = Task.mapStream('name', template, { concurrency: 3, order: 'completion' });
+      return Promise.all([collect(ordered.iterate([1, 2, 3])), collect(unordered.iterate([1, 2, 3]))]).then(results => {
+        assert.deepEqual(results, [[2, 4, 6], [6, 4, 2]]);
+      });
+    });
+
+    it('should read the items of async iterables and Readable streams', () => {
+      var task = Task.mapStream('name', x => x + 1, { concurrency: 2 });
+      var generate = async function* generate() {
+        yield 1;
+        yield 2;
+      };
+      return Promise.all([
+        collect(task.iterate(generate())),
+        collect(task.iterate(stream.Readable.from([3, 4])))
+      ]).then(results => assert.deepEqual(results, [[2, 3], [4, 5]]));
+    });
+
+    it('should not read more items than it can map and buffer', () => {
+      var read = 0;
+      var source = {};
+      source[Symbol.iterator] = function() {
+        return { next: () => ({ value: read++, done: read > 100 }) };
+      };
+      var task = Task.mapStream('name', x => x, { concurrency: 2, highWaterMark: 3 });
+      var iterator = task.iterate(source);
+      return new Promise(resolve => setTimeout(resolve, 20)).then(() => {
+        assert(read <= 6, read + ' items were read');
+        return iterator.next();
+      }).then(step => {
+        assert.deepEqual(step, { value: 0, done: false });
+        return collect(iterator);
+      }).then(results => {
+        assert.equal(results.length, 99);
+        assert.equal(iterator.run.status, 'done');
+      });
+    });
+
+    it('should cancel the run and close the source when the iteration stops', () => {
+      var closed = false;
+      var source = (function* generate() {
+        try {
+          for (var i = 0; ; i++) {
+            yield i;
+          }
+        } finally {
+          closed = true;
+        }
+      })();
+      var iterator = Task.mapStream('name', x => x).iterate(source);
+      return iterator.next().then(step => {
+        assert.equal(step.value, 0);
+        return iterator.return();
+      }).then(step => {
+        assert.deepEqual(step, { value: undefined, done: true });
+        assert.equal(iterator.run.status, 'canceled');
+        assert(closed);
+      });
+    });
+
+    it('should reject the iteration with the first failure', () => {
+      var task = Task.mapStream('name', (x, done, failed) => {
+        if (x === 2) {
+          failed('bad item');
+          return;
+        }
+        done(x);
+      });
+      var iterator = task.iterate([1, 2, 3]);
+      return collect(iterator).then(() => assert(false)).catch(error => {
+        assert(error instanceof Task.TaskFailedError);
+        assert.equal(error.reason, 'bad item');
+        assert.equal(iterator.run.status, 'failed');
+      });
+    });
+
+    it('should cancel the item runs in flight when one fails', () => {
+      var runs = [];
+      var task = Task.mapStream('name', function(x, done, failed) {
+        runs.push(this);
+        if (x === 2) {
+          setTimeout(() => failed('bad item'));
+        }
+      }, { concurrency: 3 });
+      return task.do([1, 2, 3, 4]).then(() => assert(false)).catch(error => {
+        assert.equal(error.reason, 'bad item');
+        assert.deepEqual(runs.map(run => run.status), ['canceled', 'failed', 'canceled']);
+        return runs[0].promise.catch(reason => {
+          assert(reason instanceof Task.CanceledError);
+          assert.equal(reason.message, 'Canceled after task "name: mapping once" failed.');
+          assert.equal(reason.cause, error);
+        });
+      });
+    });
+
+    it('should stream the results through a Readable stream', () => {
+      var readable = Task.mapStream('name', x => x * 2, { concurrency: 2 }).readable([1, 2, 3]);
+      var results = [];
+      assert(readable instanceof stream.Readable);
+      return new Promise((resolve, reject) => {
+        readable.on('data', result => results.push(result));
+        readable.on('end', resolve);
+        readable.on('error', reject);
+      }).then(() => assert.deepEqual(results, [2, 4, 6]));
+    });
+
+    it('should throw if Readable streams cannot be created from async iterators', () => {
+      var from = stream.Readable.from;
+      var task = Task.mapStream('name', x => x * 2);
+      stream.Readable.from = undefined;
+      try {
+        assert.throws(() => task.readable([1, 2, 3]), /needs stream\.Readable\.from\(\)/);
+      } finally {
+        stream.Readable.from = from;
+      }
+    });
   });
 });
@@ -0,0 +1,370 @@
+'use strict';
+
+var assert = require('assert');
+var Task = require('../../src/task');
+var TaskRun = require('../../src/taskrun');
+
+describe('TaskRun', () => {
+  describe('#constructor', () => {
+    it('should set the task, args and a unique id', () => {
+      var task = new Task('name', () => {});
+      var run1 = new TaskRun(task, [1, 2]);
+      var run2 = new TaskRun(task, []);
+      assert.equal(run1.task, task);
+      assert.deepEqual(run1.args, [1, 2]);
+      assert.notEqual(run1.id, run2.id);
+    });
+
+    it('should be pending and not started', () => {
+      var run = new TaskRun(new Task('name', () => {}), []);
+      assert.equal(run.status, 'pending');
+      assert.equal(run.startTime, null);
+      assert.equal(run.endTime, null);
+      assert(run.promise instanceof Promise);
+    });
+
+    it('should be cancelable before it starts', () => {
+      var run = new TaskRun(new Task('name', () => {}), []);
+      assert.equal(run.cancel('canceled'), true);
+      return run.promise.then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'canceled');
+      });
+    });
+  });
+
+  describe('#status', () => {
+    it('should be "done" after done() is called', () => {
+      var run = new Task('name', done => done(1)).run();
+      return run.promise.then(result => {
+        assert.equal(result, 1);
+        assert.equal(run.status, 'done');
+      });
+    });
+
+    it('should be "failed" after failed() is called', () => {
+      var run = new Task('name', (done, failed) => failed('failed')).run();
+      return run.promise.then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'failed');
+        assert.equal(run.status, 'failed');
+      });
+    });
+
+    it('should be "canceled" after #cancel() is called', () => {
+      var run = new Task('name', () => {}).run();
+      run.cancel('canceled');
+      return run.promise.then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'canceled');
+        assert.equal(run.status, 'canceled');
+      });
+    });
+  });
+
+  describe('#startTime and #endTime', () => {
+    it('should be set when the run starts and settles', () => {
+      var run = new Task('name', done => { setTimeout(done, 50); }).run();
+      assert.equal(typeof run.startTime, 'number');
+      assert.equal(run.endTime, null);
+      return run.promise.then(() => {
+        assert(run.endTime - run.startTime >= 45);
+      });
+    });
+  });
+
+  describe('#cancel', () => {
+    it('should return true only while the run is pending', () => {
+      var run = new Task('name', () => {}).run();
+      assert.equal(run.cancel(), true);
+      assert.equal(run.cancel(), false);
+      return run.promise.catch(() => {});
+    });
+
+    it('should not affect other runs of the same task', () => {
+      var task = new Task('name', (x, done) => { setTimeout(done.bind(null, x)); });
+      var run1 = task.run(1);
+      var run2 = task.run(2);
+      run1.cancel('canceled');
+      run1.promise.catch(() => {});
+      return run2.promise.then(result => {
+        assert.equal(result, 2);
+        assert.equal(run1.status, 'canceled');
+      });
+    });
+  });
+
+  describe('#timeout', () => {
+    it('should throw if timeout milliseconds is not a number', () => {
+      var run = new Task('name', () => {}).run();
+      assert.throws(run.timeout.bind(run, '1'));
+      run.cancel();
+      return run.promise.catch(() => {});
+    });
+
+    it('should return false if called after the run settled', () => {
+      var run = new Task('name', done => done()).run();
+      assert.equal(run.timeout(0), false);
+      return run.promise;
+    });
+
+    it('should restart the timeout period if called again', () => {
+      var run = new Task('name', done => { setTimeout(done, 50); }).run();
+      run.timeout(0, 'timeout');
+      assert.equal(run.timeout(100, 'timeout'), true);
+      return run.promise;
+    });
+
+    it('should time out only the given run', () => {
+      var task = new Task('name', (ms, done) => { setTimeout(done.bind(null, ms), ms); });
+      var run1 = task.run(100);
+      var run2 = task.run(50);
+      assert.equal(run1.timeout(0, 'timeout'), true);
+      return Promise.all([
+        run1.promise.then(() => assert(false)).catch(reason => {
+          assert.equal(reason.reason, 'timeout');
+          assert.equal(run1.status, 'canceled');
+        }),
+        run2.promise.then(result => assert.equal(result, 50))
+      ]);
+    });
+  });
+
+  describe('#spawn', () => {
+    it('should run the task with this run as the parent', () => {
+      var child = new Task('child', (x, done) => done(x * 2));
+      var parent = new Task('parent', function(x) {
+        var run = this.spawn(child, [x]);
+        assert.equal(run.parent, this);
+        return run.promise;
+      });
+      return parent.do(2).then(result => assert.equal(result, 4));
+    });
+
+    it('should give the child run its attempt, step and idempotency key', () => {
+      var child = new Task('child', function() {
+        return [this.attempt, this.step, this.idempotencyKey];
+      });
+      var parent = new Task('parent', function() {
+        assert.equal(this.idempotencyKey, null);
+        return this.spawn(child, [], { attempt: 2, step: 1, idempotencyKey: 'key' }).promise;
+      });
+      return parent.do().then(result => assert.deepEqual(result, [2, 1, 'key']));
+    });
+
+    it('should cancel pending child runs when the parent is canceled', () => {
+      var childRun = null;
+      var parentRun = new Task('parent', function() {
+        childRun = this.spawn(new Task('child', () => {}));
+        return childRun.promise;
+      }).run();
+      parentRun.promise.catch(() => {});
+      parentRun.cancel('canceled');
+      return childRun.promise.then(() => assert(false)).catch(reason => {
+        assert.equal(childRun.status, 'canceled');
+        assert(reason instanceof Error);
+        assert.equal(reason.parent, parentRun);
+        assert.equal(reason.reason, 'canceled');
+      });
+    });
+
+    it('should cancel pending child runs when the parent times out', () => {
+      var childRun = null;
+      var parentRun = new Task('parent', function() {
+        childRun = this.spawn(new Task('child', () => {}));
+      }).run();
+      parentRun.timeout(0, 'timeout');
+      return parentRun.promise.then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'timeout');
+        assert.equal(childRun.status, 'canceled');
+        return childRun.promise;
+      }).then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'timeout');
+      });
+    });
+
+    it('should not start the child if the parent is no longer pending', () => {
+      var started = false;
+      var parentRun = new Task('parent', done => done()).run();
+      var childRun = parentRun.spawn(new Task('child', () => { started = true; }));
+      assert.equal(started, false);
+      assert.equal(childRun.status, 'canceled');
+      return childRun.promise.then(() => assert(false)).catch(reason => {
+        assert.equal(reason.parent, parentRun);
+      });
+    });
+  });
+
+  describe('#signal', () => {
+    before(function() {
+      if (typeof AbortController !== 'function') {
+        this.skip();
+      }
+    });
+
+    it('should be an AbortSignal which is not aborted while pending', () => {
+      var run = new Task('name', () => {}).run();
+      assert(run.signal instanceof AbortSignal);
+      assert.equal(run.signal.aborted, false);
+      run.cancel();
+      return run.promise.catch(() => {});
+    });
+
+    it('should be aborted with the CanceledError when the run is canceled', () => {
+      var run = new Task('name', () => {}).run();
+      run.cancel('canceled');
+      assert.equal(run.signal.aborted, true);
+      assert(run.signal.reason instanceof Task.CanceledError);
+      assert.equal(run.signal.reason.reason, 'canceled');
+      return run.promise.catch(() => {});
+    });
+
+    it('should be aborted when the run times out', () => {
+      var aborted = false;
+      var run = new Task('name', function() {
+        this.signal.addEventListener('abort', () => { aborted = true; });
+      }).run();
+      run.timeout(0, 'timeout');
+      return run.promise.then(() => assert(false)).catch(() => assert(aborted));
+    });
+
+    it('should not be aborted when the run is done', () => {
+      var run = new Task('name', done => done()).run();
+      return run.promise.then(() => assert.equal(run.signal.aborted, false));
+    });
+  });
+
+  describe('#onCancel', () => {
+    it('should throw if the callback is not a function', () => {
+      var run = new Task('name', done => done()).run();
+      assert.throws(run.onCancel.bind(run, 'cleanup'));
+      return run.promise;
+    });
+
+    it('should call the callback with the CanceledError when the run is canceled', () => {
+      var reasons = [];
+      var run = new Task('name', function() {
+        this.onCancel(error => reasons.push(error.reason));
+      }).run();
+      run.cancel('canceled');
+      assert.deepEqual(reasons, ['canceled']);
+      return run.promise.catch(() => {});
+    });
+
+    it('should call the callback when the parent run is canceled', () => {
+      var reason = null;
+      var childRun = null;
+      var parentRun = new Task('parent', function() {
+        childRun = this.spawn(new Task('child', function() {
+          this.onCancel(_reason => { reason = _reason; });
+        }));
+      }).run();
+      parentRun.cancel('canceled');
+      assert.equal(reason.parent, parentRun);
+      return Promise.all([parentRun.promise.catch(e => e), childRun.promise.catch(e => e)]).then(errors => {
+        assert.equal(errors[0].reason, 'canceled');
+        assert.equal(errors[1], reason);
+      });
+    });
+
+    it('should call the callback immediately if the run was already canceled', () => {
+      var reason = null;
+      var run = new Task('name', () => {}).run();
+      run.cancel('canceled');
+      run.onCancel(_reason => { reason = _reason; });
+      assert.equal(reason.reason, 'canceled');
+      return run.promise.catch(() => {});
+    });
+
+    it('should not call the callback if the run is done or failed', () => {
+      var called = false;
+      var run = new Task('name', function(done) {
+        this.onCancel(() => { called = true; });
+        done();
+      }).run();
+      run.onCancel(() => { called = true; });
+      assert.equal(run.cancel(), false);
+      return run.promise.then(() => assert.equal(called, false));
+    });
+
+    it('should return a function which unregisters the callback', () => {
+      var called = false;
+      var run = new Task('name', () => {}).run();
+      var unregister = run.onCancel(() => { called = true; });
+      unregister();
+      unregister();
+      run.cancel('canceled');
+      return run.promise.catch(() => assert.equal(called, false));
+    });
+
+    it('should ignore errors thrown by the callback', () => {
+      var called = false;
+      var run = new Task('name', function() {
+        this.onCancel(() => { throw new Error('error'); });
+        this.onCancel(() => { called = true; });
+      }).run();
+      run.cancel('canceled');
+      return run.promise.then(() => assert(false)).catch(reason => {
+        assert.equal(reason.reason, 'canceled');
+        assert(called);
+      });
+    });
+  });
+
+  describe('#reportProgress', () => {
+    it('should throw if the fraction is not between 0 and 1', () => {
+      var run = new Task('name', () => {}).run();
+      assert.throws(run.reportProgress.bind(run, 1.5));
+      assert.throws(run.reportProgress.bind(run, '50%'));
+      run.cancel();
+      return run.promise.catch(() => {});
+    });
+
+    it('should be called by the template', () => {
+      var reports = [];
+      var run = new Task('name', function(done) {
+        this.reportProgress(0.5, 'half');
+        setTimeout(done);
+      }).run();
+      assert.equal(run.progress, 0.5);
+      run.onProgress((fraction, detail) => reports.push([fraction, detail]));
+      run.reportProgress(0.75, 'more');
+      return run.promise.then(() => {
+        assert.deepEqual(reports, [[0.75, 'more']]);
+        assert.equal(run.progress, 1);
+      });
+    });
+
+    it('should emit a "progress" event', () => {
+      var task = new Task('name', function(done) { this.reportProgress(0.25, 'quarter'); done(); });
+      var event = null;
+      task.on('progress', _event => { event = _event; });
+      return task.do().then(() => {
+        assert.equal(event.fraction, 0.25);
+        assert.equal(event.detail, 'quarter');
+        assert.equal(event.task, task);
+      });
+    });
+
+    it('should do nothing once the run has settled', () => {
+      var run = new Task('name', done => done()).run();
+      return run.promise.then(() => assert.equal(run.reportProgress(0.5), false));
+    });
+  });
+
+  describe('#onProgress', () => {
+    it('should throw if the callback is not a function', () => {
+      var run = new Task('name', done => done()).run();
+      assert.throws(run.onProgress.bind(run, 'listener'));
+      return run.promise;
+    });
+
+    it('should ignore errors thrown by the callback', () => {
+      var fractions = [];
+      var run = new Task('name', () => {}).run();
+      run.onProgress(() => { throw new Error('error'); });
+      run.onProgress(fraction => fractions.push(fraction));
+      run.reportProgress(0.1);
+      assert.deepEqual(fractions, [0.1]);
+      run.cancel();
+      return run.promise.catch(() => {});
+    });
+  });
+});
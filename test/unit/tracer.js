@@ -0,0 +1,209 @@
+'use strict';
+
+var assert = require('assert');
+var Task = require('../../src/task');
+var Tracer = require('../../src/tracer');
+
+function wait(ms, result) {
+  return (done) => { setTimeout(() => done(result), ms); };
+}
+
+describe('Tracer', () => {
+  describe('#constructor', () => {
+    it('should throw if summarizeArgs is not a function', () => {
+      assert.throws(() => new Tracer({ summarizeArgs: 'args' }));
+    });
+  });
+
+  describe('#attach', () => {
+    it('should throw if the target is not a Task', () => {
+      assert.throws(() => new Tracer().attach({}));
+    });
+
+    it('should record a span for every run of the Task', () => {
+      var task = new Task('name', (x, done) => done(x));
+      var tracer = new Tracer().attach(task);
+      return Promise.all([task.do('a'), task.do(1)]).then(() => {
+        tracer.detach();
+        assert.deepEqual(tracer.spans.map(span => [span.name, span.args, span.status]), [
+          ['name', ['a'], 'done'],
+          ['name', [1], 'done']
+        ]);
+        tracer.spans.forEach(span => {
+          assert.equal(span.parentId, null);
+          assert.equal(span.traceId, span.id);
+          assert(span.endTime >= span.startTime);
+        });
+      });
+    });
+  });
+
+  describe('#detach', () => {
+    it('should stop recording, and keep the recorded spans', () => {
+      var task = new Task('name', done => done());
+      var tracer = new Tracer().attach(task);
+      return task.do().then(() => {
+        assert.equal(tracer.detach(), tracer);
+        return task.do();
+      }).then(() => assert.equal(tracer.spans.length, 1));
+    });
+  });
+
+  describe('#clear', () => {
+    it('should discard the recorded spans', () => {
+      var task = new Task('name', done => done());
+      var tracer = new Tracer().attach(task);
+      return task.do().then(() => {
+        tracer.detach().clear();
+        assert.deepEqual(tracer.spans, []);
+      });
+    });
+  });
+
+  describe('Task.trace', () => {
+    it('should record the span tree of nested composite tasks', () => {
+      var tracer = Task.trace();
+      var seq = Task.sequence('seq', [
+        Task.parallel('par', [Task.create('slow', wait(20, 1)), Task.create('fast', wait(5, 2))]),
+        Task.try('try', function(results, done, failed) {
+          (this.attempt === 2 ? done : failed)(new Error('flaky'));
+        }, { attempts: 2 })
+      ]);
+      return seq.do([], []).then(() => {
+        tracer.detach();
+        var byName = {};
+        tracer.spans.forEach(span => { (byName[span.name] = byName[span.name] || []).push(span); });
+        var root = byName.seq[0];
+        assert.equal(byName.par[0].parentId, root.id);
+        assert.equal(byName.slow[0].parentId, byName.par[0].id);
+        assert.equal(byName.fast[0].parentId, byName.par[0].id);
+        assert.equal(byName.try[0].parentId, root.id);
+        assert.deepEqual(byName['try: trying once'].map(span => [span.attempt, span.status]), [
+          [1, 'failed'],
+          [2, 'done']
+        ]);
+        assert.equal(byName['try: trying once'][0].error, 'Task "seq > try > try: trying once" failed: flaky');
+        assert.deepEqual(byName.try[0].events.map(event => [event.name, event.attributes.attempt]), [['retry', 1]]);
+        tracer.spans.forEach(span => assert.equal(span.traceId, root.id));
+      });
+    });
+
+    it('should record the outcome of failed and canceled runs', () => {
+      var tracer = Task.trace();
+      var failing = new Task('failing', (done, failed) => failed('error'));
+      var canceled = new Task('canceled', () => {});
+      var run = canceled.run();
+      run.cancel('canceled');
+      return failing.do().catch(() => {
+        tracer.detach();
+        return run.promise.catch(() => {});
+      }).then(() => {
+        var spans = tracer.spans;
+        assert.deepEqual(spans.map(span => [span.name, span.status, span.error]), [
+          ['canceled', 'canceled', 'Task "canceled" was canceled.'],
+          ['failing', 'failed', 'Task "failing" failed: error']
+        ]);
+      });
+    });
+  });
+
+  describe('#toChromeTrace', () => {
+    it('should export a complete event per span, with overlapping siblings on separate threads', () => {
+      var tracer = Task.trace();
+      var par = Task.parallel('par', [Task.create('a', wait(20)), Task.create('b', wait(20))]);
+      var step = (x, done) => { setTimeout(() => done(x), 0); };
+      var seq = Task.sequence('seq', [Task.create('c', step), Task.create('d', step)]);
+      return Promise.all([par.do(), seq.do(1)]).then(() => {
+        tracer.detach();
+        var trace = tracer.toChromeTrace();
+        assert.equal(trace.displayTimeUnit, 'ms');
+        var events = {};
+        trace.traceEvents.forEach(event => { events[event.name] = event; });
+        ['par', 'a', 'b', 'seq', 'c', 'd'].forEach(name => {
+          assert.equal(events[name].ph, 'X');
+          assert.equal(events[name].cat, 'task');
+          assert.equal(typeof events[name].ts, 'number');
+          assert(events[name].dur >= 0);
+        });
+        assert.equal(events.a.pid, events.par.pid);
+        assert.equal(events.a.tid, events.par.tid);
+        assert.notEqual(events.b.tid, events.par.tid);
+        assert.notEqual(events.seq.tid, events.par.tid);
+        assert.equal(events.c.tid, events.seq.tid);
+        assert.equal(events.d.tid, events.seq.tid);
+        assert.equal(events.a.args.parentRunId, events.par.args.runId);
+      });
+    });
+
+    it('should export retries as instant events', () => {
+      var tracer = Task.trace();
+      return Task.try('try', (done, failed) => failed(), { attempts: 2 }).do().catch(() => {
+        tracer.detach();
+        var retries = tracer.toChromeTrace().traceEvents.filter(event => event.ph === 'i');
+        assert.equal(retries.length, 1);
+        assert.equal(retries[0].name, 'retry');
+        assert.equal(retries[0].args.attempt, 1);
+      });
+    });
+  });
+
+  describe('#toOTLP', () => {
+    it('should export the spans as OTLP JSON', () => {
+      var tracer = Task.trace({ serviceName: 'deploy', summarizeArgs: args => args.length });
+      var seq = Task.sequence('seq', [Task.create('step', (x, done, failed) => failed('error'))]);
+      return seq.do(1).catch(() => {
+        tracer.detach();
+        var request = tracer.toOTLP();
+        var resourceSpans = request.resourceSpans[0];
+        assert.deepEqual(resourceSpans.resource.attributes, [
+          { key: 'service.name', value: { stringValue: 'deploy' } }
+        ]);
+        var spans = resourceSpans.scopeSpans[0].spans;
+        assert.equal(spans.length, 2);
+        assert(/^[0-9a-f]{32}$/.test(spans[0].traceId));
+        assert(/^[0-9a-f]{16}$/.test(spans[0].spanId));
+        assert.equal(spans[1].traceId, spans[0].traceId);
+        assert.equal(spans[1].parentSpanId, spans[0].spanId);
+        assert.equal(spans[0].parentSpanId, undefined);
+        assert(/^\d+$/.test(spans[1].startTimeUnixNano));
+        assert.equal(spans[1].name, 'step');
+        assert.deepEqual(spans[1].status, { code: 2, message: 'Task "seq > step" failed: error' });
+        assert.deepEqual(spans[1].attributes.filter(attr => attr.key === 'task.args'), [
+          { key: 'task.args', value: { intValue: '1' } }
+        ]);
+        assert.deepEqual(spans[1].attributes.filter(attr => attr.key === 'task.step'), [
+          { key: 'task.step', value: { intValue: '0' } }
+        ]);
+      });
+    });
+
+    it('should give traces and spans random ids, which stay the same', () => {
+      var task = Task.create('name', done => done());
+      var tracer = new Tracer().attach(task);
+      return Promise.all([task.do(), task.do()]).then(() => {
+        tracer.detach();
+        var spans = tracer.toOTLP().resourceSpans[0].scopeSpans[0].spans;
+        assert.notEqual(spans[0].traceId, spans[1].traceId);
+        assert.notEqual(spans[0].spanId, spans[1].spanId);
+        spans.forEach(span => {
+          assert(/^[0-9a-f]{32}$/.test(span.traceId));
+          assert(!/^0+[0-9a-f]?$/.test(span.spanId));
+        });
+        assert.deepEqual(tracer.toOTLP().resourceSpans[0].scopeSpans[0].spans, spans);
+      });
+    });
+
+    it('should end pending spans now', () => {
+      var task = new Task('name', () => {});
+      var tracer = new Tracer().attach(task);
+      var run = task.run('a very long argument which is going to be truncated by the tracer');
+      var span = tracer.toOTLP().resourceSpans[0].scopeSpans[0].spans[0];
+      assert.deepEqual(span.status, { code: 0 });
+      assert(Number(span.endTimeUnixNano) >= Number(span.startTimeUnixNano));
+      assert.equal(tracer.spans[0].args[0].length, 53);
+      tracer.detach();
+      run.cancel();
+      return run.promise.catch(() => {});
+    });
+  });
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+var assert = require('assert');
+var WorkerPool = require('../../src/workerpool');
+
+function createAdapter() {
+  var adapter = {
+    handles: [],
+    defaultSize: () => 2,
+    create: template => {
+      var handle = {
+        template: template,
+        posted: [],
+        terminated: false,
+        referenced: true,
+        post: args => {
+          if (args[0] === 'uncloneable') {
+            throw new Error('could not be cloned');
+          }
+          handle.posted.push(args);
+        },
+        listen: (onMessage, onError) => {
+          handle.send = onMessage;
+          handle.crash = onError;
+        },
+        ref: () => { handle.referenced = true; },
+        unref: () => { handle.referenced = false; },
+        terminate: () => { handle.terminated = true; }
+      };
+      adapter.handles.push(handle);
+      return handle;
+    }
+  };
+  return adapter;
+}
+
+describe('WorkerPool', () => {
+  it('should throw if the options are invalid', () => {
+    assert.throws(() => new WorkerPool(createAdapter(), {}, { size: 0 }));
+    assert.throws(() => new WorkerPool(createAdapter(), {}, { idleTimeout: -1 }));
+  });
+
+  it('should have the default options', () => {
+    var pool = new WorkerPool(createAdapter(), {});
+    assert.equal(pool.size, 2);
+    assert.equal(pool.idleTimeout, 10000);
+    assert.equal(pool.workers, 0);
+  });
+
+  it('should run at most "size" jobs at a time, in order', () => {
+    var adapter = createAdapter();
+    var pool = new WorkerPool(adapter, { source: 'x' }, { size: 2 });
+    var jobs = [1, 2, 3].map(x => pool._exec([x]));
+    assert.equal(pool.workers, 2);
+    assert.equal(pool.pending, 1);
+    assert.deepEqual(adapter.handles[0].template, { source: 'x' });
+    adapter.handles[0].send({ type: 'done', result: 'one' });
+    assert.deepEqual(adapter.handles[0].posted, [[1], [3]]);
+    adapter.handles[0].send({ type: 'done', result: 'three' });
+    adapter.handles[1].send({ type: 'done', result: 'two' });
+    pool.terminate();
+    return Promise.all(jobs.map(job => job.promise)).then(results => {
+      assert.deepEqual(results, ['one', 'two', 'three']);
+    });
+  });
+
+  it('should reject the job with the error sent by the worker', () => {
+    var adapter = createAdapter();
+    var pool = new WorkerPool(adapter, {});
+    var job1 = pool._exec([]);
+    var job2 = pool._exec([]);
+    adapter.handles[0].send({ type: 'failed', error: { isError: true, name: 'TypeError', message: 'bad', stack: 'stack' } });
+    adapter.handles[1].send({ type: 'failed', error: { isError: false, value: 'reason' } });
+    pool.terminate();
+    return Promise.all([job1.promise.catch(e => e), job2.promise.catch(e => e)]).then(errors => {
+      assert(errors[0] instanceof Error);
+      assert.equal(errors[0].name, 'TypeError');
+      assert.equal(errors[0].message, 'bad');
+      assert.equal(errors[1], 'reason');
+    });
+  });
+
+  it('should report progress', () => {
+    var adapter = createAdapter();
+    var pool = new WorkerPool(adapter, {});
+    var reports = [];
+    var job = pool._exec([], (fraction, detail) => reports.push([fraction, detail]));
+    adapter.handles[0].send({ type: 'progress', fraction: 0.5, detail: 'half' });
+    assert.deepEqual(reports, [[0.5, 'half']]);
+    pool.terminate();
+    return job.promise.then(() => assert(false)).catch(error => {
+      assert.equal(error.message, 'The worker pool was terminated.');
+    });
+  });
+
+  it('should reject the job and replace the worker if it crashes', () => {
+    var adapter = createAdapter();
+    var pool = new WorkerPool(adapter, {}, { size: 1 });
+    var job1 = pool._exec([1]);
+    var job2 = pool._exec([2]);
+    adapter.handles[0].crash(new Error('crashed'));
+    assert(adapter.handles[0].terminated);
+    assert.deepEqual(adapter.handles[1].posted, [[2]]);
+    pool.terminate();
+    return Promise.all([job1.promise.catch(e => e), job2.promise.catch(e => e)]).then(errors => {
+      assert.equal(errors[0].message, 'crashed');
+      assert.equal(errors[1].message, 'The worker pool was terminated.');
+    });
+  });
+
+  it('should reject the job if its arguments cannot be posted', () => {
+    var adapter = createAdapter();
+    var pool = new WorkerPool(adapter, {});
+    var job = pool._exec(['uncloneable']);
+    assert.equal(pool.workers, 1);
+    pool.terminate();
+    return job.promise.then(() => assert(false)).catch(error => {
+      assert.equal(error.message, 'could not be cloned');
+    });
+  });
+
+  it('should terminate the worker of a canceled job, and remove a waiting one from the queue', () => {
+    var adapter = createAdapter();
+    var pool = new WorkerPool(adapter, {}, { size: 1 });
+    var job1 = pool._exec([1]);
+    var job2 = pool._exec([2]);
+    var job3 = pool._exec([3]);
+    job2.cancel();
+    assert.equal(pool.pending, 1);
+    job1.cancel();
+    assert(adapter.handles[0].terminated);
+    assert.deepEqual(adapter.handles[1].posted, [[3]]);
+    pool.terminate();
+    return Promise.all([job1, job2, job3].map(job => job.promise.catch(e => e.message))).then(messages => {
+      assert.deepEqual(messages, ['The run was canceled.', 'The run was canceled.', 'The worker pool was terminated.']);
+    });
+  });
+
+  it('should not terminate the worker when a settled job is canceled', () => {
+    var adapter = createAdapter();
+    var pool = new WorkerPool(adapter, {}, { size: 1 });
+    var job1 = pool._exec([1]);
+    var job2 = pool._exec([2]);
+    adapter.handles[0].send({ type: 'done', result: 1 });
+    job1.cancel();
+    assert.equal(adapter.handles[0].terminated, false);
+    pool.terminate();
+    return Promise.all([job1.promise, job2.promise.catch(e => e.message)]).then(results => {
+      assert.deepEqual(results, [1, 'The worker pool was terminated.']);
+    });
+  });
+
+  it('should unref idle workers, and terminate them after "idleTimeout"', () => {
+    var adapter = createAdapter();
+    var pool = new WorkerPool(adapter, {}, { idleTimeout: 10 });
+    pool._exec([]);
+    adapter.handles[0].send({ type: 'done' });
+    assert.equal(adapter.handles[0].referenced, false);
+    assert.equal(pool.workers, 1);
+    return new Promise(resolve => setTimeout(resolve, 20)).then(() => {
+      assert.equal(pool.workers, 0);
+      assert(adapter.handles[0].terminated);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+var assert = require('assert');
+var TaskRegistry = require('../../src/registry');
+var workflow = require('../../src/workflow');
+
+describe('workflow', () => {
+  describe('.parse', () => {
+    var registry = new TaskRegistry()
+      .register('fetch', () => {})
+      .register('resize', () => {})
+      .register('upload', () => {});
+
+    it('should parse a workflow definition', () => {
+      var node = workflow.parse({
+        name: 'pipeline',
+        sequence: ['fetch', { parallel: ['resize', 'upload'], concurrency: 1 }, { try: 'upload', attempts: 3 }]
+      }, registry);
+      assert.deepEqual(node, {
+        kind: 'sequence',
+        name: 'pipeline',
+        options: {},
+        children: [
+          { kind: 'task', name: 'fetch', options: {}, children: [] },
+          {
+            kind: 'parallel',
+            name: 'parallel',
+            options: { concurrency: 1 },
+            children: [
+              { kind: 'task', name: 'resize', options: {}, children: [] },
+              { kind: 'task', name: 'upload', options: {}, children: [] }
+            ]
+          },
+          {
+            kind: 'try',
+            name: 'try',
+            options: { attempts: 3 },
+            children: [{ kind: 'task', name: 'upload', options: {}, children: [] }]
+          }
+        ]
+      });
+    });
+
+    it('should parse JSON documents, or documents parsed by "parse"', () => {
+      assert.equal(workflow.parse('{ "delay": "fetch", "ms": 10 }', registry).kind, 'delay');
+      assert.equal(workflow.parse('map: fetch', registry, () => ({ map: 'fetch' })).kind, 'map');
+      assert.throws(() => workflow.parse('{', registry), /^Error: Workflow document could not be parsed: /);
+    });
+
+    [
+      [{ sequence: ['fetch', { parallel: ['resize', 'crop'] }] },
+        'Unknown task "crop" at workflow.sequence[1].parallel[1].'],
+      [{ map: 1 },
+        'Workflow node at workflow.map must be a task name, or an object with exactly one of '
+        + '"sequence", "parallel", "try", "map", "delay".'],
+      [{ sequence: ['fetch'], parallel: ['fetch'] },
+        'Workflow node at workflow must be a task name, or an object with exactly one of '
+        + '"sequence", "parallel", "try", "map", "delay".'],
+      [['fetch'],
+        'Workflow node at workflow must be a task name, or an object with exactly one of '
+        + '"sequence", "parallel", "try", "map", "delay".'],
+      [{ sequence: [] },
+        '"sequence" of the workflow node at workflow must be a non-empty array of workflow nodes.'],
+      [{ parallel: 'fetch' },
+        '"parallel" of the workflow node at workflow must be a non-empty array of workflow nodes.'],
+      [{ delay: 'fetch', ms: 10, attempts: 2 },
+        'Workflow node at workflow has an unknown property "attempts" (delay nodes can have "name", "ms").'],
+      [{ sequence: ['fetch'], name: 1 },
+        '"name" of the workflow node at workflow must be a string.'],
+      [{ try: 'fetch' },
+        'Workflow node at workflow is invalid: "attempts" must be a number greater than 0.'],
+      [{ try: 'fetch', attempts: 2, backoff: 'random' },
+        'Workflow node at workflow is invalid: Retry policy "backoff" must be one of: constant, linear, exponential.'],
+      [{ delay: 'fetch' },
+        'Workflow node at workflow is invalid: "ms" must be a non-negative number.'],
+      [{ map: 'fetch', concurrency: 0 },
+        'Workflow node at workflow is invalid: "concurrency" must be a number greater than 0.']
+    ].forEach(testCase => {
+      it('should throw "' + testCase[1] + '" for ' + JSON.stringify(testCase[0]), () => {
+        assert.throws(() => workflow.parse(testCase[0], registry), error => error.message === testCase[1]);
+      });
+    });
+  });
+});